@@ -12,6 +12,14 @@ class WebAccessConnectorAsset extends AssetBundle
      */
     public $sourcePath = '@vendor/aidanbek/webAccessConnectorYii2/src';
 
+    /**
+     * Only the library is published: the fake server is for tests and this file is PHP.
+     * @inheritdoc
+     */
+    public $publishOptions = [
+        'only' => ['webAccessConnector-1.1.js', 'webAccessConnector.mjs'],
+    ];
+
     /**
      * @inheritdoc
      */
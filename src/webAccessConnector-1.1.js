@@ -8,17 +8,85 @@
 /**
  * The main interface
  *
+ * Every command reports through its onLoad / onError callbacks and also returns a Promise
+ * (a plain object where Promise is not available) that resolves or rejects with the same result object.
+ * The returned object has cancel() to abort the command, and every command also accepts
+ * parameters.timeout (ms, overriding connectionInfo.timeout) and parameters.signal (an AbortSignal).
+ * Errors are webAccessConnector.webAccessError objects: statusCode and errorText plus a code from
+ * webAccessConnector.errorCodes, the commandPath, the (redacted) requestData and the raw response.
+ *
  * @param {Object} connectionInfo
  * @param {string} connectionInfo.webAccessUrl
  * @param {boolean|undefined} connectionInfo.loginOnDemand
  * @param {string} connectionInfo.loginUser
  * @param {string} connectionInfo.loginPass
- * @param {boolean|undefined} connectionInfo.loginOnDemandAutoLogOff
+ * @param {boolean|undefined} connectionInfo.loginOnDemandAutoLogOff log off an on demand login once no requests are outstanding
+ * @param {number|undefined} connectionInfo.autoLogOffIdleTime instead log off an on demand login after this many ms with no requests outstanding
+ * @param {string|function|undefined} connectionInfo.transport name of a registered transport ("xhr", "fetch", "node") or a transport function
+ * @param {webAccessConnector.cookieJar|undefined} connectionInfo.cookieJar session cookies for transports outside the browser
+ * @param {number|undefined} connectionInfo.timeout ms before a request fails as timed out
+ * @param {boolean|Object|undefined} connectionInfo.retry retry transient failures, true for webAccessConnector.retryDefaults or an object overriding them
+ * @param {boolean|Array|undefined} connectionInfo.jsonBody send POST request data as JSON rather than a form, true for every command
+ *        or a list of command paths ("/object/save.rails"...) for just those.  Only for servers that accept it.
+ * @param {boolean|Object|undefined} connectionInfo.convertValues typed attribute values in query and record results and when saving,
+ *        true for webAccessConnector.convertDefaults or an object overriding them (see webAccessConnector.convertValue)
+ * @param {boolean|Object|undefined} connectionInfo.checkConcurrency refuse to save over changes made since a record was opened,
+ *        true for webAccessConnector.concurrencyDefaults or an object overriding them (see record.updateRecord)
+ * @param {boolean|undefined} connectionInfo.validate check attributeValues against the class metadata before saving (see record.validate)
+ * @param {boolean|Object|undefined} connectionInfo.metadataCache false to always load metadata, or an object overriding
+ *        webAccessConnector.metadataCacheDefaults (by default metadata is kept in memory for the connector's lifetime)
+ * @param {function|undefined} connectionInfo.onLoggedOn called when the connector's session logs on
+ * @param {function|undefined} connectionInfo.onLoggedOff called when the connector's session logs off
+ * @param {function|undefined} connectionInfo.onSessionExpired called when the server stops accepting a logged on session
+ *
+ * Middleware added with use() sees every command request before it is sent and its response or error after.
  */
 var webAccessConnector = function (connectionInfo) {
     var self = this;
 
-    // Query Commands: query.runConsoleQuery, query.runQuery
+    // the browser keeps the session cookie itself, everywhere else the transports keep it here
+    var m_cookieJar = connectionInfo.cookieJar || new webAccessConnector.cookieJar();
+
+    // one session per connector, shared by all of its requests
+    this.session = new webAccessConnector.session(connectionInfo, m_cookieJar);
+
+    /**
+     * Finish with the connector: stops its session's idle timer and page unload listener,
+     * logging off an on demand login that would otherwise have been logged off automatically.
+     */
+    this.dispose = function () {
+        self.session.dispose();
+    };
+
+    // middleware for this connector's commands, see use()
+    this.middleware = [];
+
+    // what the metadata commands have loaded, see webAccessConnector.metadataCache
+    this.metadataCache = new webAccessConnector.metadataCache(connectionInfo.webAccessUrl, connectionInfo.metadataCache);
+
+    /**
+     * Add middleware for this connector's commands.  Each hook is optional and is called with (context, next):
+     * call next() to carry on, context.respond(data) to finish with that data or
+     * context.fail(statusCode, errorText, reason) to finish with an error.
+     *
+     * onRequest: before sending.  context: commandPath, requestType, requestData, headers, json (all may be changed)
+     * onResponse: after the JSON is parsed.  context: commandPath, requestData, data (may be changed), response, statusCode
+     * onError: for a failed command.  context: commandPath, requestData, statusCode, errorText, reason, response (may be changed)
+     *
+     * onRequest runs in the order middleware was added, onResponse and onError in reverse.
+     *
+     * @param {Object} middleware
+     * @param {?function(Object, function)} middleware.onRequest
+     * @param {?function(Object, function)} middleware.onResponse
+     * @param {?function(Object, function)} middleware.onError
+     * @returns {webAccessConnector}
+     */
+    this.use = function (middleware) {
+        self.middleware.push(middleware);
+        return self;
+    };
+
+    // Query Commands: query.runConsoleQuery, query.runQuery, query.runAll, query.pages, query.exportResults
     this.query = {
         /**
          * Run a query designed in Console.
@@ -30,70 +98,660 @@ var webAccessConnector = function (connectionInfo) {
          * @param {string} parameters.queryName
          * @param {string} parameters.templateName
          * @param {number} parameters.pageSize
+         * @param {string|Object|Array|undefined} parameters.sort see runQuery
+         * @param {function|Array|undefined} parameters.filter see runQuery
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         runConsoleQuery: function (parameters) {
-            var queryData = {
-                class_name: parameters.className,
-                query: parameters.queryName
-            };
-
-            if (parameters.templateName) {
-                queryData.template = parameters.templateName;
-            }
-
-            if (parameters.pageSize) {
-                queryData.page_size = parameters.pageSize;
-            }
+            var queryData = self.query._consoleQueryData(parameters);
 
-            self.query.runQuery({
-                queryData: queryData, onLoad: parameters.onLoad, onError: parameters.onError
+            return self.query.runQuery({
+                queryData: queryData, onLoad: parameters.onLoad, onError: parameters.onError,
+                timeout: parameters.timeout, signal: parameters.signal, convertValues: parameters.convertValues,
+                sort: parameters.sort, filter: parameters.filter
             });
         },
 
         /**
          * Run a query
          *
+         * With parameters.sort or parameters.filter every page is loaded and then filtered and sorted here
+         * (see webAccessConnector.sortObjects / filterObjects), attribute values comparing by their metadata DataType.
+         * queryData.page and page_size then pick the page of that result to return, with its pageCount and objectCount;
+         * without a page_size every object is returned.
+         *
          * @param {Object} parameters
-         * @param {Object} parameters.queryData
+         * @param {Object|webAccessConnector.queryBuilder} parameters.queryData
+         * @param {boolean|Object|undefined} parameters.convertValues overrides connectionInfo.convertValues
+         * @param {string|Object|Array|undefined} parameters.sort attribute paths to order by, "-Path" for descending
+         * @param {function|Array|undefined} parameters.filter predicates (attributes, object) objects have to pass
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         runQuery: function (parameters) {
+            if ((parameters.sort) || (parameters.filter)) {
+                return self.query._runSorted(parameters);
+            }
+
+            var deferred = webAccessConnector.defer(parameters);
+            var queryData = self.query._toQueryData(parameters.queryData);
             var commandPath = "/query/list.rails";
+            var convertOptions = self.metadata._getConvertOptions(parameters);
+
+            var runQueryOnLoad = function (result) {
+                var attributeSets = [];
+                for (var i = 0; i < result.data.objects.length; i++) {
+                    attributeSets.push(result.data.objects[i].attributes);
+                }
+
+                self.metadata._convertValues(queryData.class_name, attributeSets, convertOptions, parameters, deferred.signal, function () {
+                    deferred.onLoad(result);
+                }, deferred.onError);
+            };
+
             var request = new webAccessConnector.webAccessRequest({
                 connectionInfo: connectionInfo,
+                session: self.session,
                 commandPath: commandPath,
                 requestType: webAccessConnector.requestType.get,
-                requestData: parameters.queryData,
-                onLoad: parameters.onLoad,
-                onError: parameters.onError,
-                responseProcessor: self.query._queryResponseProcessor,
+                requestData: queryData,
+                onLoad: (convertOptions) ? runQueryOnLoad : deferred.onLoad,
+                onError: deferred.onError,
+                timeout: parameters.timeout,
+                signal: deferred.signal,
+                middleware: self.middleware.concat([webAccessConnector.middleware.queryObjectCount]),
                 requireJSON: true
             });
             request.go();
+            return deferred.promise;
+        },
+
+        /**
+         * Run a query and load every page of results.
+         * The result is the first page's result with data.objects holding the objects from all pages.
+         *
+         * @param {Object} parameters
+         * @param {Object|webAccessConnector.queryBuilder|undefined} parameters.queryData
+         * @param {?string} parameters.className console query to run when queryData is not given (see runConsoleQuery)
+         * @param {?string} parameters.queryName
+         * @param {?string} parameters.templateName
+         * @param {?number} parameters.pageSize
+         * @param {?number} parameters.maxRecords stop once this many objects have been loaded
+         * @param {?number} parameters.concurrency how many pages may be requested at once, default 1
+         * @param {?function} parameters.onPage called with (result, pageNumber, pageCount) for each page in page order
+         * @param {string|Object|Array|undefined} parameters.sort applied to the objects from all pages (see runQuery)
+         * @param {function|Array|undefined} parameters.filter applied to the objects from all pages (see runQuery)
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        runAll: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var reader = self.query._pageReader(parameters, deferred.signal);
+            var firstResult = null;
+            var objects = [];
+
+            var onPage = function (result, pageNumber, pageCount) {
+                if (!firstResult) {
+                    firstResult = result;
+                }
+
+                for (var i = 0; i < result.data.objects.length; i++) {
+                    objects.push(result.data.objects[i]);
+                }
+
+                if (parameters.onPage) {
+                    parameters.onPage(result, pageNumber, pageCount);
+                }
+
+                reader.read(onPage, onEnd, deferred.onError);
+            };
+
+            var onEnd = function () {
+                var queryData = (parameters.queryData) ? self.query._toQueryData(parameters.queryData) : self.query._consoleQueryData(parameters);
+                self.query._sortAndFilter(queryData.class_name, objects, parameters, deferred.signal, function (sorted) {
+                    firstResult.data.objects = sorted;
+                    deferred.onLoad(firstResult);
+                }, deferred.onError);
+            };
+
+            reader.read(onPage, onEnd, deferred.onError);
+            return deferred.promise;
+        },
+
+        /**
+         * Step through the pages of a query as they are needed.
+         * Returns an async iterator (for await...of) of page results; at most parameters.concurrency pages are loaded ahead.
+         * next() also takes onLoad / onError, called with {value, done}, for environments without Promise support.
+         *
+         * @param {Object} parameters
+         * @param {Object|webAccessConnector.queryBuilder|undefined} parameters.queryData
+         * @param {?string} parameters.className console query to run when queryData is not given (see runConsoleQuery)
+         * @param {?string} parameters.queryName
+         * @param {?string} parameters.templateName
+         * @param {?number} parameters.pageSize
+         * @param {?number} parameters.maxRecords stop once this many objects have been loaded
+         * @param {?number} parameters.concurrency how many pages may be requested at once, default 1
+         * @returns {{next: function(?Object): ?Promise, return: function(?Object): ?Promise}}
+         */
+        pages: function (parameters) {
+            var reader = self.query._pageReader(parameters, parameters.signal);
+            var waiting = [];
+            var reading = false;
+
+            // the reader hands out one page at a time, so calls to next() wait their turn
+            var readNext = function () {
+                if ((reading) || (waiting.length == 0)) {
+                    return;
+                }
+
+                reading = true;
+                var deferred = waiting.shift();
+                var done = function (report, result) {
+                    reading = false;
+                    report(result);
+                    readNext();
+                };
+
+                reader.read(function (result) {
+                    done(deferred.onLoad, {value: result, done: false});
+                }, function () {
+                    done(deferred.onLoad, {value: undefined, done: true});
+                }, function (result) {
+                    done(deferred.onError, result);
+                });
+            };
+
+            var iterator = {
+                next: function (nextParameters) {
+                    var deferred = webAccessConnector.defer(nextParameters);
+                    waiting.push(deferred);
+                    readNext();
+                    return deferred.promise;
+                },
+                "return": function (returnParameters) {
+                    var deferred = webAccessConnector.defer(returnParameters);
+                    reader.stop();
+                    setTimeout(function () {
+                        deferred.onLoad({value: undefined, done: true});
+                    }, 0);
+                    return deferred.promise;
+                }
+            };
+
+            if ((typeof Symbol != "undefined") && (Symbol.asyncIterator)) {
+                iterator[Symbol.asyncIterator] = function () {
+                    return iterator;
+                };
+            }
+
+            return iterator;
+        },
+
+        /**
+         * Export query results as CSV, JSON Lines or an Excel 2003 XML spreadsheet (see webAccessConnector.exportFormats), from a query
+         * (queryData, or a console query's className / queryName) or results already loaded (parameters.result or parameters.objects).
+         * A query is written a page at a time as it loads, unless it is sorted or filtered on the client (see runQuery).
+         * Columns are parameters.attributes in that order (by default the query's attributes), headed by their metadata titles.
+         * Values are written by their metadata DataType: numbers and booleans as such, dates in options.timeZone.
+         *
+         * With parameters.stream (a Node Writable) the output is written to it, ended unless parameters.end is false,
+         * otherwise it is collected into a Blob to download.  An unknown format fails with an invalidRequestData webAccessError,
+         * a stream that errors or closes before the end with a stream webAccessError.
+         * Loaded objects are sorted, filtered and cut to maxRecords like a query's.
+         * result.data: {content (the Blob, null when streamed), contentType, extension, rows, columns: [{attribute, header}]}
+         *
+         * @param {Object} parameters
+         * @param {?string} parameters.format "csv" (the default), "jsonl", "spreadsheetml" or one registered with registerExportFormat
+         * @param {Object|webAccessConnector.queryBuilder|undefined} parameters.queryData
+         * @param {?string} parameters.className with queryName for a console query, and the class of loaded objects
+         * @param {?string} parameters.queryName
+         * @param {?Object} parameters.result a query result already loaded
+         * @param {?Array} parameters.objects query result objects already loaded
+         * @param {?Array} parameters.attributes the columns
+         * @param {string|Object|undefined} parameters.headers "titles" (the default), "names" or a header for each attribute path
+         * @param {string|Object|Array|undefined} parameters.sort see runQuery
+         * @param {function|Array|undefined} parameters.filter see runQuery
+         * @param {?number} parameters.maxRecords stop once this many objects have been exported
+         * @param {?Object} parameters.stream
+         * @param {?boolean} parameters.end
+         * @param {?Object} parameters.options overrides webAccessConnector.exportDefaults
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        exportResults: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var formatName = parameters.format || "csv";
+            if (!webAccessConnector.exportFormats.hasOwnProperty(formatName)) {
+                return webAccessConnector.failParameters(deferred, "unknown export format \"" + formatName + "\"");
+            }
+
+            var format = webAccessConnector.exportFormats[formatName];
+            var options = webAccessConnector.getExportOptions(parameters.options);
+            var loaded = (parameters.result) ? parameters.result.data.objects : parameters.objects;
+            var queryData = null;
+            if (!loaded) {
+                queryData = (parameters.queryData) ? self.query._toQueryData(parameters.queryData) : self.query._consoleQueryData(parameters);
+            }
+            var className = parameters.className || ((queryData) ? queryData.class_name : null);
+            var columns = null;
+            var descriptions = {};
+            var rows = 0;
+            var failed = false;
+            var reader = null;
+
+            var fail = function (result) {
+                if (!failed) {
+                    failed = true;
+                    if (reader) {
+                        reader.stop();
+                    }
+                    deferred.onError(result);
+                }
+            };
+
+            var sink = webAccessConnector.exportSink(parameters.stream, format.contentType, parameters.end !== false, fail);
+
+            var attributesOf = function (objects) {
+                if (parameters.attributes) {
+                    return parameters.attributes;
+                }
+                if ((queryData) && (queryData.attributes)) {
+                    return String(queryData.attributes).split(",");
+                }
+
+                var attributes = [];
+                for (var i = 0; i < objects.length; i++) {
+                    var values = webAccessConnector.valuesOf(objects[i]);
+                    for (var name in values) {
+                        if ((values.hasOwnProperty(name)) && (attributes.indexOf(name) == -1)) {
+                            attributes.push(name);
+                        }
+                    }
+                }
+                return attributes;
+            };
+
+            var headerOf = function (attribute) {
+                if ((parameters.headers) && (typeof parameters.headers == "object") && (parameters.headers.hasOwnProperty(attribute))) {
+                    return parameters.headers[attribute];
+                }
+                if ((parameters.headers == "names") || (!descriptions[attribute])) {
+                    return attribute;
+                }
+                return descriptions[attribute].title || attribute;
+            };
+
+            var writeObjects = function (objects, next) {
+                var text = "";
+                for (var i = 0; i < objects.length; i++) {
+                    var values = webAccessConnector.valuesOf(objects[i]);
+                    var row = [];
+                    for (var j = 0; j < columns.length; j++) {
+                        var value = values[columns[j].attribute];
+                        if ((typeof value == "string") && (descriptions[columns[j].attribute])) {
+                            value = webAccessConnector.convertValue(value, descriptions[columns[j].attribute], options);
+                        }
+                        row.push(webAccessConnector.exportValue(value));
+                    }
+                    text += format.row(row, columns, options);
+                    rows++;
+                }
+                sink.write(text, next);
+            };
+
+            // the columns and their titles come from the first page
+            var begin = function (objects, next) {
+                var attributes = attributesOf(objects);
+
+                var start = function () {
+                    columns = [];
+                    for (var i = 0; i < attributes.length; i++) {
+                        columns.push({attribute: attributes[i], header: headerOf(attributes[i])});
+                    }
+                    sink.write(format.begin(columns, options), function () {
+                        writeObjects(objects, next);
+                    });
+                };
+
+                if (!className) {
+                    start();
+                    return;
+                }
+
+                self.metadata._describePaths(className, attributes, parameters, deferred.signal, function (described) {
+                    descriptions = described;
+                    start();
+                }, fail);
+            };
+
+            var onObjects = function (objects, next) {
+                if (failed) {
+                    return;
+                }
+                if (!columns) {
+                    begin(objects, next);
+                } else {
+                    writeObjects(objects, next);
+                }
+            };
+
+            var finish = function () {
+                if (failed) {
+                    return;
+                }
+
+                var complete = function () {
+                    sink.write(format.end(columns, options), function () {
+                        sink.end(function (content) {
+                            deferred.onLoad({
+                                data: {
+                                    content: content, contentType: format.contentType, extension: format.extension, rows: rows, columns: columns
+                                },
+                                response: null, statusCode: 200, loggedOn: false, loggedOff: false
+                            });
+                        });
+                    });
+                };
+
+                // an empty result still gets its header row
+                if (!columns) {
+                    begin([], complete);
+                } else {
+                    complete();
+                }
+            };
+
+            // loaded objects are sorted, filtered and cut to maxRecords as a query's would be
+            if (loaded) {
+                setTimeout(function () {
+                    self.query._sortAndFilter(className, loaded, parameters, deferred.signal, function (objects) {
+                        onObjects((parameters.maxRecords) ? objects.slice(0, parameters.maxRecords) : objects, finish);
+                    }, fail);
+                }, 0);
+                return deferred.promise;
+            }
+
+            // client-side sorting needs every page before the first row can be written
+            if ((parameters.sort) || (parameters.filter)) {
+                self.query.runQuery({
+                    queryData: queryData, convertValues: false, sort: parameters.sort, filter: parameters.filter,
+                    timeout: parameters.timeout, signal: deferred.signal, onError: fail,
+                    onLoad: function (result) {
+                        var objects = result.data.objects;
+                        onObjects((parameters.maxRecords) ? objects.slice(0, parameters.maxRecords) : objects, finish);
+                    }
+                });
+                return deferred.promise;
+            }
+
+            reader = self.query._pageReader({
+                queryData: queryData, convertValues: false, maxRecords: parameters.maxRecords, concurrency: parameters.concurrency,
+                timeout: parameters.timeout
+            }, deferred.signal);
+
+            var read = function () {
+                reader.read(function (result) {
+                    onObjects(result.data.objects, read);
+                }, finish, fail);
+            };
+            read();
+            return deferred.promise;
+        },
+
+        /**
+         *
+         * @param {Object|webAccessConnector.queryBuilder} queryData
+         * @returns {Object}
+         * @private
+         */
+        _toQueryData: function (queryData) {
+            if (queryData instanceof webAccessConnector.queryBuilder) {
+                return queryData.toQueryData();
+            }
+            return queryData;
+        },
+
+        /**
+         *
+         * @param {Object} parameters
+         * @returns {Object}
+         * @private
+         */
+        _consoleQueryData: function (parameters) {
+            var queryData = {
+                class_name: parameters.className,
+                query: parameters.queryName
+            };
+
+            if (parameters.templateName) {
+                queryData.template = parameters.templateName;
+            }
+
+            if (parameters.pageSize) {
+                queryData.page_size = parameters.pageSize;
+            }
+
+            return queryData;
+        },
+
+        /**
+         * runQuery with a client-side sort / filter: every page is loaded, then the requested page of the sorted result returned
+         *
+         * @param {Object} parameters see runQuery
+         * @returns {?Promise}
+         * @private
+         */
+        _runSorted: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var queryData = self.query._toQueryData(parameters.queryData);
+            var page = parseInt(queryData.page, 10) || 1;
+            var pageSize = parseInt(queryData.page_size, 10) || 0;
+            var loadData = {};
+
+            for (var name in queryData) {
+                if ((queryData.hasOwnProperty(name)) && (name != "page")) {
+                    loadData[name] = queryData[name];
+                }
+            }
+            loadData.page_size = Math.max(pageSize, webAccessConnector.clientQueryDefaults.pageSize);
+
+            self.query.runAll({
+                queryData: loadData, concurrency: webAccessConnector.clientQueryDefaults.concurrency, convertValues: parameters.convertValues,
+                sort: parameters.sort, filter: parameters.filter, timeout: parameters.timeout, signal: deferred.signal,
+                onError: deferred.onError,
+                onLoad: function (result) {
+                    var objects = result.data.objects;
+
+                    result.data.objectCount = objects.length;
+                    if (pageSize) {
+                        result.data.pageCount = Math.max(1, Math.ceil(objects.length / pageSize));
+                        result.data.objects = objects.slice((page - 1) * pageSize, page * pageSize);
+                    } else {
+                        result.data.pageCount = 1;
+                    }
+                    deferred.onLoad(result);
+                }
+            });
+            return deferred.promise;
         },
 
         /**
+         * Filter then sort query result objects for parameters.filter / parameters.sort,
+         * looking up the valueType of the sort attributes in the class metadata
          *
-         * @param {Object} responseData
-         * @param {string|number} responseData.pageCount
-         * @param {number} responseData.objectCount
-         * @param {Array} responseData.objects
-         * @param response
+         * @param {string} className
+         * @param {Array} objects
+         * @param {Object} parameters the command's parameters
+         * @param {Object} signal
+         * @param {function} onLoad with the objects
+         * @param {function} onError
          * @private
          */
-        _queryResponseProcessor: function (responseData, response) {
-            // fix the objectCount that is always 0 when pageCount is 1.
-            if (responseData.pageCount == 1) {
-                responseData.objectCount = responseData.objects.length;
+        _sortAndFilter: function (className, objects, parameters, signal, onLoad, onError) {
+            if (parameters.filter) {
+                objects = webAccessConnector.filterObjects(objects, parameters.filter);
+            }
+
+            var keys = (parameters.sort) ? webAccessConnector.getSortKeys(parameters.sort) : [];
+            var paths = [];
+            for (var i = 0; i < keys.length; i++) {
+                if ((!keys[i].valueType) && (paths.indexOf(keys[i].attribute) == -1)) {
+                    paths.push(keys[i].attribute);
+                }
+            }
+
+            if (keys.length == 0) {
+                onLoad(objects);
+                return;
+            }
+
+            // objects of no known class are compared as they are
+            if (!className) {
+                onLoad(webAccessConnector.sortObjects(objects, keys));
+                return;
             }
+
+            self.metadata._describePaths(className, paths, parameters, signal, function (descriptions) {
+                var valueTypes = {};
+                for (var path in descriptions) {
+                    if (descriptions.hasOwnProperty(path)) {
+                        valueTypes[path] = descriptions[path].valueType;
+                    }
+                }
+                onLoad(webAccessConnector.sortObjects(objects, keys, valueTypes));
+            }, onError);
+        },
+
+        /**
+         * Loads the pages of a query in order, keeping up to parameters.concurrency pages requested ahead of the reader.
+         * Each read() reports exactly once: onPage(result, pageNumber, pageCount), onEnd() or onError(result).
+         *
+         * @param {Object} parameters see runAll
+         * @param {?Object} signal cancels the page requests
+         * @returns {{read: function(function, function, function), stop: function}}
+         * @private
+         */
+        _pageReader: function (parameters, signal) {
+            var baseQueryData = (parameters.queryData) ? self.query._toQueryData(parameters.queryData) : self.query._consoleQueryData(parameters);
+            var readerSignal = new webAccessConnector.cancelSignal(signal);
+            var concurrency = Math.max(1, parameters.concurrency || 1);
+            var maxRecords = parameters.maxRecords || 0;
+            var received = {};
+            var failure = null;
+            var pending = null;
+            var stopped = false;
+            var pageCountKnown = false;
+            var pageCount = 1;
+            var lastPage = 1;
+            var nextToRequest = 1;
+            var nextToDeliver = 1;
+            var recordCount = 0;
+
+            var requestPage = function (pageNumber) {
+                var queryData = {};
+                for (var name in baseQueryData) {
+                    if (baseQueryData.hasOwnProperty(name)) {
+                        queryData[name] = baseQueryData[name];
+                    }
+                }
+                queryData.page = pageNumber;
+
+                self.query.runQuery({
+                    queryData: queryData,
+                    timeout: parameters.timeout,
+                    signal: readerSignal,
+                    convertValues: parameters.convertValues,
+                    onLoad: function (result) {
+                        if (pageNumber == 1) {
+                            pageCount = Math.max(1, parseInt(result.data.pageCount, 10) || 1);
+                            lastPage = pageCount;
+                            if ((maxRecords) && (result.data.objects.length > 0)) {
+                                lastPage = Math.min(pageCount, Math.ceil(maxRecords / result.data.objects.length));
+                            }
+                            pageCountKnown = true;
+                        }
+                        received[pageNumber] = result;
+                        fill();
+                        flush();
+                    },
+                    onError: function (result) {
+                        if (!failure) {
+                            failure = result;
+                        }
+                        flush();
+                    }
+                });
+            };
+
+            // the first page tells us how many pages there are, after that stay up to concurrency pages ahead
+            var fill = function () {
+                var limit = (pageCountKnown) ? lastPage : 1;
+                while ((!stopped) && (!failure) && (nextToRequest <= limit) && (nextToRequest - nextToDeliver < concurrency)) {
+                    requestPage(nextToRequest);
+                    nextToRequest++;
+                }
+            };
+
+            var flush = function () {
+                if (!pending) {
+                    return;
+                }
+
+                var callbacks = pending;
+                if (failure) {
+                    pending = null;
+                    callbacks.onError(failure);
+                    return;
+                }
+
+                if ((stopped) || ((pageCountKnown) && (nextToDeliver > lastPage)) || ((maxRecords) && (recordCount >= maxRecords))) {
+                    pending = null;
+                    callbacks.onEnd();
+                    return;
+                }
+
+                var result = received[nextToDeliver];
+                if (!result) {
+                    return;
+                }
+
+                if ((maxRecords) && (recordCount + result.data.objects.length > maxRecords)) {
+                    result.data.objects = result.data.objects.slice(0, maxRecords - recordCount);
+                }
+                recordCount += result.data.objects.length;
+
+                var pageNumber = nextToDeliver;
+                delete received[nextToDeliver];
+                nextToDeliver++;
+                pending = null;
+                fill();
+                callbacks.onPage(result, pageNumber, pageCount);
+            };
+
+            return {
+                read: function (onPage, onEnd, onError) {
+                    pending = {onPage: onPage, onEnd: onEnd, onError: onError};
+                    fill();
+                    flush();
+                },
+                stop: function () {
+                    stopped = true;
+                    received = {};
+                    flush();
+                    readerSignal.abort();
+                }
+            };
         }
 
     };
 
-    // Record Commands: record.createRecord, record.createProcessRecord, record.openRecord, record.updateRecord, record.deleteRecord
+    // Record Commands: record.createRecord, record.createProcessRecord, record.openRecord, record.updateRecord, record.deleteRecord, record.validate,
+    // record.bulkCreate, record.bulkUpdate, record.bulkDelete
     this.record = {
         /**
          * Save a new record
@@ -103,10 +761,11 @@ var webAccessConnector = function (connectionInfo) {
          * @param {Object} parameters.attributeValues
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         createRecord: function (parameters) {
             var createData = self.record._prepareSaveData(parameters.className, true, parameters.attributeValues);
-            self.record._save(createData, parameters.onLoad, parameters.onError);
+            return self.record._save(createData, parameters);
         },
 
         /**
@@ -119,6 +778,7 @@ var webAccessConnector = function (connectionInfo) {
          * @param {Object} parameters.attributeValues
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         createProcessRecord: function (parameters) {
             var createData = self.record._prepareSaveData(parameters.className, true, parameters.attributeValues);
@@ -131,7 +791,7 @@ var webAccessConnector = function (connectionInfo) {
                 createData.object_template_name = parameters.templateName;
             }
 
-            self.record._save(createData, parameters.onLoad, parameters.onError);
+            return self.record._save(createData, parameters);
         },
 
         /**
@@ -140,41 +800,87 @@ var webAccessConnector = function (connectionInfo) {
          * @param {Object} parameters
          * @param {string} parameters.className
          * @param {string} parameters.key
+         * @param {boolean|Object|undefined} parameters.convertValues overrides connectionInfo.convertValues
+         * @param {boolean|undefined} parameters.model result.data is a webAccessConnector.recordModel rather than the JSON
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         openRecord: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
             var openData = {
                 class_name: parameters.className,
                 key: parameters.key
             };
             var commandPath = "/object/open.rails";
-            var request = new webAccessConnector.webAccessRequest({
-                connectionInfo: connectionInfo,
-                commandPath: commandPath,
-                requestType: webAccessConnector.requestType.get,
-                requestData: openData,
-                onLoad: parameters.onLoad,
-                onError: parameters.onError,
-                requireJSON: true
-            });
-            request.go();
-        },
+            var convertOptions = self.metadata._getConvertOptions(parameters);
 
-        /**
+            var concurrencyOptions = self.record._getConcurrencyOptions(parameters);
+
+            var openRecordOnLoad = function (result) {
+                if (concurrencyOptions) {
+                    self.record._remember(parameters.className, parameters.key, self.record._attributesOf(result.data), concurrencyOptions);
+                }
+
+                var done = function () {
+                    if (parameters.model) {
+                        result.data = new webAccessConnector.recordModel(self, parameters.className, parameters.key, result.data);
+                    }
+                    deferred.onLoad(result);
+                };
+
+                if (!convertOptions) {
+                    done();
+                    return;
+                }
+
+                var attributes = self.record._attributesOf(result.data);
+                self.metadata._convertValues(parameters.className, [attributes], convertOptions, parameters, deferred.signal, done, deferred.onError);
+            };
+
+            var request = new webAccessConnector.webAccessRequest({
+                connectionInfo: connectionInfo,
+                session: self.session,
+                commandPath: commandPath,
+                requestType: webAccessConnector.requestType.get,
+                requestData: openData,
+                onLoad: ((convertOptions) || (parameters.model) || (concurrencyOptions)) ? openRecordOnLoad : deferred.onLoad,
+                onError: deferred.onError,
+                timeout: parameters.timeout,
+                signal: deferred.signal,
+                middleware: self.middleware,
+                requireJSON: true
+            });
+            request.go();
+            return deferred.promise;
+        },
+
+        /**
          * Save changes to an existing record
          *
+         * With parameters.checkConcurrency or connectionInfo.checkConcurrency the record is opened again first and,
+         * if it has changed since this connector last opened it, the save fails with a conflict webAccessError
+         * holding the server's currentValues and a diff (see webAccessConnector.diffValues).  Saving again saves over
+         * those changes: the conflict is only reported once, unless the record changes again.
+         *
+         * The check is best-effort.  Web Access has no conditional save, so the check costs an extra open on every
+         * checked save and a change made between that open and the save is still overwritten.  Only records opened with
+         * the check on are compared (or those given parameters.original); a successful save forgets the record until it
+         * is opened again, and at most options.maxSnapshots records are remembered.
+         *
          * @param {Object} parameters
          * @param {string} parameters.className
          * @param {string} parameters.key
          * @param {Object} parameters.attributeValues
+         * @param {Object|undefined} parameters.original the record's values to check against instead of those remembered
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         updateRecord: function (parameters) {
             var updateData = self.record._prepareSaveData(parameters.className, false, parameters.attributeValues);
             updateData.key = parameters.key;
-            self.record._save(updateData, parameters.onLoad, parameters.onError);
+            return self.record._save(updateData, parameters);
         },
 
         /**
@@ -185,23 +891,158 @@ var webAccessConnector = function (connectionInfo) {
          * @param {string} parameters.key
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         deleteRecord: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
             var deleteData = {
                 class_name: parameters.className,
                 key: parameters.key
             };
             var commandPath = "/object/delete.rails";
+
+            var deleteRecordOnLoad = function (result) {
+                self.record._forget(parameters.className, parameters.key);
+                deferred.onLoad(result);
+            };
+
             var request = new webAccessConnector.webAccessRequest({
                 connectionInfo: connectionInfo,
+                session: self.session,
                 commandPath: commandPath,
                 requestType: webAccessConnector.requestType.post,
                 requestData: deleteData,
-                onLoad: parameters.onLoad,
-                onError: parameters.onError,
+                onLoad: deleteRecordOnLoad,
+                onError: deferred.onError,
+                timeout: parameters.timeout,
+                signal: deferred.signal,
+                middleware: self.middleware,
                 requireJSON: true
             });
             request.go();
+            return deferred.promise;
+        },
+
+        /**
+         * Create many records, parameters.concurrency at a time.
+         * Each item holds the createProcessRecord parameters for one record ({attributeValues: {...}}); any other
+         * parameters (className, lifecycleName, templateName, validate...) apply to every item that does not set them.
+         * result.data is the report (see _runBulk): every item succeeds or fails on its own unless parameters.stopOnError.
+         *
+         * @param {Object} parameters
+         * @param {Array} parameters.items
+         * @param {?number} parameters.concurrency how many requests may be outstanding at once, default 1
+         * @param {?boolean} parameters.stopOnError start no more items once one has failed
+         * @param {?function} parameters.onProgress called with {completed, total, succeeded, failed, item} as each item finishes
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        bulkCreate: function (parameters) {
+            return self.record._runBulk(self.record.createProcessRecord, parameters);
+        },
+
+        /**
+         * Save changes to many records, parameters.concurrency at a time (see bulkCreate).
+         * Each item holds the updateRecord parameters for one record ({key: ..., attributeValues: {...}}).
+         *
+         * @param {Object} parameters
+         * @param {Array} parameters.items
+         * @param {?number} parameters.concurrency
+         * @param {?boolean} parameters.stopOnError
+         * @param {?function} parameters.onProgress
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        bulkUpdate: function (parameters) {
+            return self.record._runBulk(self.record.updateRecord, parameters);
+        },
+
+        /**
+         * Delete many records, parameters.concurrency at a time (see bulkCreate).
+         * Each item is a key or the deleteRecord parameters for one record.
+         *
+         * @param {Object} parameters
+         * @param {Array} parameters.items
+         * @param {?number} parameters.concurrency
+         * @param {?boolean} parameters.stopOnError
+         * @param {?function} parameters.onProgress
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        bulkDelete: function (parameters) {
+            return self.record._runBulk(self.record.deleteRecord, parameters);
+        },
+
+        /**
+         * Check attribute values against the class metadata without saving: unknown attributes,
+         * values of the wrong type for the attribute's DataType and primary keys (which can't be written).
+         * Fails with a validation webAccessError whose fieldErrors list what is wrong with each attribute
+         * (see webAccessConnector.validateAttributeValues).
+         * Saves do this first when parameters.validate or connectionInfo.validate is true.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className
+         * @param {Object} parameters.attributeValues
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        validate: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var fail = function (errorText, fieldErrors, response) {
+                deferred.onError(new webAccessConnector.webAccessError({
+                    code: webAccessConnector.errorCodes.validation,
+                    statusCode: 0,
+                    errorText: errorText,
+                    commandPath: "/object/save.rails",
+                    requestData: webAccessConnector.redact(parameters.attributeValues || {}),
+                    response: response,
+                    fieldErrors: fieldErrors
+                }));
+            };
+
+            var getObjectOnLoad = function (result) {
+                if (!result.data) {
+                    fail("Unknown class " + parameters.className, [], result.response);
+                    return;
+                }
+
+                self.metadata.getAttributesForObject({
+                    objectGuid: result.data.guid, onLoad: getAttributesOnLoad, onError: deferred.onError,
+                    timeout: parameters.timeout, signal: deferred.signal
+                });
+            };
+
+            var getAttributesOnLoad = function (result) {
+                var fieldErrors = webAccessConnector.validateAttributeValues(parameters.attributeValues || {}, result.data.attributes);
+                if (fieldErrors.length > 0) {
+                    fail("Invalid attribute values for " + parameters.className, fieldErrors, result.response);
+                    return;
+                }
+
+                result.data = {valid: true};
+                deferred.onLoad(result);
+            };
+
+            self.metadata.getObject({
+                className: parameters.className, onLoad: getObjectOnLoad, onError: deferred.onError,
+                timeout: parameters.timeout, signal: deferred.signal
+            });
+            return deferred.promise;
+        },
+
+        /**
+         * The attribute values of a record as open / save return it
+         *
+         * @param {Object} recordData
+         * @returns {Object}
+         * @private
+         */
+        _attributesOf: function (recordData) {
+            return ((recordData) && (typeof recordData.attributes == "object")) ? recordData.attributes : recordData;
         },
 
         /**
@@ -213,9 +1054,12 @@ var webAccessConnector = function (connectionInfo) {
          * @private
          */
         _prepareSaveData: function (className, isNew, attributeValues) {
+            // a copy, the values are encoded when the request is sent (see webAccessConnector.ajax.encodeForm)
             var createData = {};
-            if (attributeValues) {
-                createData = JSON.parse(JSON.stringify(attributeValues));
+            for (var name in attributeValues) {
+                if ((attributeValues) && (attributeValues.hasOwnProperty(name))) {
+                    createData[name] = attributeValues[name];
+                }
             }
             createData.class_name = className;
             createData.is_new = isNew;
@@ -225,27 +1069,326 @@ var webAccessConnector = function (connectionInfo) {
         /**
          *
          * @param {Object} saveData
-         * @param {function} onLoad
-         * @param {function} onError
+         * @param {Object} parameters the command's parameters (attributeValues, validate, onLoad, onError, timeout, signal)
+         * @returns {?Promise}
          * @private
          */
-        _save: function (saveData, onLoad, onError) {
+        _save: function (saveData, parameters) {
+            var deferred = webAccessConnector.defer(parameters);
             var commandPath = "/object/save.rails";
-            var request = new webAccessConnector.webAccessRequest({
-                connectionInfo: connectionInfo,
-                commandPath: commandPath,
-                requestType: webAccessConnector.requestType.post,
-                requestData: saveData,
-                onLoad: onLoad,
-                onError: onError,
-                requireJSON: true
+            var validate = (parameters.hasOwnProperty("validate")) ? parameters.validate : connectionInfo.validate;
+            var convertOptions = self.metadata._getConvertOptions(parameters);
+
+            // from the caller's values, not the copy in saveData
+            if ((convertOptions) && (parameters.attributeValues)) {
+                for (var name in parameters.attributeValues) {
+                    if (parameters.attributeValues.hasOwnProperty(name)) {
+                        saveData[name] = webAccessConnector.serializeValue(parameters.attributeValues[name], convertOptions);
+                    }
+                }
+            }
+
+            var concurrencyOptions = (saveData.key) ? self.record._getConcurrencyOptions(parameters) : null;
+
+            // the saved record comes back converted like openRecord's
+            var saveOnLoad = function (result) {
+                var attributes = self.record._attributesOf(result.data);
+
+                if (concurrencyOptions) {
+                    self.record._forget(saveData.class_name, saveData.key);
+                }
+
+                if (!convertOptions) {
+                    deferred.onLoad(result);
+                    return;
+                }
+
+                self.metadata._convertValues(saveData.class_name, [attributes], convertOptions, parameters, deferred.signal, function () {
+                    deferred.onLoad(result);
+                }, deferred.onError);
+            };
+
+            var send = function () {
+                var request = new webAccessConnector.webAccessRequest({
+                    connectionInfo: connectionInfo,
+                    session: self.session,
+                    commandPath: commandPath,
+                    requestType: webAccessConnector.requestType.post,
+                    requestData: saveData,
+                    onLoad: ((convertOptions) || (concurrencyOptions)) ? saveOnLoad : deferred.onLoad,
+                    onError: deferred.onError,
+                    timeout: parameters.timeout,
+                    signal: deferred.signal,
+                    middleware: self.middleware,
+                    requireJSON: true,
+                    onUploadProgress: parameters.onUploadProgress
+                });
+                request.go();
+            };
+
+            var checkConcurrency = function () {
+                if (!concurrencyOptions) {
+                    send();
+                    return;
+                }
+
+                self.record._checkConcurrency(saveData, parameters, concurrencyOptions, deferred.signal, send, deferred.onError);
+            };
+
+            if (!validate) {
+                checkConcurrency();
+                return deferred.promise;
+            }
+
+            self.record.validate({
+                className: saveData.class_name, attributeValues: parameters.attributeValues,
+                onLoad: checkConcurrency, onError: deferred.onError, timeout: parameters.timeout, signal: deferred.signal
             });
-            request.go();
+            return deferred.promise;
+        },
+
+        // the records as they were last opened, by class name and key, when checking concurrency
+        _snapshots: {},
+
+        // the _snapshots keys, the least recently remembered first
+        _snapshotOrder: [],
+
+        /**
+         * The concurrency check options for a command, null when it is not checked
+         *
+         * @param {Object} parameters the command's parameters
+         * @returns {?Object}
+         * @private
+         */
+        _getConcurrencyOptions: function (parameters) {
+            var setting = (parameters.checkConcurrency !== undefined) ? parameters.checkConcurrency : connectionInfo.checkConcurrency;
+            return webAccessConnector.getConcurrencyOptions(setting);
+        },
+
+        /**
+         * Keep a copy of the record as the server has it, forgetting the least recently remembered beyond options.maxSnapshots
+         *
+         * @param {string} className
+         * @param {string} key
+         * @param {Object} attributes
+         * @param {Object} options see webAccessConnector.concurrencyDefaults
+         * @private
+         */
+        _remember: function (className, key, attributes, options) {
+            var snapshot = {};
+            for (var name in attributes) {
+                if (attributes.hasOwnProperty(name)) {
+                    snapshot[name] = attributes[name];
+                }
+            }
+
+            self.record._forget(className, key);
+            self.record._snapshots[className + "|" + key] = snapshot;
+            self.record._snapshotOrder.push(className + "|" + key);
+
+            while (self.record._snapshotOrder.length > Math.max(1, options.maxSnapshots)) {
+                delete self.record._snapshots[self.record._snapshotOrder.shift()];
+            }
+        },
+
+        /**
+         * @param {string} className
+         * @param {string} key
+         * @private
+         */
+        _forget: function (className, key) {
+            var i = self.record._snapshotOrder.indexOf(className + "|" + key);
+            if (i > -1) {
+                self.record._snapshotOrder.splice(i, 1);
+                delete self.record._snapshots[className + "|" + key];
+            }
+        },
+
+        /**
+         * Open the record again and fail with a conflict if it has changed since the snapshot (or parameters.original)
+         *
+         * @param {Object} saveData
+         * @param {Object} parameters the command's parameters
+         * @param {Object} options see webAccessConnector.concurrencyDefaults
+         * @param {Object} signal
+         * @param {function} onOk
+         * @param {function} onError
+         * @private
+         */
+        _checkConcurrency: function (saveData, parameters, options, signal, onOk, onError) {
+            var original = parameters.original || self.record._snapshots[saveData.class_name + "|" + saveData.key];
+
+            // nothing to compare with
+            if (!original) {
+                onOk();
+                return;
+            }
+
+            self.record.openRecord({
+                className: saveData.class_name, key: saveData.key, convertValues: false, checkConcurrency: false,
+                timeout: parameters.timeout, signal: signal, onError: onError,
+                onLoad: function (result) {
+                    var current = self.record._attributesOf(result.data);
+                    var diff = webAccessConnector.diffValues(original, current, parameters.attributeValues || {});
+                    var versionAttribute = options.versionAttribute;
+                    var conflict = ((versionAttribute) && (original.hasOwnProperty(versionAttribute)) && (current.hasOwnProperty(versionAttribute))) ?
+                        (String(original[versionAttribute]) != String(current[versionAttribute])) : (diff.length > 0);
+
+                    if (!conflict) {
+                        onOk();
+                        return;
+                    }
+
+                    // the caller has been told, saving again saves over these changes
+                    self.record._remember(saveData.class_name, saveData.key, current, options);
+
+                    onError(new webAccessConnector.webAccessError({
+                        code: webAccessConnector.errorCodes.conflict,
+                        statusCode: 0,
+                        errorText: "The record has been changed since it was opened",
+                        commandPath: "/object/save.rails",
+                        requestData: webAccessConnector.redact(saveData),
+                        response: result.response,
+                        currentValues: current,
+                        diff: diff
+                    }));
+                }
+            });
+        },
+
+        // parameters of the bulk commands themselves rather than of each item's command
+        _bulkParameters: ["items", "concurrency", "stopOnError", "onProgress", "onLoad", "onError", "signal"],
+
+        /**
+         * Run a command for each of parameters.items.  Reports with onLoad once every item has finished, been skipped or
+         * been cancelled: {total, succeeded, failed, skipped, cancelled, stopped, items: [{index, item, status ("succeeded",
+         * "failed", "skipped" or "cancelled"), result, error}]}.  Items not started once an item fails with stopOnError are
+         * skipped.  cancel() starts no more items; those and the items in progress that fail as cancelled are cancelled.
+         *
+         * @param {function} command
+         * @param {Object} parameters
+         * @returns {?Promise}
+         * @private
+         */
+        _runBulk: function (command, parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var items = parameters.items || [];
+            var concurrency = Math.max(1, parameters.concurrency || 1);
+            var report = {total: items.length, succeeded: 0, failed: 0, skipped: 0, cancelled: 0, stopped: false, items: []};
+            var nextItem = 0;
+            var running = 0;
+            var stopped = false;
+            var starting = false;
+            var finished = false;
+
+            for (var i = 0; i < items.length; i++) {
+                report.items.push({index: i, item: items[i], status: null, result: null, error: null});
+            }
+
+            // items can finish while they are being started (a command failing straight away), so start is not
+            // re-entered: the loop already running carries on with the next item
+            var start = function () {
+                if (starting) {
+                    return;
+                }
+
+                starting = true;
+                while ((!stopped) && (running < concurrency) && (nextItem < items.length)) {
+                    run(nextItem++);
+                }
+                starting = false;
+
+                if ((running == 0) && (!finished)) {
+                    finish();
+                }
+            };
+
+            var run = function (index) {
+                var item = (typeof items[index] == "object") ? items[index] : {key: items[index]};
+                var commandParameters = {};
+                var name;
+
+                for (name in parameters) {
+                    if ((parameters.hasOwnProperty(name)) && (self.record._bulkParameters.indexOf(name) == -1)) {
+                        commandParameters[name] = parameters[name];
+                    }
+                }
+                for (name in item) {
+                    if (item.hasOwnProperty(name)) {
+                        commandParameters[name] = item[name];
+                    }
+                }
+
+                commandParameters.signal = deferred.signal;
+                commandParameters.onLoad = function (result) {
+                    report.items[index].status = "succeeded";
+                    report.items[index].result = result;
+                    report.succeeded++;
+                    done(index);
+                };
+                commandParameters.onError = function (result) {
+                    report.items[index].error = result;
+                    if ((deferred.signal.aborted) && (result) && (result.code == webAccessConnector.errorCodes.cancelled)) {
+                        report.items[index].status = "cancelled";
+                        report.cancelled++;
+                    } else {
+                        report.items[index].status = "failed";
+                        report.failed++;
+                        if (parameters.stopOnError) {
+                            stopped = true;
+                        }
+                    }
+                    done(index);
+                };
+
+                running++;
+                command(commandParameters);
+            };
+
+            var done = function (index) {
+                running--;
+
+                if (parameters.onProgress) {
+                    parameters.onProgress({
+                        completed: report.succeeded + report.failed + report.cancelled, total: report.total,
+                        succeeded: report.succeeded, failed: report.failed, cancelled: report.cancelled, item: report.items[index]
+                    });
+                }
+
+                start();
+            };
+
+            var finish = function () {
+                finished = true;
+                for (var i = nextItem; i < items.length; i++) {
+                    if (deferred.signal.aborted) {
+                        report.items[i].status = "cancelled";
+                        report.cancelled++;
+                    } else {
+                        report.items[i].status = "skipped";
+                        report.skipped++;
+                    }
+                }
+                report.stopped = (nextItem < items.length);
+                deferred.onLoad({data: report, response: null, statusCode: 200, loggedOn: false, loggedOff: false});
+            };
+
+            deferred.signal.addEventListener("abort", function () {
+                stopped = true;
+            });
+
+            if (items.length == 0) {
+                setTimeout(start, 0);
+            } else {
+                start();
+            }
+            return deferred.promise;
         }
 
     };
 
-    // Action Commands: action.collectionAction, action.updateAction, action.windowlessAction, action.attachDetachAction
+    // Action Commands: action.collectionAction, action.updateAction, action.windowlessAction, action.attachDetachAction, action.bulkAction,
+    // action.getActions, action.invokeAction
     this.action = {
         /**
          * Perform a collection action
@@ -255,16 +1398,18 @@ var webAccessConnector = function (connectionInfo) {
          * @param {string} parameters.processKey
          * @param {string} parameters.actionName
          * @param {string} parameters.collectionClassName
-         * @param {Object} parameters.attributeValues
+         * @param {Object} parameters.attributeValues files among them (see webAccessConnector.file) are uploaded with the record
+         * @param {?function} parameters.onUploadProgress called with {loaded, total} bytes while files are uploaded
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         collectionAction: function (parameters) {
             var actionData = self.record._prepareSaveData(parameters.collectionClassName, true, parameters.attributeValues);
             actionData.parent_class_name = parameters.processClassName;
             actionData.parent_key = parameters.processKey;
             actionData.parent_function_name = parameters.actionName;
-            self.record._save(actionData, parameters.onLoad, parameters.onError);
+            return self.record._save(actionData, parameters);
         },
 
         /**
@@ -277,12 +1422,13 @@ var webAccessConnector = function (connectionInfo) {
          * @param {Object} parameters.attributeValues
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         updateAction: function (parameters) {
             var actionData = self.record._prepareSaveData(parameters.className, false, parameters.attributeValues);
             actionData.key = parameters.key;
             actionData.function_name = parameters.actionName;
-            self.record._save(actionData, parameters.onLoad, parameters.onError);
+            return self.record._save(actionData, parameters);
         },
 
         /**
@@ -294,6 +1440,7 @@ var webAccessConnector = function (connectionInfo) {
          * @param {string} parameters.actionName
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         windowlessAction: function (parameters) {
             var actionData = {
@@ -302,7 +1449,7 @@ var webAccessConnector = function (connectionInfo) {
                 function_name: parameters.actionName,
                 is_new: false
             };
-            self.action._invokeFunction(actionData, parameters.onLoad, parameters.onError, false);
+            return self.action._invokeFunction(actionData, parameters, false);
         },
 
         /**
@@ -316,6 +1463,7 @@ var webAccessConnector = function (connectionInfo) {
          * @param {string} parameters.linkedKey
          * @param {function} parameters.onLoad
          * @param {function} parameters.onError
+         * @returns {?Promise}
          */
         attachDetachAction: function (parameters) {
             var actionData = {
@@ -326,627 +1474,6000 @@ var webAccessConnector = function (connectionInfo) {
                 child_key: parameters.linkedKey,
                 is_new: false
             };
-            self.action._invokeFunction(actionData, parameters.onLoad, parameters.onError, true);
+            return self.action._invokeFunction(actionData, parameters, true);
         },
 
         /**
+         * List the actions available on a record in its current status, as the server's lifecycle metadata describes
+         * them (see webAccessConnector.actionMetadata): the record is opened for its status, and the actions the status
+         * allows on its class are queried.  result.data: {status, actions: [{name, title, type (see
+         * webAccessConnector.actionTypes), attributes, collectionClassName, linkedClassName}]}.  attributes are those of
+         * the class the action's form saves (see metadata.getAttributesForObject): the record's own for update actions,
+         * the collection class's for collection actions and none for windowless and attach / detach actions.
          *
-         * @param {Object} actionData
-         * @param {function} onLoad
-         * @param {function} onError
-         * @param {boolean} requireJSON
-         * @private
+         * @param {Object} parameters
+         * @param {string} parameters.className
+         * @param {string} parameters.key
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
          */
-        _invokeFunction: function (actionData, onLoad, onError, requireJSON) {
-            var commandPath = "/object/invokeFunction.rails";
-            var request = new webAccessConnector.webAccessRequest({
-                connectionInfo: connectionInfo,
-                commandPath: commandPath,
-                requestType: webAccessConnector.requestType.post,
-                requestData: actionData,
-                onLoad: onLoad,
-                onError: onError,
-                requireJSON: requireJSON
-            });
-            request.go();
-        }
+        getActions: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var settings = webAccessConnector.actionMetadata;
+            var classGuid = null;
+            var status = null;
+            var actions = [];
 
-    };
+            // the class an action's form saves
+            var formClassOf = function (action) {
+                switch (action.type) {
+                    case webAccessConnector.actionTypes.update:
+                        return parameters.className;
+                    case webAccessConnector.actionTypes.collection:
+                        return action.collectionClassName;
+                }
+                return null;
+            };
 
-    // Metadata commands: metadata.getModules, metadata.getObjectsInModule, metadata.getModule, metadata.getObject, metadata.getAttributesInObject
-    this.metadata = {
+            var getObjectOnLoad = function (result) {
+                if (!result.data) {
+                    deferred.onError(new webAccessConnector.webAccessError({
+                        code: webAccessConnector.errorCodes.notFound,
+                        statusCode: 0,
+                        errorText: "Unknown class " + parameters.className,
+                        commandPath: "/query/list.rails",
+                        response: result.response
+                    }));
+                    return;
+                }
 
-        // getModules: get list of modules
-        // parameters: onLoad, onError
-        getModules: function (parameters) {
-            var queryData = {
-                class_name: "Metadata.Module", attributes: "Name,DatabasePrefix,IsClone,IsExternal", page_size: 999
+                classGuid = result.data.guid;
+                self.record.openRecord({
+                    className: parameters.className, key: parameters.key, convertValues: false, checkConcurrency: false,
+                    onLoad: openRecordOnLoad, onError: deferred.onError, timeout: parameters.timeout, signal: deferred.signal
+                });
             };
 
-            var getModulesOnLoad = function (result) {
-                if (!parameters.onLoad) {
-                    return;
+            var openRecordOnLoad = function (result) {
+                status = self.record._attributesOf(result.data)[settings.statusAttribute];
+                if (status === undefined) {
+                    status = null;
                 }
 
-                var modulesArray = [];
+                var queryData = {
+                    class_name: settings.className,
+                    attributes: [
+                        settings.attributes.name, settings.attributes.type,
+                        settings.attributes.collectionClass + ".Module.Name", settings.attributes.collectionClass + ".Name",
+                        settings.attributes.linkedClass + ".Module.Name", settings.attributes.linkedClass + ".Name"
+                    ].join(","),
+                    cns: settings.attributes.classType + "-e-0_a_" + settings.attributes.fromStatus + "-e-1",
+                    c0: classGuid,
+                    c1: (status === null) ? "" : String(status)
+                };
+                self.metadata._loadAll(queryData, parameters, deferred.signal, listActionsOnLoad, deferred.onError);
+            };
+
+            var listActionsOnLoad = function (result) {
+                var formClasses = [];
+
+                var className = function (item, prefix) {
+                    var name = item.attributes[prefix + ".Name"];
+                    return (name) ? item.attributes[prefix + ".Module.Name"] + "." + name : null;
+                };
 
                 for (var i = 0; i < result.data.objects.length; i++) {
                     var item = result.data.objects[i];
-                    var attribute = {
-                        guid: item.value,
-                        name: item.attributes["Name"],
-                        title: item.name,
-                        databasePrefix: item.attributes["DatabasePrefix"],
-                        isExternal: item.attributes["IsExternal"],
-                        isClone: item.attributes["IsClone"]
+                    var action = {
+                        name: item.attributes[settings.attributes.name],
+                        title: item.name || item.attributes[settings.attributes.name],
+                        type: webAccessConnector.getActionType(item.attributes[settings.attributes.type]) || webAccessConnector.actionTypes.update,
+                        attributes: [],
+                        collectionClassName: className(item, settings.attributes.collectionClass),
+                        linkedClassName: className(item, settings.attributes.linkedClass)
                     };
-                    modulesArray.push(attribute);
+                    actions.push(action);
+
+                    var formClass = formClassOf(action);
+                    if ((formClass) && (formClasses.indexOf(formClass) == -1)) {
+                        formClasses.push(formClass);
+                    }
                 }
 
-                modulesArray.sort(function (a, b) {
-                    var titleA = a.title.toLowerCase();
-                    var titleB = b.title.toLowerCase();
+                getForms(formClasses, result);
+            };
+
+            // the attributes of each form class, then every action gets its form's
+            var getForms = function (formClasses, listResult) {
+                var forms = {};
+                var remaining = formClasses.length;
+                var failed = false;
 
-                    if (titleA < titleB) {
-                        return -1;
+                var fail = function (result) {
+                    if (!failed) {
+                        failed = true;
+                        deferred.onError(result);
                     }
+                };
 
-                    if (titleA > titleB) {
-                        return 1;
+                var done = function () {
+                    remaining--;
+                    if ((remaining > 0) || (failed)) {
+                        return;
                     }
 
-                    return 0;
-                });
+                    for (var i = 0; i < actions.length; i++) {
+                        var formClass = formClassOf(actions[i]);
+                        actions[i].attributes = (formClass) ? (forms[formClass] || []) : [];
+                    }
 
-                result.data = {modules: modulesArray};
-                parameters.onLoad(result);
+                    listResult.data = {status: status, actions: actions};
+                    deferred.onLoad(listResult);
+                };
+
+                var getForm = function (formClass) {
+                    var getAttributes = function (guid) {
+                        self.metadata.getAttributesForObject({
+                            objectGuid: guid, timeout: parameters.timeout, signal: deferred.signal, onError: fail,
+                            onLoad: function (result) {
+                                forms[formClass] = result.data.attributes;
+                                done();
+                            }
+                        });
+                    };
+
+                    if (formClass == parameters.className) {
+                        getAttributes(classGuid);
+                        return;
+                    }
+
+                    self.metadata.getObject({
+                        className: formClass, timeout: parameters.timeout, signal: deferred.signal, onError: fail,
+                        onLoad: function (result) {
+                            if (!result.data) {
+                                done();
+                                return;
+                            }
+                            getAttributes(result.data.guid);
+                        }
+                    });
+                };
+
+                if (remaining == 0) {
+                    remaining = 1;
+                    done();
+                    return;
+                }
+
+                for (var i = 0; i < formClasses.length; i++) {
+                    getForm(formClasses[i]);
+                }
             };
 
-            self.query.runQuery({queryData: queryData, onLoad: getModulesOnLoad, onError: parameters.onError});
+            self.metadata.getObject({
+                className: parameters.className, onLoad: getObjectOnLoad, onError: deferred.onError,
+                timeout: parameters.timeout, signal: deferred.signal
+            });
+            return deferred.promise;
         },
 
-        // getObjectsForModule: get list of objects in a given module
-        // parameters: moduleGuid, onLoad, onError
-        getObjectsForModule: function (parameters) {
-            var queryData = {
-                cns: "Module.Guid-e-0", c0: parameters.moduleGuid
+        /**
+         * Perform an action on a record whatever kind it is, as parameters.actionType (see webAccessConnector.actionTypes)
+         * says or, when that is not given, as getActions reports it, which also fails the command with notFound if the
+         * record's status does not allow the action.  Collection actions create a record of parameters.collectionClassName
+         * (by default the action's), attach / detach actions link parameters.linkedKey.  An unknown actionType fails with
+         * an invalidRequestData webAccessError.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className
+         * @param {string} parameters.key
+         * @param {string} parameters.actionName
+         * @param {?string} parameters.actionType
+         * @param {?Object} parameters.attributeValues for update and collection actions
+         * @param {?string} parameters.collectionClassName for collection actions, default the action's
+         * @param {?string} parameters.linkedClassName for attach / detach actions, default the action's
+         * @param {?string} parameters.linkedKey for attach / detach actions
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        invokeAction: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+
+            var invoke = function (action) {
+                var types = webAccessConnector.actionTypes;
+                var commandParameters = {
+                    actionName: parameters.actionName, attributeValues: parameters.attributeValues,
+                    validate: parameters.validate, convertValues: parameters.convertValues, checkConcurrency: parameters.checkConcurrency,
+                    timeout: parameters.timeout, signal: deferred.signal, onLoad: deferred.onLoad, onError: deferred.onError
+                };
+                if (commandParameters.validate === undefined) {
+                    delete commandParameters.validate;
+                }
+
+                switch (action.type) {
+                    case types.collection:
+                        commandParameters.processClassName = parameters.className;
+                        commandParameters.processKey = parameters.key;
+                        commandParameters.collectionClassName = parameters.collectionClassName || action.collectionClassName;
+                        self.action.collectionAction(commandParameters);
+                        return;
+                    case types.attachDetach:
+                        commandParameters.className = parameters.className;
+                        commandParameters.key = parameters.key;
+                        commandParameters.linkedClassName = parameters.linkedClassName || action.linkedClassName;
+                        commandParameters.linkedKey = parameters.linkedKey;
+                        self.action.attachDetachAction(commandParameters);
+                        return;
+                    case types.windowless:
+                        commandParameters.className = parameters.className;
+                        commandParameters.key = parameters.key;
+                        self.action.windowlessAction(commandParameters);
+                        return;
+                }
+
+                commandParameters.className = parameters.className;
+                commandParameters.key = parameters.key;
+                self.action.updateAction(commandParameters);
             };
-            self.metadata._getObjects(queryData, "list", parameters.onLoad, parameters.onError);
+
+            if (parameters.actionType) {
+                var actionType = webAccessConnector.getActionType(parameters.actionType);
+                if (!actionType) {
+                    return webAccessConnector.failParameters(deferred, "unknown actionType \"" + parameters.actionType + "\"");
+                }
+
+                invoke({type: actionType, collectionClassName: null, linkedClassName: null});
+                return deferred.promise;
+            }
+
+            self.action.getActions({
+                className: parameters.className, key: parameters.key, timeout: parameters.timeout, signal: deferred.signal,
+                onError: deferred.onError,
+                onLoad: function (result) {
+                    for (var i = 0; i < result.data.actions.length; i++) {
+                        if (result.data.actions[i].name == parameters.actionName) {
+                            invoke(result.data.actions[i]);
+                            return;
+                        }
+                    }
+
+                    deferred.onError(new webAccessConnector.webAccessError({
+                        code: webAccessConnector.errorCodes.notFound,
+                        statusCode: 0,
+                        errorText: "The action " + parameters.actionName + " is not available on this record",
+                        commandPath: "/query/list.rails",
+                        requestData: {class_name: parameters.className, key: parameters.key},
+                        response: result.response
+                    }));
+                }
+            });
+            return deferred.promise;
         },
 
-        // getObject: get information about an object
-        // parameters: className / objectGuid, onLoad, onError
-        getObject: function (parameters) {
-            var queryData = {};
-            if (parameters.className) {
-                var objectArray = parameters.className.split(".");
-                queryData = {
-                    cns: "Module.Name-e-0_a_Name-e-1",
-                    c0: objectArray[0],
-                    c1: objectArray[1]
+        /**
+         * Perform an action on many records, parameters.concurrency at a time (see record.bulkCreate).
+         * parameters.actionType picks the kind of action, one of webAccessConnector.actionTypes however it is written
+         * ("update", the default, "Windowless", "Attach"...); each item holds that command's parameters for one record
+         * ({key: ...}, {processKey: ...}...).
+         * Any other actionType fails with an invalidRequestData webAccessError.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.actionName
+         * @param {?string} parameters.actionType
+         * @param {Array} parameters.items
+         * @param {?number} parameters.concurrency
+         * @param {?boolean} parameters.stopOnError
+         * @param {?function} parameters.onProgress
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        bulkAction: function (parameters) {
+            var commands = {
+                update: self.action.updateAction,
+                windowless: self.action.windowlessAction,
+                collection: self.action.collectionAction,
+                attachDetach: self.action.attachDetachAction
+            };
+            var actionType = webAccessConnector.getActionType(parameters.actionType || webAccessConnector.actionTypes.update);
+            var command = (actionType) ? commands[actionType] : null;
+
+            if (!command) {
+                return webAccessConnector.failParameters(webAccessConnector.defer(parameters), "unknown actionType \"" + parameters.actionType + "\"");
+            }
+
+            return self.record._runBulk(command, parameters);
+        },
+
+        /**
+         *
+         * @param {Object} actionData
+         * @param {Object} parameters the command's parameters (onLoad, onError, timeout, signal)
+         * @param {boolean} requireJSON
+         * @returns {?Promise}
+         * @private
+         */
+        _invokeFunction: function (actionData, parameters, requireJSON) {
+            var deferred = webAccessConnector.defer(parameters);
+            var commandPath = "/object/invokeFunction.rails";
+            var request = new webAccessConnector.webAccessRequest({
+                connectionInfo: connectionInfo,
+                session: self.session,
+                commandPath: commandPath,
+                requestType: webAccessConnector.requestType.post,
+                requestData: actionData,
+                onLoad: deferred.onLoad,
+                onError: deferred.onError,
+                timeout: parameters.timeout,
+                signal: deferred.signal,
+                middleware: self.middleware,
+                requireJSON: requireJSON
+            });
+            request.go();
+            return deferred.promise;
+        }
+
+    };
+
+    // Attachment Commands: attachment.upload, attachment.list, attachment.download
+    // Web Access keeps a record's attachments as records of an attachment collection class, so these are a collection
+    // action saving the file through /object/save.rails, a query of that collection and a request for the file an
+    // attachment record holds.  Files can also be sent with any new or saved record, among its attributeValues
+    // (see webAccessConnector.file).
+    this.attachment = {
+        /**
+         * Attach a file to a record: perform the collection action that adds a record of the attachment collection class,
+         * with the file as its fileAttribute.  result.data is the new attachment record as collectionAction returns it.
+         * A missing parameter fails the command with an invalidRequestData webAccessError.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className the record's class
+         * @param {string} parameters.key the record's key
+         * @param {string} parameters.collectionClassName the attachment collection class
+         * @param {string} parameters.actionName the collection action adding an attachment
+         * @param {string} parameters.fileAttribute the attachment class's attribute holding the file
+         * @param {File|Blob|Buffer|ArrayBuffer|Uint8Array|string|webAccessConnector.file} parameters.file
+         * @param {?string} parameters.fileName default the File's name
+         * @param {?string} parameters.contentType default the Blob's type
+         * @param {?Object} parameters.attributeValues other values of the attachment record (its description...)
+         * @param {?function} parameters.onUploadProgress called with {loaded, total} bytes as the file is sent
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        upload: function (parameters) {
+            var missing = self.attachment._missingParameter(parameters, ["className", "key", "collectionClassName", "actionName", "fileAttribute", "file"]);
+            var attributeValues = {};
+            var name;
+
+            if (missing) {
+                return webAccessConnector.failParameters(webAccessConnector.defer(parameters),
+                    "attachment.upload needs parameters." + missing, "/object/save.rails");
+            }
+
+            for (name in parameters.attributeValues) {
+                if (parameters.attributeValues.hasOwnProperty(name)) {
+                    attributeValues[name] = parameters.attributeValues[name];
+                }
+            }
+            attributeValues[parameters.fileAttribute] = new webAccessConnector.file(parameters.file, parameters.fileName, parameters.contentType);
+
+            var commandParameters = {
+                processClassName: parameters.className,
+                processKey: parameters.key,
+                actionName: parameters.actionName,
+                collectionClassName: parameters.collectionClassName,
+                attributeValues: attributeValues,
+                onUploadProgress: parameters.onUploadProgress,
+                timeout: parameters.timeout,
+                signal: parameters.signal,
+                onLoad: parameters.onLoad,
+                onError: parameters.onError
+            };
+            if (parameters.hasOwnProperty("validate")) {
+                commandParameters.validate = parameters.validate;
+            }
+
+            return self.action.collectionAction(commandParameters);
+        },
+
+        /**
+         * List the attachments of a record: query every record of its attachment collection.
+         * result.data.attachments: [{key, title, fileName (the fileAttribute's value), attributes}]
+         * A missing parameter fails the command with an invalidRequestData webAccessError.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className the record's class
+         * @param {string} parameters.key the record's key
+         * @param {string} parameters.collectionClassName the attachment collection class
+         * @param {string} parameters.fileAttribute the attachment class's attribute holding the file
+         * @param {?string} parameters.parentAttribute the attachment class's reference to the record, default the record's
+         *        class name without its module ("Incident" for IncidentManagement.Incident)
+         * @param {?Array} parameters.attributes other attributes of each attachment to load (its description...)
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        list: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var missing = self.attachment._missingParameter(parameters, ["className", "key", "collectionClassName", "fileAttribute"]);
+
+            if (missing) {
+                return webAccessConnector.failParameters(deferred, "attachment.list needs parameters." + missing, "/query/list.rails");
+            }
+
+            var parentAttribute = parameters.parentAttribute || parameters.className.split(".").pop();
+            var queryData = new webAccessConnector.queryBuilder(parameters.collectionClassName)
+                .select([parameters.fileAttribute].concat(parameters.attributes || []))
+                .equals(parentAttribute + ".Guid", parameters.key);
+
+            var listOnLoad = function (result) {
+                var attachments = [];
+
+                for (var i = 0; i < result.data.objects.length; i++) {
+                    var item = result.data.objects[i];
+                    attachments.push({
+                        key: item.value,
+                        title: item.name,
+                        fileName: item.attributes[parameters.fileAttribute] || null,
+                        attributes: item.attributes
+                    });
+                }
+
+                result.data = {attachments: attachments};
+                deferred.onLoad(result);
+            };
+
+            self.query.runAll({
+                queryData: queryData, convertValues: parameters.convertValues, timeout: parameters.timeout, signal: deferred.signal,
+                onLoad: listOnLoad, onError: deferred.onError
+            });
+            return deferred.promise;
+        },
+
+        /**
+         * Download the file an attachment record holds (see webAccessConnector.attachmentDownloadPath).
+         * result.data: {content, fileName, contentType, size (null when not known)} where content is a Blob from the
+         * xhr and fetch transports and a readable stream from the node transport, which the caller has to read (or
+         * pipe to a file) itself.  A missing parameter fails the command with an invalidRequestData webAccessError.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.collectionClassName the attachment collection class
+         * @param {string} parameters.attachmentKey the attachment record's key (from attachment.list)
+         * @param {string} parameters.fileAttribute the attachment class's attribute holding the file
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        download: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var commandPath = webAccessConnector.attachmentDownloadPath;
+            var missing = self.attachment._missingParameter(parameters, ["collectionClassName", "attachmentKey", "fileAttribute"]);
+
+            if (missing) {
+                return webAccessConnector.failParameters(deferred, "attachment.download needs parameters." + missing, commandPath);
+            }
+
+            var downloadData = {
+                class_name: parameters.collectionClassName,
+                key: parameters.attachmentKey,
+                attribute_name: parameters.fileAttribute
+            };
+
+            var downloadOnLoad = function (result) {
+                var header = function (name) {
+                    return (result.response) ? result.response.getResponseHeader(name) : null;
                 };
-            } else {
-                queryData = {
-                    cns: "Guid-e-0",
-                    c0: parameters.objectGuid
+                var content = result.data;
+                var length = header("Content-Length");
+
+                result.data = {
+                    content: content,
+                    fileName: webAccessConnector.file.fileNameOf(header("Content-Disposition")),
+                    contentType: header("Content-Type") || "application/octet-stream",
+                    size: (length) ? parseInt(length, 10) : (((content) && (content.size !== undefined)) ? content.size : null)
                 };
+                deferred.onLoad(result);
+            };
+
+            var request = new webAccessConnector.webAccessRequest({
+                connectionInfo: connectionInfo,
+                session: self.session,
+                commandPath: commandPath,
+                requestType: webAccessConnector.requestType.get,
+                requestData: downloadData,
+                onLoad: downloadOnLoad,
+                onError: deferred.onError,
+                timeout: parameters.timeout,
+                signal: deferred.signal,
+                middleware: self.middleware,
+                requireJSON: false,
+                binary: true
+            });
+            request.go();
+            return deferred.promise;
+        },
+
+        /**
+         * The first of names that parameters has no value for, null when it has them all
+         *
+         * @param {Object} parameters
+         * @param {Array} names
+         * @returns {?string}
+         * @private
+         */
+        _missingParameter: function (parameters, names) {
+            for (var i = 0; i < names.length; i++) {
+                if ((parameters[names[i]] === undefined) || (parameters[names[i]] === null) || (parameters[names[i]] === "")) {
+                    return names[i];
+                }
+            }
+            return null;
+        }
+    };
+
+    // Related Record Commands: related.openReference, related.getCollection, related.loadReferences
+    // Reference attributes are followed to the class their metadata relates them to (relatedClass in
+    // metadata.getAttributesForObject), or the className of a converted webAccessConnector.reference.
+    this.related = {
+        /**
+         * Open the record a reference attribute of another record points to.
+         * result.data is that record as openRecord returns it, or null when the reference is empty.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className
+         * @param {string} parameters.key
+         * @param {string} parameters.attribute the reference attribute, such as "RaiseUser"
+         * @param {?Object} parameters.attributeValues the record's values if they are already loaded, otherwise it is opened first
+         * @param {boolean|undefined} parameters.model see record.openRecord
+         * @param {boolean|Object|undefined} parameters.convertValues overrides connectionInfo.convertValues
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        openReference: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var attribute = parameters.attribute;
+
+            var open = function (value, relatedClassName) {
+                var key = (value instanceof webAccessConnector.reference) ? value.key : value;
+                if ((key === null) || (key === undefined) || (key === "")) {
+                    deferred.onLoad({data: null, response: null, statusCode: 200, loggedOn: false, loggedOff: false});
+                    return;
+                }
+
+                self.record.openRecord({
+                    className: relatedClassName, key: key, model: parameters.model, convertValues: parameters.convertValues,
+                    timeout: parameters.timeout, signal: deferred.signal, onLoad: deferred.onLoad, onError: deferred.onError
+                });
+            };
+
+            var follow = function (value) {
+                if ((value instanceof webAccessConnector.reference) && (value.className)) {
+                    open(value, value.className);
+                    return;
+                }
+
+                self.related._relatedClassNames(parameters.className, [attribute], parameters, deferred.signal, function (classNames) {
+                    open(value, classNames[attribute]);
+                }, deferred.onError);
+            };
+
+            if (parameters.attributeValues) {
+                follow(parameters.attributeValues[attribute]);
+                return deferred.promise;
+            }
+
+            self.record.openRecord({
+                className: parameters.className, key: parameters.key, timeout: parameters.timeout, signal: deferred.signal,
+                onError: deferred.onError,
+                onLoad: function (result) {
+                    follow(self.record._attributesOf(result.data)[attribute]);
+                }
+            });
+            return deferred.promise;
+        },
+
+        /**
+         * Load every record of a collection (the Notes of an Incident...), like query.runAll: result.data.objects
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className the parent's class
+         * @param {string} parameters.key the parent's key
+         * @param {string} parameters.collectionClassName
+         * @param {?string} parameters.parentAttribute the collection's reference to its parent, default the parent
+         *        class name without its module ("Incident" for IncidentManagement.Incident)
+         * @param {?Array} parameters.attributes the attributes of each collection record to load
+         * @param {?number} parameters.pageSize
+         * @param {?number} parameters.maxRecords
+         * @param {?number} parameters.concurrency how many pages may be requested at once
+         * @param {boolean|Object|undefined} parameters.convertValues overrides connectionInfo.convertValues
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        getCollection: function (parameters) {
+            var parentAttribute = parameters.parentAttribute || parameters.className.split(".").pop();
+            var queryData = new webAccessConnector.queryBuilder(parameters.collectionClassName)
+                .equals(parentAttribute + ".Guid", parameters.key);
+
+            if (parameters.attributes) {
+                queryData.select(parameters.attributes);
+            }
+            if (parameters.pageSize) {
+                queryData.pageSize(parameters.pageSize);
             }
-            self.metadata._getObjects(queryData, "single", parameters.onLoad, parameters.onError);
+
+            return self.query.runAll({
+                queryData: queryData, maxRecords: parameters.maxRecords, concurrency: parameters.concurrency,
+                convertValues: parameters.convertValues, timeout: parameters.timeout, signal: parameters.signal,
+                onLoad: parameters.onLoad, onError: parameters.onError
+            });
         },
 
-        // getAttributesForObject: get list of attributes for a given object
-        // parameters: objectGuid, onLoad, onError
-        getAttributesForObject: function (parameters) {
-            var attributesArray = [];
-            var attributeNames = [];
+        /**
+         * Load the records that reference attributes of many records point to, such as the RaiseUser of each
+         * incident in a query result.  Each referenced record is loaded once however many records point to it,
+         * with a query for up to parameters.batchSize keys at a time.
+         * result.data: {references: {attribute: {key: object}}, classes: {className: {key: object}}} where the objects
+         * are query result objects ({value, name, attributes}) and a key that no longer loads is null in references.
+         *
+         * @param {Object} parameters
+         * @param {string} parameters.className the class of the records
+         * @param {Array} parameters.objects query result objects or attribute values, holding the reference attributes
+         *        (by name, or name.Guid); null entries are skipped
+         * @param {Array} parameters.attributes the reference attributes to load
+         * @param {?Object} parameters.select the attributes to load for each reference attribute, {RaiseUser: ["Name", "EMail"]}
+         * @param {?number} parameters.batchSize default webAccessConnector.referenceDefaults.batchSize
+         * @param {?number} parameters.concurrency how many queries may be outstanding at once,
+         *        default webAccessConnector.referenceDefaults.concurrency
+         * @param {boolean|Object|undefined} parameters.convertValues overrides connectionInfo.convertValues
+         * @param {function} parameters.onLoad
+         * @param {function} parameters.onError
+         * @returns {?Promise}
+         */
+        loadReferences: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var attributes = parameters.attributes || [];
+            var objects = parameters.objects || [];
+            var select = parameters.select || {};
+            var batchSize = parameters.batchSize || webAccessConnector.referenceDefaults.batchSize;
+            var concurrency = Math.max(1, parameters.concurrency || webAccessConnector.referenceDefaults.concurrency);
+
+            // null entries (and records without the attribute) have no key to load
+            var keyOf = function (object, attribute) {
+                var values = webAccessConnector.valuesOf(object);
+                var value = (values.hasOwnProperty(attribute + ".Guid")) ? values[attribute + ".Guid"] : values[attribute];
+                value = (value instanceof webAccessConnector.reference) ? value.key : value;
+                return ((value === null) || (value === undefined) || (value === "")) ? null : String(value);
+            };
+
+            var load = function (classNames) {
+                var classes = {};
+                var batches = [];
+                var className;
+
+                // each class's keys once, whichever attributes they came from
+                var keysByClass = {};
+                for (var i = 0; i < attributes.length; i++) {
+                    className = classNames[attributes[i]];
+                    keysByClass[className] = keysByClass[className] || {keys: [], seen: {}, select: []};
+
+                    var attributeSelect = select[attributes[i]] || [];
+                    for (var s = 0; s < attributeSelect.length; s++) {
+                        if (keysByClass[className].select.indexOf(attributeSelect[s]) == -1) {
+                            keysByClass[className].select.push(attributeSelect[s]);
+                        }
+                    }
+
+                    for (var j = 0; j < objects.length; j++) {
+                        var key = keyOf(objects[j], attributes[i]);
+                        if ((key !== null) && (!keysByClass[className].seen.hasOwnProperty(key))) {
+                            keysByClass[className].seen[key] = true;
+                            keysByClass[className].keys.push(key);
+                        }
+                    }
+                }
+
+                for (className in keysByClass) {
+                    if (keysByClass.hasOwnProperty(className)) {
+                        classes[className] = {};
+                        for (var k = 0; k < keysByClass[className].keys.length; k += batchSize) {
+                            batches.push({
+                                className: className, keys: keysByClass[className].keys.slice(k, k + batchSize),
+                                select: keysByClass[className].select
+                            });
+                        }
+                    }
+                }
+
+                var nextBatch = 0;
+                var running = 0;
+                var failed = false;
+
+                var start = function () {
+                    while ((!failed) && (running < concurrency) && (nextBatch < batches.length)) {
+                        run(batches[nextBatch++]);
+                    }
+
+                    if ((running == 0) && (!failed)) {
+                        finish();
+                    }
+                };
+
+                var run = function (batch) {
+                    var queryData = new webAccessConnector.queryBuilder(batch.className).pageSize(batch.keys.length);
+                    for (var i = 0; i < batch.keys.length; i++) {
+                        queryData.or().equals("Guid", batch.keys[i]);
+                    }
+                    if (batch.select.length > 0) {
+                        queryData.select(batch.select);
+                    }
+
+                    running++;
+                    self.query.runAll({
+                        queryData: queryData, convertValues: parameters.convertValues, timeout: parameters.timeout, signal: deferred.signal,
+                        onLoad: function (result) {
+                            for (var j = 0; j < result.data.objects.length; j++) {
+                                classes[batch.className][String(result.data.objects[j].value)] = result.data.objects[j];
+                            }
+                            running--;
+                            start();
+                        },
+                        onError: function (result) {
+                            running--;
+                            if (!failed) {
+                                failed = true;
+                                deferred.onError(result);
+                            }
+                        }
+                    });
+                };
+
+                var finish = function () {
+                    var references = {};
+                    for (var i = 0; i < attributes.length; i++) {
+                        var loaded = classes[classNames[attributes[i]]];
+                        references[attributes[i]] = {};
+
+                        for (var j = 0; j < objects.length; j++) {
+                            var key = keyOf(objects[j], attributes[i]);
+                            if (key !== null) {
+                                references[attributes[i]][key] = (loaded.hasOwnProperty(key)) ? loaded[key] : null;
+                            }
+                        }
+                    }
+
+                    deferred.onLoad({
+                        data: {references: references, classes: classes}, response: null, statusCode: 200, loggedOn: false, loggedOff: false
+                    });
+                };
+
+                start();
+            };
+
+            // converted references already know their class, the rest come from the metadata
+            var classNames = {};
+            var unknown = [];
+            for (var i = 0; i < attributes.length; i++) {
+                for (var j = 0; (j < objects.length) && (!classNames[attributes[i]]); j++) {
+                    var values = webAccessConnector.valuesOf(objects[j]);
+                    if ((values[attributes[i]] instanceof webAccessConnector.reference) && (values[attributes[i]].className)) {
+                        classNames[attributes[i]] = values[attributes[i]].className;
+                    }
+                }
+                if (!classNames[attributes[i]]) {
+                    unknown.push(attributes[i]);
+                }
+            }
+
+            if (unknown.length == 0) {
+                setTimeout(function () {
+                    load(classNames);
+                }, 0);
+                return deferred.promise;
+            }
+
+            self.related._relatedClassNames(parameters.className, unknown, parameters, deferred.signal, function (described) {
+                for (var name in described) {
+                    if (described.hasOwnProperty(name)) {
+                        classNames[name] = described[name];
+                    }
+                }
+                load(classNames);
+            }, deferred.onError);
+            return deferred.promise;
+        },
+
+        /**
+         * The class each reference attribute of a class relates to, failing with notFound for an attribute that is not a reference
+         *
+         * @param {string} className
+         * @param {Array} attributes
+         * @param {Object} parameters the command's parameters
+         * @param {Object} signal
+         * @param {function} onLoad with {attribute: className}
+         * @param {function} onError
+         * @private
+         */
+        _relatedClassNames: function (className, attributes, parameters, signal, onLoad, onError) {
+            self.metadata._describePaths(className, attributes, parameters, signal, function (descriptions) {
+                var classNames = {};
+
+                for (var i = 0; i < attributes.length; i++) {
+                    var description = descriptions[attributes[i]];
+                    if ((!description) || (!description.relatedClassName)) {
+                        onError(new webAccessConnector.webAccessError({
+                            code: webAccessConnector.errorCodes.notFound,
+                            statusCode: 0,
+                            errorText: attributes[i] + " is not a reference attribute of " + className,
+                            commandPath: "/query/list.rails",
+                            requestData: {class_name: className}
+                        }));
+                        return;
+                    }
+                    classNames[attributes[i]] = description.relatedClassName;
+                }
+
+                onLoad(classNames);
+            }, onError);
+        }
+    };
+
+    // Metadata commands: metadata.getModules, metadata.getObjectsInModule, metadata.getModule, metadata.getObject, metadata.getAttributesInObject
+    // Results are kept in connector.metadataCache (result.cached is true when nothing was requested).
+    this.metadata = {
+
+        // getModules: get list of modules
+        // parameters: onLoad, onError
+        getModules: function (parameters) {
+            parameters = parameters || {};
+            return self.metadataCache.load("modules", function (onLoad, onError, signal) {
+                var queryData = {
+                    class_name: "Metadata.Module", attributes: "Name,DatabasePrefix,IsClone,IsExternal"
+                };
+
+                var getModulesOnLoad = function (result) {
+                    var modulesArray = [];
+
+                    for (var i = 0; i < result.data.objects.length; i++) {
+                        var item = result.data.objects[i];
+                        var attribute = {
+                            guid: item.value,
+                            name: item.attributes["Name"],
+                            title: item.name,
+                            databasePrefix: item.attributes["DatabasePrefix"],
+                            isExternal: item.attributes["IsExternal"],
+                            isClone: item.attributes["IsClone"]
+                        };
+                        modulesArray.push(attribute);
+                    }
+
+                    modulesArray.sort(function (a, b) {
+                        var titleA = a.title.toLowerCase();
+                        var titleB = b.title.toLowerCase();
+
+                        if (titleA < titleB) {
+                            return -1;
+                        }
+
+                        if (titleA > titleB) {
+                            return 1;
+                        }
+
+                        return 0;
+                    });
+
+                    result.data = {modules: modulesArray};
+                    onLoad(result);
+                };
+
+                self.metadata._loadAll(queryData, parameters, signal, getModulesOnLoad, onError);
+            }, parameters);
+        },
+
+        // getObjectsForModule: get list of objects in a given module
+        // parameters: moduleGuid, onLoad, onError
+        getObjectsForModule: function (parameters) {
+            var queryData = {
+                cns: "Module.Guid-e-0", c0: parameters.moduleGuid
+            };
+            return self.metadata._getObjects(queryData, "list", parameters);
+        },
+
+        // getObject: get information about an object
+        // parameters: className / objectGuid, onLoad, onError
+        getObject: function (parameters) {
+            var queryData = {};
+            if (parameters.className) {
+                var objectArray = parameters.className.split(".");
+                queryData = {
+                    cns: "Module.Name-e-0_a_Name-e-1",
+                    c0: objectArray[0],
+                    c1: objectArray[1]
+                };
+            } else {
+                queryData = {
+                    cns: "Guid-e-0",
+                    c0: parameters.objectGuid
+                };
+            }
+            return self.metadata._getObjects(queryData, "single", parameters);
+        },
+
+        // getAttributesForObject: get list of attributes for a given object, including those it inherits.
+        // Each attribute has declaringClassGuid, declaringClassName and inherited; data.levels has the class
+        // and then each superclass in turn with the attributes it declares.
+        // parameters: objectGuid, onLoad, onError
+        getAttributesForObject: function (parameters) {
+            return self.metadataCache.load("attributes:" + parameters.objectGuid, function (onLoad, onError, signal) {
+                var levels = [];
+                var chainResult = null;
+
+                var getClassChain = function (objectGuid) {
+                    var queryData = {
+                        class_name: "Metadata.ClassType",
+                        attributes: self.metadata._classChainAttributes(webAccessConnector.metadataDefaults.inheritanceDepth).join(","),
+                        cns: "Guid-e-0",
+                        c0: objectGuid
+                    };
+
+                    self.metadata._loadAll(queryData, parameters, signal, getClassChainOnLoad, onError);
+                };
+
+                var getClassChainOnLoad = function (result) {
+                    chainResult = result;
+                    if (result.data.objects.length == 0) {
+                        getAttributes();
+                        return;
+                    }
+
+                    var item = result.data.objects[0];
+                    var prefix = "";
+                    for (var depth = 0; depth < webAccessConnector.metadataDefaults.inheritanceDepth; depth++) {
+                        if (!item.attributes[prefix + "Guid"]) {
+                            getAttributes();
+                            return;
+                        }
+
+                        levels.push({
+                            guid: item.attributes[prefix + "Guid"],
+                            className: item.attributes[prefix + "Module.Name"] + "." + item.attributes[prefix + "Name"],
+                            attributes: []
+                        });
+                        prefix += "SuperClassType.";
+                    }
+
+                    // deeper than one query reaches
+                    if (item.attributes[prefix + "Guid"]) {
+                        getClassChain(item.attributes[prefix + "Guid"]);
+                        return;
+                    }
+
+                    getAttributes();
+                };
+
+                var getAttributes = function () {
+                    // no such class
+                    if (levels.length == 0) {
+                        chainResult.data = {attributes: [], levels: []};
+                        onLoad(chainResult);
+                        return;
+                    }
+
+                    var queryData = {
+                        class_name: "Metadata.AttributeType",
+                        attributes: "DataType,Name,RelatedClassType.Guid,IsName,PKeyNumber,Class.Guid"
+                    };
+                    var terms = [];
+                    for (var i = 0; i < levels.length; i++) {
+                        terms.push("Class.Guid-e-" + i);
+                        queryData["c" + i] = levels[i].guid;
+                    }
+                    queryData.cns = terms.join("_o_");
+
+                    self.metadata._loadAll(queryData, parameters, signal, getAttributesOnLoad, onError);
+                };
+
+                var getAttributesOnLoad = function (result) {
+                    var levelsByGuid = {};
+                    for (var i = 0; i < levels.length; i++) {
+                        levels[i].depth = i;
+                        levelsByGuid[levels[i].guid] = levels[i];
+                    }
+
+                    for (var j = 0; j < result.data.objects.length; j++) {
+                        var item = result.data.objects[j];
+                        var level = levelsByGuid[item.attributes["Class.Guid"]];
+                        if (!level) {
+                            continue;
+                        }
+
+                        level.attributes.push({
+                            guid: item.value,
+                            name: item.attributes["Name"],
+                            title: item.name,
+                            type: item.attributes["DataType"],
+                            relatedClass: item.attributes["RelatedClassType.Guid"],
+                            isName: (item.attributes["IsName"] == "True") ? true : false,
+                            isPrimaryKey: (item.attributes["PKeyNumber"] == "1") ? true : false,
+                            declaringClassGuid: level.guid,
+                            declaringClassName: level.className,
+                            inherited: (level.depth > 0)
+                        });
+                    }
+
+                    // an attribute redefined by a subclass hides the superclass one
+                    var attributesArray = [];
+                    var attributeNames = [];
+                    for (var k = 0; k < levels.length; k++) {
+                        delete levels[k].depth;
+                        for (var l = 0; l < levels[k].attributes.length; l++) {
+                            var attribute = levels[k].attributes[l];
+                            if (attributeNames.indexOf(attribute.name) == -1) {
+                                attributesArray.push(attribute);
+                                attributeNames.push(attribute.name);
+                            }
+                        }
+                    }
+
+                    attributesArray.sort(function (a, b) {
+                        var titleA = a.title.toLowerCase();
+                        var titleB = b.title.toLowerCase();
+
+                        if (titleA < titleB) {
+                            return -1;
+                        }
+
+                        if (titleA > titleB) {
+                            return 1;
+                        }
+
+                        return 0;
+                    });
+
+                    result.data = {attributes: attributesArray, levels: levels};
+                    onLoad(result);
+                };
+
+                getClassChain(parameters.objectGuid);
+            }, parameters);
+        },
+
+        // internal metadata functions
+        _getObjects: function (queryData, getType, parameters) {
+            return self.metadataCache.load("objects:" + getType + ":" + JSON.stringify(queryData), function (onLoad, onError, signal) {
+                queryData.class_name = "Metadata.ClassType";
+                queryData.attributes = "Name,Module.Guid,Module.Name,Module.Title,SuperClassType.Module.Name,SuperClassType.Name,Table.Name";
+
+                var getObjectsOnLoad = function (result) {
+                    var objectsArray = [];
+
+                    for (var i = 0; i < result.data.objects.length; i++) {
+                        var item = result.data.objects[i];
+                        var obj = {
+                            guid: item.value,
+                            name: item.attributes["Name"],
+                            title: item.name,
+                            moduleGuid: item.attributes["Module.Guid"],
+                            moduleName: item.attributes["Module.Name"],
+                            moduleTitle: item.attributes["Module.Title"],
+                            databaseTable: item.attributes["Table.Name"]
+                        };
+
+                        if (item.attributes["SuperClassType.Name"] != "") {
+                            obj.parentClassName = item.attributes["SuperClassType.Module.Name"] + "." + item.attributes["SuperClassType.Name"];
+                        }
+
+                        objectsArray.push(obj);
+                    }
+
+                    if (getType == "single") {
+                        result.data = objectsArray[0];
+                    } else {
+                        objectsArray.sort(function (a, b) {
+                            var titleA = a.title.toLowerCase();
+                            var titleB = b.title.toLowerCase();
+
+                            if (titleA < titleB) {
+                                return -1;
+                            }
+
+                            if (titleA > titleB) {
+                                return 1;
+                            }
+
+                            return 0;
+                        });
+                        result.data = {objects: objectsArray};
+                    }
+
+                    onLoad(result);
+                };
+
+                self.metadata._loadAll(queryData, parameters, signal, getObjectsOnLoad, onError);
+            }, parameters);
+        },
+
+        /**
+         * Every page of a metadata query, several pages at a time
+         *
+         * @param {Object} queryData
+         * @param {Object} parameters the command's parameters
+         * @param {Object} signal
+         * @param {function} onLoad
+         * @param {function} onError
+         * @private
+         */
+        _loadAll: function (queryData, parameters, signal, onLoad, onError) {
+            queryData.page_size = webAccessConnector.metadataDefaults.pageSize;
+
+            self.query.runAll({
+                queryData: queryData, concurrency: webAccessConnector.metadataDefaults.concurrency, convertValues: false,
+                onLoad: onLoad, onError: onError, timeout: parameters.timeout, signal: signal
+            });
+        },
+
+        /**
+         * The conversion options for a command, null when values are not converted
+         *
+         * @param {Object} parameters the command's parameters
+         * @returns {?Object}
+         * @private
+         */
+        _getConvertOptions: function (parameters) {
+            var setting = (parameters.convertValues !== undefined) ? parameters.convertValues : connectionInfo.convertValues;
+            return webAccessConnector.getConvertOptions(setting);
+        },
+
+        /**
+         * Convert attribute values in place (see webAccessConnector.convertValue).
+         * Each set holds values by attribute path ("Title", "Status.Name"...) of the class.
+         *
+         * @param {string} className
+         * @param {Array} attributeSets
+         * @param {Object} options
+         * @param {Object} parameters the command's parameters
+         * @param {Object} signal
+         * @param {function} onLoad
+         * @param {function} onError
+         * @private
+         */
+        _convertValues: function (className, attributeSets, options, parameters, signal, onLoad, onError) {
+            var paths = [];
+            for (var i = 0; i < attributeSets.length; i++) {
+                for (var path in attributeSets[i]) {
+                    if ((attributeSets[i].hasOwnProperty(path)) && (paths.indexOf(path) == -1)) {
+                        paths.push(path);
+                    }
+                }
+            }
+
+            self.metadata._describePaths(className, paths, parameters, signal, function (descriptions) {
+                for (var j = 0; j < attributeSets.length; j++) {
+                    for (var path in attributeSets[j]) {
+                        if ((attributeSets[j].hasOwnProperty(path)) && (descriptions.hasOwnProperty(path))) {
+                            attributeSets[j][path] = webAccessConnector.convertValue(attributeSets[j][path], descriptions[path], options);
+                        }
+                    }
+                }
+                onLoad();
+            }, onError);
+        },
+
+        /**
+         * What each attribute path of a class holds: {valueType, relatedClass (guid), relatedClassName,
+         * title (the titles of the attributes along the path, "Raise User Name" for RaiseUser.Name)}.
+         * Paths the metadata does not describe are left out.
+         *
+         * @param {string} className
+         * @param {Array} paths
+         * @param {Object} parameters the command's parameters
+         * @param {Object} signal
+         * @param {function(Object)} onLoad
+         * @param {function} onError
+         * @private
+         */
+        _describePaths: function (className, paths, parameters, signal, onLoad, onError) {
+            var descriptions = {};
+            var remaining = paths.length;
+            var failed = false;
+
+            var fail = function (result) {
+                if (!failed) {
+                    failed = true;
+                    onError(result);
+                }
+            };
+
+            var done = function () {
+                remaining--;
+                if ((remaining == 0) && (!failed)) {
+                    onLoad(descriptions);
+                }
+            };
+
+            var describe = function (path, classGuid, names, titles) {
+                self.metadata.getAttributesForObject({
+                    objectGuid: classGuid, timeout: parameters.timeout, signal: signal, onError: fail,
+                    onLoad: function (result) {
+                        var attribute = null;
+                        for (var i = 0; i < result.data.attributes.length; i++) {
+                            if (result.data.attributes[i].name == names[0]) {
+                                attribute = result.data.attributes[i];
+                            }
+                        }
+
+                        if ((attribute) && (names.length > 1) && (attribute.relatedClass)) {
+                            describe(path, attribute.relatedClass, names.slice(1), titles.concat([attribute.title || attribute.name]));
+                            return;
+                        }
+
+                        if ((!attribute) || (names.length > 1)) {
+                            done();
+                            return;
+                        }
+
+                        descriptions[path] = {
+                            valueType: webAccessConnector.getValueType(attribute),
+                            relatedClass: attribute.relatedClass || null,
+                            relatedClassName: null,
+                            title: titles.concat([attribute.title || attribute.name]).join(" ")
+                        };
+
+                        if (!attribute.relatedClass) {
+                            done();
+                            return;
+                        }
+
+                        self.metadata.getObject({
+                            objectGuid: attribute.relatedClass, timeout: parameters.timeout, signal: signal, onError: fail,
+                            onLoad: function (objectResult) {
+                                if (objectResult.data) {
+                                    descriptions[path].relatedClassName = objectResult.data.moduleName + "." + objectResult.data.name;
+                                }
+                                done();
+                            }
+                        });
+                    }
+                });
+            };
+
+            if (remaining == 0) {
+                onLoad(descriptions);
+                return;
+            }
+
+            self.metadata.getObject({
+                className: className, timeout: parameters.timeout, signal: signal, onError: fail,
+                onLoad: function (result) {
+                    // nothing to go on, the values are left as they are
+                    if (!result.data) {
+                        onLoad(descriptions);
+                        return;
+                    }
+
+                    for (var i = 0; i < paths.length; i++) {
+                        describe(paths[i], result.data.guid, paths[i].split("."), []);
+                    }
+                }
+            });
+        },
+
+        /**
+         * The ClassType attributes describing a class and depth - 1 levels of superclasses, and the Guid of the next
+         *
+         * @param {number} depth
+         * @returns {Array}
+         * @private
+         */
+        _classChainAttributes: function (depth) {
+            var attributes = [];
+            var prefix = "";
+
+            for (var i = 0; i < depth; i++) {
+                attributes.push(prefix + "Guid", prefix + "Name", prefix + "Module.Name");
+                prefix += "SuperClassType.";
+            }
+            attributes.push(prefix + "Guid");
+
+            return attributes;
+        }
+    };
+
+    // User Commands: user.logOn, user.logOff
+    this.user = {
+
+        // logOn: log on using the credentials supplied in the constructor.  This does NOT need to be called if using loginOnDemand
+        // parameters: onLoad, onError
+        logOn: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var request = new webAccessConnector.webAccessRequest({
+                connectionInfo: connectionInfo, session: self.session, onLoad: deferred.onLoad, onError: deferred.onError,
+                signal: deferred.signal
+            });
+            request.logOn();
+            return deferred.promise;
+        },
+
+        // logOff: log off.
+        // parameters:  onLoad, onError
+        logOff: function (parameters) {
+            var deferred = webAccessConnector.defer(parameters);
+            var request = new webAccessConnector.webAccessRequest({
+                connectionInfo: connectionInfo, session: self.session, onLoad: deferred.onLoad, onError: deferred.onError,
+                signal: deferred.signal
+            });
+            request.logOff();
+            return deferred.promise;
+        }
+
+    };
+};
+
+
+// Static methods
+
+// parseQueryUrl: turn a Url into structured query design data, {webAccessUrl, queryData}
+// queryData only has class_name, query (when there are no attributes), attributes, page_size (a number), sort_by,
+// and cns with its criteria values c0..cN, which are kept as the text they have in the Url.
+// Returns undefined when the Url can't be used; parseQueryUrlStrict says why.
+webAccessConnector.parseQueryUrl = function (queryString) {
+    try {
+        return webAccessConnector.parseQueryUrlStrict(queryString);
+    } catch (e) {
+        if (e.name == "QueryUrlError") {
+            return;
+        }
+        throw e;
+    }
+};
+
+// parseQueryUrlStrict: parseQueryUrl, but throwing an Error with a code (see webAccessConnector.queryUrlErrorCodes)
+// when the Url can't be used
+webAccessConnector.parseQueryUrlStrict = function (queryString) {
+    if ((typeof queryString != "string") || (queryString == "")) {
+        throw webAccessConnector._queryUrlError("empty", "No query Url given", queryString);
+    }
+
+    var pairs = queryString.split("&");
+
+    var returnObject = {
+        queryData: {}
+    };
+
+    // get the web access url if present
+    var qMarkPos = pairs[0].indexOf("?");
+    if (qMarkPos > -1) {
+        var path = pairs[0].substring(0, qMarkPos);
+        var listPos = path.indexOf(webAccessConnector.queryUrlPath);
+        if (listPos > -1) {
+            // whatever buildQueryUrl was given, absolute, relative or nothing
+            returnObject.webAccessUrl = path.substring(0, listPos);
+        } else if (queryString.substring(0, 4).toLowerCase() == "http") {
+            // full url
+            var parts = pairs[0].split("/");
+            returnObject.webAccessUrl = parts.slice(0, 4).join("/");
+        } else if (queryString.substring(0, 1) == "/") {
+            // relative url
+            returnObject.webAccessUrl = queryString.substring(0, queryString.indexOf("/", 1));
+        }
+
+        pairs[0] = pairs[0].substring(qMarkPos + 1);
+    }
+
+    // parse all parameters to an object, keeping their values as text
+    var obj = {};
+    for (var i = 0; i < pairs.length; i++) {
+        if (pairs[i] == "") {
+            continue;
+        }
+
+        var equalsPos = pairs[i].indexOf("=");
+        var rawName = (equalsPos > -1) ? pairs[i].substring(0, equalsPos) : pairs[i];
+        var rawValue = (equalsPos > -1) ? pairs[i].substring(equalsPos + 1) : "";
+
+        try {
+            obj[decodeURIComponent(rawName.replace(/\+/g, " "))] = decodeURIComponent(rawValue.replace(/\+/g, " "));
+        } catch (e) {
+            throw webAccessConnector._queryUrlError("invalidEncoding", "Badly encoded parameter \"" + pairs[i] + "\"", queryString);
+        }
+    }
+
+    // check the relevant parameters
+    if ((!obj.hasOwnProperty("class_name")) || (obj.class_name === "")) {
+        throw webAccessConnector._queryUrlError("missingClassName", "The query Url has no class_name", queryString);
+    }
+
+    if ((obj.hasOwnProperty("page_size")) && (!/^[1-9]\d*$/.test(obj.page_size))) {
+        throw webAccessConnector._queryUrlError("invalidPageSize", "Invalid page_size \"" + obj.page_size + "\"", queryString);
+    }
+
+    // extract the relevant parameters
+    var queryData = returnObject.queryData;
+    queryData.class_name = obj.class_name;
+
+    if ((obj.query) && (!obj.attributes)) {
+        queryData.query = obj.query;
+    }
+
+    if (obj.attributes) {
+        queryData.attributes = obj.attributes;
+    }
+
+    if (obj.hasOwnProperty("page_size")) {
+        queryData.page_size = parseInt(obj.page_size, 10);
+    }
+
+    if (obj.sort_by) {
+        queryData.sort_by = obj.sort_by;
+    } // NOTE THIS WILL GET IGNORED BY WEB ACCESS!
+
+    if (obj.cns) {
+        queryData.cns = obj.cns;
+
+        // every cN the criteria refer to must be present, whatever its value
+        var indexPattern = /-[a-z]+-(\d+)(?=$|_[ao]_|\))/g;
+        var match;
+        while ((match = indexPattern.exec(obj.cns)) !== null) {
+            var cn = "c" + match[1];
+            if (!obj.hasOwnProperty(cn)) {
+                throw webAccessConnector._queryUrlError("missingCriteriaValue", "The criteria use " + cn + " but the query Url does not have it", queryString);
+            }
+            queryData[cn] = obj[cn];
+        }
+    }
+
+    return returnObject;
+};
+
+// buildQueryUrl: turn structured query design data back into a Web Access list Url (the reverse of parseQueryUrl)
+// parameters: queryData (object or webAccessConnector.queryBuilder), webAccessUrl (optional)
+// parseQueryUrl gives back what buildQueryUrl wrote, as long as queryData only has the parameters parseQueryUrl extracts.
+webAccessConnector.buildQueryUrl = function (queryData, webAccessUrl) {
+    if (queryData instanceof webAccessConnector.queryBuilder) {
+        queryData = queryData.toQueryData();
+    }
+
+    var order = ["class_name", "query", "template", "attributes", "page_size", "sort_by", "cns"];
+    var names = [];
+    var criteriaNames = [];
+    var otherNames = [];
+
+    for (var name in queryData) {
+        if (!queryData.hasOwnProperty(name)) {
+            continue;
+        }
+        if (order.indexOf(name) > -1) {
+            continue;
+        }
+        if (/^c\d+$/.test(name)) {
+            criteriaNames.push(name);
+        } else {
+            otherNames.push(name);
+        }
+    }
+
+    criteriaNames.sort(function (a, b) {
+        return parseInt(a.substring(1), 10) - parseInt(b.substring(1), 10);
+    });
+
+    for (var i = 0; i < order.length; i++) {
+        if (queryData.hasOwnProperty(order[i])) {
+            names.push(order[i]);
+        }
+    }
+    names = names.concat(criteriaNames, otherNames);
+
+    var parts = [];
+    for (var j = 0; j < names.length; j++) {
+        var value = queryData[names[j]];
+        if ((value === null) || (value === undefined)) {
+            continue;
+        }
+        parts.push(encodeURIComponent(names[j]) + "=" + encodeURIComponent(String(value)));
+    }
+
+    return (webAccessUrl || "") + webAccessConnector.queryUrlPath + "?" + parts.join("&");
+};
+
+// the Web Access page a query Url opens
+webAccessConnector.queryUrlPath = "/query/list.rails";
+
+// error codes thrown by parseQueryUrlStrict
+webAccessConnector.queryUrlErrorCodes = {
+    empty: "empty",
+    invalidEncoding: "invalidEncoding",
+    missingClassName: "missingClassName",
+    invalidPageSize: "invalidPageSize",
+    missingCriteriaValue: "missingCriteriaValue"
+};
+
+/**
+ *
+ * @param {string} code
+ * @param {string} message
+ * @param {*} queryString
+ * @returns {Error}
+ * @private
+ */
+webAccessConnector._queryUrlError = function (code, message, queryString) {
+    var error = new Error(message);
+    error.name = "QueryUrlError";
+    error.code = code;
+    error.queryString = queryString;
+    return error;
+};
+
+
+// queryBuilder
+
+// Builds the queryData for query.runQuery, including the criteria encoding Web Access uses:
+// cns holds "Attribute-operator-index" terms joined by _a_ (and) / _o_ (or), with ( ) for grouping,
+// and c0..cN hold the values referenced by index.
+//
+// var queryData = new webAccessConnector.queryBuilder("IncidentManagement.Incident")
+//     .select(["Id", "Title", "Status.Name"])
+//     .equals("Status.Name", "Open")
+//     .and(function (group) {
+//         group.equals("Priority.Name", "1").or().equals("Priority.Name", "2");
+//     })
+//     .pageSize(50)
+//     .toQueryData();
+
+/**
+ * @param {?string} className
+ */
+webAccessConnector.queryBuilder = function (className) {
+    var self = this;
+    var m_className = className || null;
+    var m_attributes = [];
+    var m_pageSize = null;
+    var m_criteria = [];
+    var m_nextJoin = "a";
+    var m_otherData = {};
+
+    /**
+     * @param {string} className
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.className = function (className) {
+        m_className = className;
+        return self;
+    };
+
+    /**
+     * Attributes (columns) to return
+     * @param {Array|string} attributes an array or comma separated list
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.select = function (attributes) {
+        if (typeof attributes == "string") {
+            attributes = (attributes == "") ? [] : attributes.split(",");
+        }
+        m_attributes = attributes.slice(0);
+        return self;
+    };
+
+    /**
+     * @param {number} pageSize
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.pageSize = function (pageSize) {
+        m_pageSize = pageSize;
+        return self;
+    };
+
+    /**
+     * Add a criterion joined to the previous one by and / or (and unless or() was called)
+     * @param {string} attribute
+     * @param {string} operator a webAccessConnector.queryBuilder.operators name ("equals") or code ("e")
+     * @param {*} value not used by isNull / isNotNull
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.where = function (attribute, operator, value) {
+        var operators = webAccessConnector.queryBuilder.operators;
+        var code = operators.hasOwnProperty(operator) ? operators[operator] : operator;
+
+        m_criteria.push({
+            join: m_nextJoin,
+            attribute: attribute,
+            operator: code,
+            value: (webAccessConnector.queryBuilder.noValueOperators.indexOf(code) == -1) ? value : undefined
+        });
+        m_nextJoin = "a";
+        return self;
+    };
+
+    // shortcuts for where(attribute, operator, value)
+    this.equals = function (attribute, value) {
+        return self.where(attribute, "equals", value);
+    };
+
+    this.notEquals = function (attribute, value) {
+        return self.where(attribute, "notEquals", value);
+    };
+
+    this.like = function (attribute, value) {
+        return self.where(attribute, "like", value);
+    };
+
+    this.greaterThan = function (attribute, value) {
+        return self.where(attribute, "greaterThan", value);
+    };
+
+    this.greaterOrEqual = function (attribute, value) {
+        return self.where(attribute, "greaterOrEqual", value);
+    };
+
+    this.lessThan = function (attribute, value) {
+        return self.where(attribute, "lessThan", value);
+    };
+
+    this.lessOrEqual = function (attribute, value) {
+        return self.where(attribute, "lessOrEqual", value);
+    };
+
+    this.isNull = function (attribute) {
+        return self.where(attribute, "isNull");
+    };
+
+    this.isNotNull = function (attribute) {
+        return self.where(attribute, "isNotNull");
+    };
+
+    /**
+     * Join the next criterion with and, or with a function add a bracketed group joined with and
+     * @param {?function(webAccessConnector.queryBuilder)} buildGroup
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.and = function (buildGroup) {
+        m_nextJoin = "a";
+        return (buildGroup) ? self.group(buildGroup) : self;
+    };
+
+    /**
+     * Join the next criterion with or, or with a function add a bracketed group joined with or
+     * @param {?function(webAccessConnector.queryBuilder)} buildGroup
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.or = function (buildGroup) {
+        m_nextJoin = "o";
+        return (buildGroup) ? self.group(buildGroup) : self;
+    };
+
+    /**
+     * Add a bracketed group of criteria built by the function on a new builder
+     * @param {function(webAccessConnector.queryBuilder)} buildGroup
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.group = function (buildGroup) {
+        var groupBuilder = new webAccessConnector.queryBuilder();
+        buildGroup(groupBuilder);
+
+        var criteria = groupBuilder.getCriteria();
+        if (criteria.length > 0) {
+            m_criteria.push({join: m_nextJoin, group: criteria});
+        }
+        m_nextJoin = "a";
+        return self;
+    };
+
+    /**
+     * Set any other queryData value (query, template, sort_by...) passed through as is
+     * @param {string} name
+     * @param {*} value
+     * @returns {webAccessConnector.queryBuilder}
+     */
+    this.set = function (name, value) {
+        m_otherData[name] = value;
+        return self;
+    };
+
+    /**
+     * The criteria tree: items of {join, attribute, operator, value} or {join, group}
+     * @returns {Array}
+     */
+    this.getCriteria = function () {
+        return m_criteria.slice(0);
+    };
+
+    /**
+     * Compile to the queryData shape query.runQuery takes
+     * @returns {Object}
+     */
+    this.toQueryData = function () {
+        var queryData = {};
+
+        for (var name in m_otherData) {
+            if (m_otherData.hasOwnProperty(name)) {
+                queryData[name] = m_otherData[name];
+            }
+        }
+
+        if (m_className) {
+            queryData.class_name = m_className;
+        }
+
+        if (m_attributes.length > 0) {
+            queryData.attributes = m_attributes.join(",");
+        }
+
+        if (m_pageSize) {
+            queryData.page_size = m_pageSize;
+        }
+
+        if (m_criteria.length > 0) {
+            var values = [];
+            queryData.cns = webAccessConnector.queryBuilder._encodeCriteria(m_criteria, values);
+            for (var i = 0; i < values.length; i++) {
+                queryData["c" + i] = values[i];
+            }
+        }
+
+        return queryData;
+    };
+};
+
+// operator names and the codes used in cns
+webAccessConnector.queryBuilder.operators = {
+    equals: "e",
+    notEquals: "ne",
+    like: "l",
+    greaterThan: "gt",
+    greaterOrEqual: "ge",
+    lessThan: "lt",
+    lessOrEqual: "le",
+    isNull: "n",
+    isNotNull: "nn"
+};
+
+// operator codes that take no value (and so no cN index)
+webAccessConnector.queryBuilder.noValueOperators = ["n", "nn"];
+
+/**
+ * Decompile queryData (as built by toQueryData or extracted by parseQueryUrl) into a builder
+ *
+ * @param {Object} queryData
+ * @returns {webAccessConnector.queryBuilder}
+ */
+webAccessConnector.queryBuilder.fromQueryData = function (queryData) {
+    var builder = new webAccessConnector.queryBuilder(queryData.class_name);
+
+    for (var name in queryData) {
+        if (!queryData.hasOwnProperty(name)) {
+            continue;
+        }
+
+        if (name == "class_name") {
+            continue;
+        } else if (name == "attributes") {
+            builder.select(String(queryData.attributes));
+        } else if (name == "page_size") {
+            builder.pageSize(queryData.page_size);
+        } else if ((name != "cns") && (!/^c\d+$/.test(name))) {
+            builder.set(name, queryData[name]);
+        }
+    }
+
+    if (queryData.cns) {
+        var criteria = webAccessConnector.queryBuilder._decodeCriteria(String(queryData.cns), queryData);
+        webAccessConnector.queryBuilder._addCriteria(builder, criteria);
+    }
+
+    return builder;
+};
+
+/**
+ *
+ * @param {Array} criteria
+ * @param {Array} values collects the criteria values in index order
+ * @returns {string}
+ * @private
+ */
+webAccessConnector.queryBuilder._encodeCriteria = function (criteria, values) {
+    var cns = "";
+
+    for (var i = 0; i < criteria.length; i++) {
+        var criterion = criteria[i];
+
+        if (i > 0) {
+            cns += "_" + criterion.join + "_";
+        }
+
+        if (criterion.group) {
+            cns += "(" + webAccessConnector.queryBuilder._encodeCriteria(criterion.group, values) + ")";
+        } else if (webAccessConnector.queryBuilder.noValueOperators.indexOf(criterion.operator) > -1) {
+            cns += criterion.attribute + "-" + criterion.operator;
+        } else {
+            cns += criterion.attribute + "-" + criterion.operator + "-" + values.length;
+            values.push(criterion.value);
+        }
+    }
+
+    return cns;
+};
+
+/**
+ *
+ * @param {string} cns
+ * @param {Object} queryData holds the cN values
+ * @returns {Array} criteria tree
+ * @private
+ */
+webAccessConnector.queryBuilder._decodeCriteria = function (cns, queryData) {
+    var position = 0;
+
+    var parseList = function () {
+        var criteria = [];
+        var join = "a";
+
+        while (position < cns.length) {
+            if (cns.charAt(position) == ")") {
+                position++;
+                break;
+            }
+
+            if (cns.charAt(position) == "(") {
+                position++;
+                criteria.push({join: join, group: parseList()});
+            } else {
+                var end = position;
+                while ((end < cns.length) && (cns.charAt(end) != ")") && (!/^_[ao]_/.test(cns.substring(end)))) {
+                    end++;
+                }
+                criteria.push(parseTerm(cns.substring(position, end), join));
+                position = end;
+            }
+
+            var joinMatch = /^_([ao])_/.exec(cns.substring(position));
+            if (joinMatch) {
+                join = joinMatch[1];
+                position += 3;
+            }
+        }
+
+        return criteria;
+    };
+
+    var parseTerm = function (term, join) {
+        var match = /^(.+)-([a-z]+)(?:-(\d+))?$/.exec(term);
+        if (!match) {
+            throw new Error("webAccessConnector: invalid criteria term \"" + term + "\"");
+        }
+
+        return {
+            join: join,
+            attribute: match[1],
+            operator: match[2],
+            value: (match[3] !== undefined) ? queryData["c" + match[3]] : undefined
+        };
+    };
+
+    return parseList();
+};
+
+/**
+ *
+ * @param {webAccessConnector.queryBuilder} builder
+ * @param {Array} criteria
+ * @private
+ */
+webAccessConnector.queryBuilder._addCriteria = function (builder, criteria) {
+    for (var i = 0; i < criteria.length; i++) {
+        var criterion = criteria[i];
+
+        if (criterion.join == "o") {
+            builder.or();
+        }
+
+        if (criterion.group) {
+            builder.group(function (groupBuilder) {
+                webAccessConnector.queryBuilder._addCriteria(groupBuilder, criterion.group);
+            });
+        } else {
+            builder.where(criterion.attribute, criterion.operator, criterion.value);
+        }
+    }
+};
+
+
+// Attribute values
+
+// The kind of value each metadata DataType holds.  Attributes with a relatedClass are always "guid" references.
+webAccessConnector.dataTypes = {
+    "String": "string",
+    "Text": "string",
+    "Url": "string",
+    "Email": "string",
+    "Int": "integer",
+    "Int16": "integer",
+    "Int32": "integer",
+    "Int64": "integer",
+    "Integer": "integer",
+    "Short": "integer",
+    "Long": "integer",
+    "Byte": "integer",
+    "Decimal": "number",
+    "Double": "number",
+    "Float": "number",
+    "Single": "number",
+    "Currency": "number",
+    "Boolean": "boolean",
+    "Bool": "boolean",
+    "DateTime": "dateTime",
+    "Date": "dateTime",
+    "Time": "dateTime",
+    "Guid": "guid",
+    "Reference": "guid",
+    "Attachment": "file",
+    "File": "file"
+};
+
+// what is wrong with an attribute value
+webAccessConnector.fieldErrorCodes = {
+    unknownAttribute: "unknownAttribute",
+    invalidType: "invalidType",
+    primaryKey: "primaryKey"
+};
+
+// for field error messages
+webAccessConnector.valueTypeDescriptions = {
+    string: "text",
+    integer: "a whole number",
+    number: "a number",
+    boolean: "true or false",
+    dateTime: "a date",
+    guid: "a record key",
+    file: "a file"
+};
+
+/**
+ * The kind of value an attribute from metadata.getAttributesForObject holds (see webAccessConnector.dataTypes),
+ * null when its DataType is not known
+ *
+ * @param {Object} attribute
+ * @returns {?string}
+ */
+webAccessConnector.getValueType = function (attribute) {
+    if (attribute.relatedClass) {
+        return "guid";
+    }
+    return (webAccessConnector.dataTypes.hasOwnProperty(attribute.type)) ? webAccessConnector.dataTypes[attribute.type] : null;
+};
+
+/**
+ * Check attribute values against the attributes of their class.
+ * Empty values (null, undefined, "") are always allowed, they clear the attribute.
+ *
+ * @param {Object} attributeValues
+ * @param {Array} attributes from metadata.getAttributesForObject
+ * @returns {Array} {attribute, code (see webAccessConnector.fieldErrorCodes), message, expectedType} for each problem
+ */
+webAccessConnector.validateAttributeValues = function (attributeValues, attributes) {
+    var fieldErrors = [];
+    var byName = {};
+    var byLowerName = {};
+
+    for (var i = 0; i < attributes.length; i++) {
+        byName[attributes[i].name] = attributes[i];
+        byLowerName[attributes[i].name.toLowerCase()] = attributes[i];
+    }
+
+    for (var name in attributeValues) {
+        if (!attributeValues.hasOwnProperty(name)) {
+            continue;
+        }
+
+        var attribute = byName[name];
+        if (!attribute) {
+            var similar = byLowerName[name.toLowerCase()];
+            fieldErrors.push({
+                attribute: name,
+                code: webAccessConnector.fieldErrorCodes.unknownAttribute,
+                message: "Unknown attribute " + name + ((similar) ? ", did you mean " + similar.name + "?" : "")
+            });
+            continue;
+        }
+
+        if (attribute.isPrimaryKey) {
+            fieldErrors.push({
+                attribute: name,
+                code: webAccessConnector.fieldErrorCodes.primaryKey,
+                message: attribute.title + " can't be changed"
+            });
+            continue;
+        }
+
+        var valueType = webAccessConnector.getValueType(attribute);
+        if ((valueType) && (!webAccessConnector.isValueOfType(attributeValues[name], valueType))) {
+            fieldErrors.push({
+                attribute: name,
+                code: webAccessConnector.fieldErrorCodes.invalidType,
+                message: attribute.title + " must be " + webAccessConnector.valueTypeDescriptions[valueType],
+                expectedType: valueType
+            });
+        }
+    }
+
+    return fieldErrors;
+};
+
+/**
+ * Whether a value can be saved to an attribute holding valueType.  Strings are accepted in the form Web Access uses.
+ *
+ * @param {*} value
+ * @param {string} valueType
+ * @returns {boolean}
+ */
+webAccessConnector.isValueOfType = function (value, valueType) {
+    if ((value === null) || (value === undefined) || (value === "")) {
+        return true;
+    }
+
+    switch (valueType) {
+        case "string":
+            return (typeof value == "string") || (typeof value == "number");
+        case "integer":
+            return ((typeof value == "number") && (value % 1 == 0)) || ((typeof value == "string") && (/^\s*-?\d+\s*$/.test(value)));
+        case "number":
+            return ((typeof value == "number") && (isFinite(value))) || ((typeof value == "string") && (/^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value)));
+        case "boolean":
+            return (typeof value == "boolean") || ((typeof value == "string") && (/^(true|false)$/i.test(value)));
+        case "dateTime":
+            return ((value instanceof Date) && (!isNaN(value.getTime()))) || ((typeof value == "string") && (!isNaN(Date.parse(value))));
+        case "guid":
+            return (typeof value == "string") && (/^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i.test(value));
+        case "file":
+            return (value instanceof webAccessConnector.file) || (webAccessConnector.file.isContent(value));
+    }
+
+    return true;
+};
+
+
+// timeZone: how dates without an offset are read and how Dates are written, "utc" or "local"
+webAccessConnector.convertDefaults = {
+    timeZone: "utc"
+};
+
+/**
+ * The conversion options for a connectionInfo.convertValues / parameters.convertValues setting, or null when conversion is off
+ *
+ * @param {boolean|Object|undefined} setting
+ * @returns {?Object}
+ */
+webAccessConnector.getConvertOptions = function (setting) {
+    if (!setting) {
+        return null;
+    }
+
+    var defaults = webAccessConnector.convertDefaults;
+    var options = {};
+    for (var name in defaults) {
+        if (defaults.hasOwnProperty(name)) {
+            options[name] = ((typeof setting == "object") && (setting.hasOwnProperty(name))) ? setting[name] : defaults[name];
+        }
+    }
+    return options;
+};
+
+/**
+ * A converted reference value: the key of a record of className.  Saves as the key.
+ *
+ * @param {string} key
+ * @param {?string} className
+ */
+webAccessConnector.reference = function (key, className) {
+    this.key = key;
+    this.className = className || null;
+};
+webAccessConnector.reference.prototype.toString = function () {
+    return this.key;
+};
+webAccessConnector.reference.prototype.toJSON = function () {
+    return this.key;
+};
+
+/**
+ * The attribute values of a query result object, or the object itself when it is already attribute values
+ *
+ * @param {Object} object
+ * @returns {Object}
+ */
+webAccessConnector.valuesOf = function (object) {
+    return ((object) && (object.attributes) && (typeof object.attributes == "object")) ? object.attributes : (object || {});
+};
+
+/**
+ * A value as Web Access returns it converted to the JavaScript type for its attribute:
+ * "True" / "False" to booleans, numbers, dates to Date objects (see webAccessConnector.parseDateTime),
+ * references to webAccessConnector.reference and empty values of those types to null.  Text is left as it is.
+ *
+ * @param {*} value
+ * @param {{valueType: ?string, relatedClass: ?string, relatedClassName: ?string}} description
+ * @param {Object} options see webAccessConnector.convertDefaults
+ * @returns {*}
+ */
+webAccessConnector.convertValue = function (value, description, options) {
+    if ((typeof value != "string") || (!description.valueType) || (description.valueType == "string")) {
+        return value;
+    }
+
+    if (value == "") {
+        return null;
+    }
+
+    switch (description.valueType) {
+        case "boolean":
+            return /^true$/i.test(value);
+        case "integer":
+        case "number":
+            return (isNaN(value)) ? value : Number(value);
+        case "dateTime":
+            return webAccessConnector.parseDateTime(value, options.timeZone);
+        case "guid":
+            return (description.relatedClass) ? new webAccessConnector.reference(value, description.relatedClassName) : value;
+    }
+
+    return value;
+};
+
+/**
+ * A JavaScript value as Web Access saves it: Dates in the timeZone (see webAccessConnector.formatDateTime),
+ * booleans as True / False, references as their key and null as empty
+ *
+ * @param {*} value
+ * @param {Object} options see webAccessConnector.convertDefaults
+ * @returns {*}
+ */
+webAccessConnector.serializeValue = function (value, options) {
+    if ((value === null) || (value === undefined)) {
+        return "";
+    }
+    if (value instanceof Date) {
+        return webAccessConnector.formatDateTime(value, options.timeZone);
+    }
+    if (typeof value == "boolean") {
+        return (value) ? "True" : "False";
+    }
+    if (value instanceof webAccessConnector.reference) {
+        return value.key;
+    }
+    return value;
+};
+
+/**
+ * Read a Web Access date: ISO 8601 / "yyyy-MM-dd HH:mm:ss" (in timeZone unless it has an offset) or "/Date(ms)/".
+ * Anything else is returned unchanged.
+ *
+ * @param {string} text
+ * @param {string} timeZone "utc" or "local"
+ * @returns {Date|string}
+ */
+webAccessConnector.parseDateTime = function (text, timeZone) {
+    var msDate = /^\/Date\((-?\d+)(?:[+-]\d{4})?\)\/$/.exec(text);
+    if (msDate) {
+        return new Date(parseInt(msDate[1], 10));
+    }
+
+    var match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(text);
+    if (!match) {
+        return text;
+    }
+
+    var parts = [];
+    for (var i = 1; i <= 7; i++) {
+        parts.push((match[i]) ? parseInt((i == 7) ? (match[i] + "00").substring(0, 3) : match[i], 10) : 0);
+    }
+    parts[1]--;
+
+    if (match[8]) {
+        var time = Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], parts[6]);
+        if (match[8].toUpperCase() != "Z") {
+            var offset = match[8].replace(":", "");
+            var minutes = parseInt(offset.substring(1, 3), 10) * 60 + parseInt(offset.substring(3, 5), 10);
+            time -= ((offset.charAt(0) == "-") ? -minutes : minutes) * 60000;
+        }
+        return new Date(time);
+    }
+
+    if (timeZone == "local") {
+        return new Date(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], parts[6]);
+    }
+    return new Date(Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], parts[6]));
+};
+
+/**
+ * Write a Date as "yyyy-MM-ddTHH:mm:ss" in timeZone
+ *
+ * @param {Date} date
+ * @param {string} timeZone "utc" or "local"
+ * @returns {string}
+ */
+webAccessConnector.formatDateTime = function (date, timeZone) {
+    var pad = function (n) {
+        return (n < 10) ? "0" + n : String(n);
+    };
+
+    if (timeZone == "local") {
+        return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) + "T" +
+            pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds());
+    }
+    return date.getUTCFullYear() + "-" + pad(date.getUTCMonth() + 1) + "-" + pad(date.getUTCDate()) + "T" +
+        pad(date.getUTCHours()) + ":" + pad(date.getUTCMinutes()) + ":" + pad(date.getUTCSeconds());
+};
+
+
+// Client-side sorting and filtering
+
+// Query results ordered and filtered after they are loaded, for the sorting Web Access ignores (see query.runQuery).
+// A sort is an attribute path ("Title", "-Priority.Name" for descending), {attribute, descending, valueType}
+// or an array of those, most significant first.  Empty values go last whichever way a key sorts.
+
+// how query.runQuery loads every page of a result it sorts or filters: the page_size of each request and how many are requested at once
+webAccessConnector.clientQueryDefaults = {
+    pageSize: 500,
+    concurrency: 2
+};
+
+/**
+ * The sort keys of a sort: [{attribute, descending, valueType (null to go by the metadata or the values)}]
+ *
+ * @param {string|Object|Array} sort
+ * @returns {Array}
+ */
+webAccessConnector.getSortKeys = function (sort) {
+    var items = (sort instanceof Array) ? sort : [sort];
+    var keys = [];
+
+    for (var i = 0; i < items.length; i++) {
+        if (!items[i]) {
+            continue;
+        }
+
+        if (typeof items[i] == "string") {
+            var descending = (items[i].charAt(0) == "-");
+            keys.push({
+                attribute: (descending) ? items[i].substring(1) : items[i].replace(/^\+/, ""),
+                descending: descending,
+                valueType: null
+            });
+        } else {
+            keys.push({
+                attribute: items[i].attribute,
+                descending: !!items[i].descending,
+                valueType: items[i].valueType || null
+            });
+        }
+    }
+
+    return keys;
+};
+
+/**
+ * Compare two values that are not empty as valueType (see webAccessConnector.dataTypes), whether they are
+ * converted or still the strings Web Access returns.  Text compares case insensitively with numbers in it in order.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {?string} valueType
+ * @returns {number}
+ */
+webAccessConnector.compareValues = function (a, b, valueType) {
+    var comparable = function (value) {
+        if (value instanceof webAccessConnector.reference) {
+            return value.key;
+        }
+
+        switch (valueType) {
+            case "integer":
+            case "number":
+                return (isNaN(value)) ? value : Number(value);
+            case "boolean":
+                return (typeof value == "boolean") ? value : /^true$/i.test(value);
+            case "dateTime":
+                if (typeof value == "string") {
+                    value = webAccessConnector.parseDateTime(value, "utc");
+                }
+                return (value instanceof Date) ? value.getTime() : value;
+        }
+
+        return (value instanceof Date) ? value.getTime() : value;
+    };
+
+    a = comparable(a);
+    b = comparable(b);
+
+    if ((typeof a == typeof b) && (typeof a != "string")) {
+        return (a < b) ? -1 : ((a > b) ? 1 : 0);
+    }
+
+    return String(a).localeCompare(String(b), undefined, {numeric: true, sensitivity: "base"});
+};
+
+/**
+ * Sort query result objects ({attributes: {...}}) or attribute values by sort keys; a sorted copy, ties keep their order
+ *
+ * @param {Array} objects
+ * @param {string|Object|Array} sort see webAccessConnector.getSortKeys
+ * @param {?Object} valueTypes the valueType of each attribute path for keys that do not give one
+ * @returns {Array}
+ */
+webAccessConnector.sortObjects = function (objects, sort, valueTypes) {
+    var keys = webAccessConnector.getSortKeys(sort);
+    var rows = [];
+
+    valueTypes = valueTypes || {};
+
+    for (var i = 0; i < objects.length; i++) {
+        rows.push({index: i, object: objects[i], values: webAccessConnector.valuesOf(objects[i])});
+    }
+
+    rows.sort(function (x, y) {
+        for (var k = 0; k < keys.length; k++) {
+            var a = x.values[keys[k].attribute];
+            var b = y.values[keys[k].attribute];
+            var aEmpty = (a === null) || (a === undefined) || (a === "");
+            var bEmpty = (b === null) || (b === undefined) || (b === "");
+
+            if ((aEmpty) || (bEmpty)) {
+                if (aEmpty != bEmpty) {
+                    return (aEmpty) ? 1 : -1;
+                }
+                continue;
+            }
+
+            var order = webAccessConnector.compareValues(a, b, keys[k].valueType || valueTypes[keys[k].attribute] || null);
+            if (order != 0) {
+                return (keys[k].descending) ? -order : order;
+            }
+        }
+        return x.index - y.index;
+    });
+
+    var sorted = [];
+    for (var j = 0; j < rows.length; j++) {
+        sorted.push(rows[j].object);
+    }
+    return sorted;
+};
+
+/**
+ * The query result objects or attribute values a filter accepts.  A filter is a predicate function (attributes, object)
+ * or an array of them that must all accept an object.
+ *
+ * @param {Array} objects
+ * @param {function|Array} filter
+ * @returns {Array}
+ */
+webAccessConnector.filterObjects = function (objects, filter) {
+    var predicates = (filter instanceof Array) ? filter : [filter];
+    var accepted = [];
+
+    for (var i = 0; i < objects.length; i++) {
+        var values = webAccessConnector.valuesOf(objects[i]);
+        var accept = true;
+
+        for (var p = 0; (p < predicates.length) && (accept); p++) {
+            accept = !!predicates[p](values, objects[i]);
+        }
+
+        if (accept) {
+            accepted.push(objects[i]);
+        }
+    }
+    return accepted;
+};
+
+
+// Export
+
+// The formats query.exportResults writes, each with contentType, extension and
+// begin(columns, options) / row(values, columns, options) / end(columns, options) returning text.
+// values are from webAccessConnector.exportValue: null, numbers, booleans, Dates and strings.
+//
+// timeZone: how Dates are written (and dates without an offset read), "utc" or "local"
+// delimiter: between CSV values
+// bom: start CSV with a byte order mark so Excel reads it as UTF-8
+// escapeFormulas: put a ' before CSV text starting with = + - @ so spreadsheets do not run it as a formula
+// sheetName: the spreadsheetml worksheet's name
+webAccessConnector.exportDefaults = {
+    timeZone: "utc",
+    delimiter: ",",
+    bom: true,
+    escapeFormulas: true,
+    sheetName: "Results"
+};
+
+/**
+ * The export options for a parameters.options setting
+ *
+ * @param {?Object} setting
+ * @returns {Object}
+ */
+webAccessConnector.getExportOptions = function (setting) {
+    var defaults = webAccessConnector.exportDefaults;
+    var options = {};
+    for (var name in defaults) {
+        if (defaults.hasOwnProperty(name)) {
+            options[name] = ((setting) && (setting.hasOwnProperty(name))) ? setting[name] : defaults[name];
+        }
+    }
+    return options;
+};
+
+/**
+ * A value ready for an export format: null when empty, references as their key
+ *
+ * @param {*} value
+ * @returns {?number|?boolean|?Date|?string}
+ */
+webAccessConnector.exportValue = function (value) {
+    if ((value === null) || (value === undefined) || (value === "")) {
+        return null;
+    }
+    if (value instanceof webAccessConnector.reference) {
+        return value.key;
+    }
+    if ((value instanceof Date) && (isNaN(value.getTime()))) {
+        return null;
+    }
+    if ((typeof value == "number") || (typeof value == "boolean") || (value instanceof Date)) {
+        return value;
+    }
+    return String(value);
+};
+
+/**
+ * A Date as export formats write it as text: "yyyy-MM-dd HH:mm:ss" in the timeZone
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+webAccessConnector.exportDateText = function (date, timeZone) {
+    return webAccessConnector.formatDateTime(date, timeZone).replace("T", " ");
+};
+
+webAccessConnector.exportFormats = {};
+
+/**
+ * Make an export format available by name for query.exportResults
+ *
+ * @param {string} name
+ * @param {Object} format
+ */
+webAccessConnector.registerExportFormat = function (name, format) {
+    webAccessConnector.exportFormats[name] = format;
+};
+
+// RFC 4180 CSV, dates as text and booleans as TRUE / FALSE, which spreadsheets read as such
+webAccessConnector.exportFormats.csv = {
+    contentType: "text/csv;charset=utf-8",
+    extension: "csv",
+    begin: function (columns, options) {
+        var headers = [];
+        for (var i = 0; i < columns.length; i++) {
+            headers.push(webAccessConnector.exportFormats.csv.quote(columns[i].header, options));
+        }
+        return ((options.bom) ? "\uFEFF" : "") + headers.join(options.delimiter) + "\r\n";
+    },
+    row: function (values, columns, options) {
+        var cells = [];
+        for (var i = 0; i < values.length; i++) {
+            var value = values[i];
+            if (value === null) {
+                cells.push("");
+            } else if (typeof value == "boolean") {
+                cells.push((value) ? "TRUE" : "FALSE");
+            } else if (value instanceof Date) {
+                cells.push(webAccessConnector.exportDateText(value, options.timeZone));
+            } else if (typeof value == "number") {
+                cells.push(String(value));
+            } else {
+                if ((options.escapeFormulas) && (/^[=+\-@\t\r]/.test(value))) {
+                    value = "'" + value;
+                }
+                cells.push(webAccessConnector.exportFormats.csv.quote(value, options));
+            }
+        }
+        return cells.join(options.delimiter) + "\r\n";
+    },
+    end: function () {
+        return "";
+    },
+    quote: function (text, options) {
+        text = String(text);
+        if ((text.indexOf(options.delimiter) > -1) || (/["\r\n]/.test(text)) || (/^\s|\s$/.test(text))) {
+            return "\"" + text.replace(/"/g, "\"\"") + "\"";
+        }
+        return text;
+    }
+};
+
+// one JSON object per line keyed by attribute path, dates as text
+webAccessConnector.exportFormats.jsonl = {
+    contentType: "application/x-ndjson;charset=utf-8",
+    extension: "jsonl",
+    begin: function () {
+        return "";
+    },
+    row: function (values, columns, options) {
+        var object = {};
+        for (var i = 0; i < columns.length; i++) {
+            object[columns[i].attribute] = (values[i] instanceof Date) ? webAccessConnector.exportDateText(values[i], options.timeZone) : values[i];
+        }
+        return JSON.stringify(object) + "\n";
+    },
+    end: function () {
+        return "";
+    }
+};
+
+// SpreadsheetML, the Excel 2003 XML Spreadsheet format and not .xlsx: a single XML file that Excel and LibreOffice open
+// with typed number, boolean and date cells, and that unlike .xlsx (a zip) can be written a row at a time
+webAccessConnector.exportFormats.spreadsheetml = {
+    contentType: "application/xml",
+    extension: "xml",
+    begin: function (columns, options) {
+        var escape = webAccessConnector.exportFormats.spreadsheetml.escape;
+        var sheetName = String(options.sheetName).replace(/[\[\]:*?\/\\]/g, " ").substring(0, 31) || "Results";
+        var text = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\r\n<?mso-application progid=\"Excel.Sheet\"?>\r\n" +
+            "<Workbook xmlns=\"urn:schemas-microsoft-com:office:spreadsheet\" xmlns:ss=\"urn:schemas-microsoft-com:office:spreadsheet\">\r\n" +
+            "<Styles><Style ss:ID=\"header\"><Font ss:Bold=\"1\"/></Style>" +
+            "<Style ss:ID=\"date\"><NumberFormat ss:Format=\"yyyy-mm-dd hh:mm:ss\"/></Style></Styles>\r\n" +
+            "<Worksheet ss:Name=\"" + escape(sheetName) + "\"><Table>\r\n<Row>";
+
+        for (var i = 0; i < columns.length; i++) {
+            text += "<Cell ss:StyleID=\"header\"><Data ss:Type=\"String\">" + escape(columns[i].header) + "</Data></Cell>";
+        }
+        return text + "</Row>\r\n";
+    },
+    row: function (values, columns, options) {
+        var text = "<Row>";
+        for (var i = 0; i < values.length; i++) {
+            var value = values[i];
+            if (value === null) {
+                text += "<Cell/>";
+            } else if (typeof value == "number") {
+                text += (isFinite(value)) ? "<Cell><Data ss:Type=\"Number\">" + value + "</Data></Cell>" : "<Cell/>";
+            } else if (typeof value == "boolean") {
+                text += "<Cell><Data ss:Type=\"Boolean\">" + ((value) ? "1" : "0") + "</Data></Cell>";
+            } else if (value instanceof Date) {
+                text += "<Cell ss:StyleID=\"date\"><Data ss:Type=\"DateTime\">" +
+                    webAccessConnector.formatDateTime(value, options.timeZone) + ".000</Data></Cell>";
+            } else {
+                text += "<Cell><Data ss:Type=\"String\">" + webAccessConnector.exportFormats.spreadsheetml.escape(value) + "</Data></Cell>";
+            }
+        }
+        return text + "</Row>\r\n";
+    },
+    end: function () {
+        return "</Table></Worksheet>\r\n</Workbook>\r\n";
+    },
+    escape: function (text) {
+        return String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+            .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+            .replace(/\r?\n/g, "&#10;");
+    }
+};
+
+/**
+ * Where an export goes: written to a Node stream (waiting for it to drain) or collected into a Blob.
+ * write(text, next) calls next once more can be written, end(callback) calls back with the Blob (null for a stream).
+ * A stream that errors, or closes before the export has finished, calls onError with a stream webAccessError
+ * and nothing more is written or called back.
+ *
+ * @param {?Object} stream
+ * @param {string} contentType
+ * @param {boolean} endStream end the stream when the export finishes
+ * @param {function} onError
+ * @returns {{write: function(string, function), end: function(function)}}
+ */
+webAccessConnector.exportSink = function (stream, contentType, endStream, onError) {
+    var chunks = [];
+    var waiting = null;
+    var failed = false;
+    var finished = false;
+
+    var detach = function () {
+        if (waiting) {
+            stream.removeListener("drain", waiting);
+            waiting = null;
+        }
+        stream.removeListener("error", onStreamError);
+        stream.removeListener("close", onStreamClose);
+    };
+
+    var fail = function (errorText) {
+        if ((failed) || (finished)) {
+            return;
+        }
+        failed = true;
+        detach();
+        onError(new webAccessConnector.webAccessError({
+            code: webAccessConnector.errorCodes.stream,
+            statusCode: 0,
+            errorText: errorText
+        }));
+    };
+
+    var onStreamError = function (error) {
+        fail("webAccessConnector: the export stream failed: " + ((error) ? error.message || error : "unknown error"));
+    };
+
+    var onStreamClose = function () {
+        fail("webAccessConnector: the export stream closed before the export finished");
+    };
+
+    if (stream) {
+        stream.on("error", onStreamError);
+        stream.on("close", onStreamClose);
+    }
+
+    return {
+        write: function (text, next) {
+            if (failed) {
+                return;
+            }
+            if (text === "") {
+                next();
+                return;
+            }
+
+            if (!stream) {
+                chunks.push(text);
+                next();
+                return;
+            }
+
+            if (stream.write(text, "utf8") === false) {
+                waiting = function () {
+                    waiting = null;
+                    next();
+                };
+                stream.once("drain", waiting);
+            } else {
+                next();
+            }
+        },
+        end: function (callback) {
+            if (failed) {
+                return;
+            }
+            if (!stream) {
+                callback(new Blob(chunks, {type: contentType}));
+                return;
+            }
+
+            if (!endStream) {
+                finished = true;
+                detach();
+                callback(null);
+                return;
+            }
+            stream.end(function (error) {
+                if ((error) || (failed)) {
+                    onStreamError(error);
+                    return;
+                }
+                finished = true;
+                detach();
+                callback(null);
+            });
+        }
+    };
+};
+
+// recordModel
+
+// A record to work with directly rather than through className / key pairs, from record.openRecord with parameters.model.
+// Attributes can be read and written as properties (incident.Title = "...") or with get / set, and save() only
+// sends the attributes that have changed.  save, reload, delete and invoke take the same onLoad / onError / timeout /
+// signal parameters as the commands and return their Promise; save, reload and update actions resolve with the model as result.data.
+//
+// var incident = (await connector.record.openRecord({className: "IncidentManagement.Incident", key: key, model: true})).data;
+// incident.Title = "Printer on fire";
+// await incident.save();
+
+/**
+ * @param {webAccessConnector} connector
+ * @param {string} className
+ * @param {?string} key null for a record that has not been saved yet
+ * @param {?Object} recordData the record as openRecord returns it
+ */
+webAccessConnector.recordModel = function (connector, className, key, recordData) {
+    var self = this;
+    var m_values = {};
+    var m_original = {};
+    var m_changed = [];
+
+    this.className = className;
+    this.key = key || null;
+    this.title = null;
+
+    /**
+     * @param {string} name
+     * @returns {*}
+     */
+    this.get = function (name) {
+        return m_values[name];
+    };
+
+    /**
+     * Change one attribute, or several with an object of values
+     *
+     * @param {string|Object} name
+     * @param {*} value
+     * @returns {webAccessConnector.recordModel}
+     */
+    this.set = function (name, value) {
+        if ((name) && (typeof name == "object")) {
+            for (var attributeName in name) {
+                if (name.hasOwnProperty(attributeName)) {
+                    self.set(attributeName, name[attributeName]);
+                }
+            }
+            return self;
+        }
+
+        m_defineProperty(name);
+        m_values[name] = value;
+
+        var changedPos = m_changed.indexOf(name);
+        var changed = (!m_original.hasOwnProperty(name)) || (!webAccessConnector.recordModel.sameValue(value, m_original[name]));
+        if ((changed) && (changedPos == -1)) {
+            m_changed.push(name);
+        } else if ((!changed) && (changedPos > -1)) {
+            m_changed.splice(changedPos, 1);
+        }
+        return self;
+    };
+
+    /**
+     * A copy of all attribute values
+     * @returns {Object}
+     */
+    this.getAttributes = function () {
+        return webAccessConnector.recordModel.copy(m_values);
+    };
+
+    /**
+     * The attributes changed since the record was loaded or saved
+     * @returns {Object}
+     */
+    this.getChanges = function () {
+        var changes = {};
+        for (var i = 0; i < m_changed.length; i++) {
+            changes[m_changed[i]] = m_values[m_changed[i]];
+        }
+        return changes;
+    };
+
+    /**
+     * @param {?string} name an attribute, or the whole record when not given
+     * @returns {boolean}
+     */
+    this.isDirty = function (name) {
+        return (name === undefined) ? (m_changed.length > 0) : (m_changed.indexOf(name) > -1);
+    };
+
+    /**
+     * @returns {boolean}
+     */
+    this.isNew = function () {
+        return !self.key;
+    };
+
+    /**
+     * Undo the changes
+     */
+    this.revert = function () {
+        m_values = webAccessConnector.recordModel.copy(m_original);
+        m_changed = [];
+    };
+
+    /**
+     * Save the changed attributes (all of them for a new record)
+     *
+     * @param {?Object} parameters onLoad, onError, timeout, signal, validate, convertValues
+     * @returns {?Promise}
+     */
+    this.save = function (parameters) {
+        parameters = parameters || {};
+
+        if ((self.key) && (m_changed.length == 0)) {
+            var deferred = webAccessConnector.defer(parameters);
+            setTimeout(function () {
+                deferred.onLoad({data: self, response: null, statusCode: 200, loggedOn: false, loggedOff: false});
+            }, 0);
+            return deferred.promise;
+        }
+
+        if (!self.key) {
+            return m_run(connector.record.createRecord, {
+                className: self.className, attributeValues: self.getAttributes()
+            }, parameters, m_onSaved);
+        }
+
+        return m_run(connector.record.updateRecord, {
+            className: self.className, key: self.key, attributeValues: self.getChanges()
+        }, parameters, m_onSaved);
+    };
+
+    /**
+     * Load the record again, losing any changes
+     *
+     * @param {?Object} parameters onLoad, onError, timeout, signal, convertValues
+     * @returns {?Promise}
+     */
+    this.reload = function (parameters) {
+        return m_run(connector.record.openRecord, {
+            className: self.className, key: self.key
+        }, parameters || {}, function (result) {
+            m_values = {};
+            m_onSaved(result);
+        });
+    };
+
+    /**
+     * Delete the record
+     *
+     * @param {?Object} parameters onLoad, onError, timeout, signal
+     * @returns {?Promise}
+     */
+    this["delete"] = function (parameters) {
+        return m_run(connector.record.deleteRecord, {
+            className: self.className, key: self.key
+        }, parameters || {}, null);
+    };
+
+    /**
+     * Run an action on the record: an update action saving the changes along with it
+     * (and parameters.attributeValues), or with parameters.windowless a windowless action
+     *
+     * @param {string} actionName
+     * @param {?Object} parameters windowless, attributeValues, onLoad, onError, timeout, signal
+     * @returns {?Promise}
+     */
+    this.invoke = function (actionName, parameters) {
+        parameters = parameters || {};
+
+        if (parameters.windowless) {
+            return m_run(connector.action.windowlessAction, {
+                className: self.className, key: self.key, actionName: actionName
+            }, parameters, null);
+        }
+
+        var attributeValues = self.getChanges();
+        for (var name in parameters.attributeValues) {
+            if (parameters.attributeValues.hasOwnProperty(name)) {
+                attributeValues[name] = parameters.attributeValues[name];
+            }
+        }
+
+        return m_run(connector.action.updateAction, {
+            className: self.className, key: self.key, actionName: actionName, attributeValues: attributeValues
+        }, parameters, m_onSaved);
+    };
+
+    /**
+     * Run a connector command for the model, onLoad (if any) takes in the result before the caller sees it
+     *
+     * @param {function} command
+     * @param {Object} commandParameters
+     * @param {Object} parameters the caller's parameters
+     * @param {?function} onLoad
+     * @returns {?Promise}
+     */
+    var m_run = function (command, commandParameters, parameters, onLoad) {
+        var deferred = webAccessConnector.defer(parameters);
+
+        commandParameters.timeout = parameters.timeout;
+        commandParameters.signal = deferred.signal;
+        commandParameters.validate = parameters.validate;
+        commandParameters.convertValues = parameters.convertValues;
+        if (commandParameters.validate === undefined) {
+            delete commandParameters.validate;
+        }
+
+        commandParameters.onLoad = function (result) {
+            if (onLoad) {
+                onLoad(result);
+                result.data = self;
+            }
+            deferred.onLoad(result);
+        };
+        commandParameters.onError = deferred.onError;
+
+        command(commandParameters);
+        return deferred.promise;
+    };
+
+    // the server's copy of the record is now the unchanged state
+    var m_onSaved = function (result) {
+        m_load(result.data);
+    };
+
+    var m_load = function (data) {
+        if (!data) {
+            return;
+        }
+
+        if (data.key) {
+            self.key = data.key;
+        }
+        if (data.name) {
+            self.title = data.name;
+        }
+
+        var attributes = connector.record._attributesOf(data);
+        for (var name in attributes) {
+            if ((attributes.hasOwnProperty(name)) && ((attributes !== data) || (["key", "name", "class_name"].indexOf(name) == -1))) {
+                m_defineProperty(name);
+                m_values[name] = attributes[name];
+            }
+        }
+
+        m_original = webAccessConnector.recordModel.copy(m_values);
+        m_changed = [];
+    };
+
+    // attributes are also properties, except where that would hide one of the methods
+    var m_defineProperty = function (name) {
+        if ((name in self) || (!Object.defineProperty)) {
+            return;
+        }
+
+        Object.defineProperty(self, name, {
+            get: function () {
+                return m_values[name];
+            },
+            set: function (value) {
+                self.set(name, value);
+            },
+            enumerable: true,
+            configurable: true
+        });
+    };
+
+    m_load(recordData);
+};
+
+/**
+ * Whether two attribute values are the same, comparing Dates by time and references by key
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+webAccessConnector.recordModel.sameValue = function (a, b) {
+    if ((a instanceof Date) && (b instanceof Date)) {
+        return a.getTime() == b.getTime();
+    }
+    if ((a instanceof webAccessConnector.reference) && (b instanceof webAccessConnector.reference)) {
+        return a.key == b.key;
+    }
+    return a === b;
+};
+
+/**
+ * @param {Object} values
+ * @returns {Object}
+ */
+webAccessConnector.recordModel.copy = function (values) {
+    var result = {};
+    for (var name in values) {
+        if (values.hasOwnProperty(name)) {
+            result[name] = values[name];
+        }
+    }
+    return result;
+};
+
+
+// Concurrency
+
+// versionAttribute: an attribute that changes with every save (a last update time or version number),
+// compared instead of every attribute when the record has it
+// maxSnapshots: how many opened records a connector remembers to compare with
+webAccessConnector.concurrencyDefaults = {
+    versionAttribute: null,
+    maxSnapshots: 1000
+};
+
+/**
+ * The concurrency check options for a connectionInfo.checkConcurrency / parameters.checkConcurrency setting, or null when off
+ *
+ * @param {boolean|Object|undefined} setting
+ * @returns {?Object}
+ */
+webAccessConnector.getConcurrencyOptions = function (setting) {
+    if (!setting) {
+        return null;
+    }
+
+    var defaults = webAccessConnector.concurrencyDefaults;
+    var options = {};
+    for (var name in defaults) {
+        if (defaults.hasOwnProperty(name)) {
+            options[name] = ((typeof setting == "object") && (setting.hasOwnProperty(name))) ? setting[name] : defaults[name];
+        }
+    }
+    return options;
+};
+
+/**
+ * The attributes that have changed on the server since original:
+ * {attribute, original, current, mine (the value being saved, if any), conflicting (mine is being saved too)}
+ *
+ * @param {Object} original
+ * @param {Object} current
+ * @param {Object} mine
+ * @returns {Array}
+ */
+webAccessConnector.diffValues = function (original, current, mine) {
+    var diff = [];
+
+    for (var name in original) {
+        if ((!original.hasOwnProperty(name)) || (!current.hasOwnProperty(name))) {
+            continue;
+        }
+
+        if (String(original[name]) != String(current[name])) {
+            diff.push({
+                attribute: name,
+                original: original[name],
+                current: current[name],
+                mine: mine[name],
+                conflicting: mine.hasOwnProperty(name)
+            });
+        }
+    }
+
+    return diff;
+};
+
+
+// Attachments
+
+/**
+ * File content to send: the file for attachment.upload, or an attribute value of a collectionAction / save,
+ * which then goes as multipart/form-data.  A File, Blob, Buffer, ArrayBuffer or typed array can be used as a value
+ * directly; wrap it (or a string) in webAccessConnector.file to give it a fileName or contentType.
+ *
+ * @param {File|Blob|Buffer|ArrayBuffer|Uint8Array|string} content
+ * @param {?string} fileName default the File's name, "file" otherwise
+ * @param {?string} contentType default the Blob's type, application/octet-stream otherwise
+ */
+webAccessConnector.file = function (content, fileName, contentType) {
+    if (content instanceof webAccessConnector.file) {
+        fileName = fileName || content.fileName;
+        contentType = contentType || content.contentType;
+        content = content.content;
+    }
+
+    this.content = content;
+    this.fileName = fileName || content.name || "file";
+    this.contentType = contentType || content.type || "application/octet-stream";
+
+    if (typeof content == "string") {
+        this.size = (typeof Buffer != "undefined") ? Buffer.byteLength(content) : new Blob([content]).size;
+    } else {
+        this.size = (content.size !== undefined) ? content.size : content.byteLength;
+    }
+};
+
+/**
+ * Whether a value is file content webAccessConnector.file accepts (other than a string)
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+webAccessConnector.file.isContent = function (value) {
+    if ((!value) || (typeof value != "object")) {
+        return false;
+    }
+    if ((typeof Blob != "undefined") && (value instanceof Blob)) {
+        return true;
+    }
+    if ((typeof ArrayBuffer != "undefined") && ((value instanceof ArrayBuffer) || (ArrayBuffer.isView(value)))) {
+        return true;
+    }
+    return false;
+};
+
+/**
+ * The content as a Blob, for FormData
+ *
+ * @returns {Blob}
+ */
+webAccessConnector.file.prototype.toBlob = function () {
+    if ((typeof Blob != "undefined") && (this.content instanceof Blob)) {
+        return this.content;
+    }
+    return new Blob([this.content], {type: this.contentType});
+};
+
+/**
+ * The content as a Buffer (Node), a Blob has to be read first so this is asynchronous
+ *
+ * @param {function(?Error, ?Buffer)} callback
+ */
+webAccessConnector.file.prototype.toBuffer = function (callback) {
+    var content = this.content;
+
+    if ((typeof Blob != "undefined") && (content instanceof Blob)) {
+        content.arrayBuffer().then(function (arrayBuffer) {
+            callback(null, Buffer.from(arrayBuffer));
+        }, function (e) {
+            callback(e, null);
+        });
+        return;
+    }
+
+    if (typeof content == "string") {
+        callback(null, Buffer.from(content, "utf8"));
+    } else if (content instanceof ArrayBuffer) {
+        callback(null, Buffer.from(content));
+    } else {
+        callback(null, Buffer.from(content.buffer, content.byteOffset, content.byteLength));
+    }
+};
+
+/**
+ * The file name from a Content-Disposition header, null when it has none
+ *
+ * @param {?string} header
+ * @returns {?string}
+ */
+webAccessConnector.file.fileNameOf = function (header) {
+    if (!header) {
+        return null;
+    }
+
+    var extended = /filename\*\s*=\s*(?:[\w-]+)'[^']*'([^;]+)/i.exec(header);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[1].trim());
+        } catch (e) {
+            // fall back to the plain file name
+        }
+    }
+
+    var plain = /filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]+))/i.exec(header);
+    if (!plain) {
+        return null;
+    }
+    return (plain[1] !== undefined) ? plain[1].replace(/\\(.)/g, "$1") : plain[2].trim();
+};
+
+// where attachment.download reads the file an attachment record holds: GET class_name, key and attribute_name (the
+// attachment class's file attribute), answering with the file named by its Content-Disposition.  Change it to suit the server.
+webAccessConnector.attachmentDownloadPath = "/object/download.rails";
+
+// Internal use only from here...
+
+// webAccessRequest
+
+// Internal use only for Web Access calls with login on demand.
+// Do not call directly use a webAccessConnector object instead.
+// parameters: connectionInfo, session, commandPath, requestType, requestData, onLoad, onError, middleware, requireJSON, timeout, signal,
+// binary (result.data is the response body, see webAccessConnector.ajax.call), onUploadProgress (called with {loaded, total})
+webAccessConnector.webAccessRequest = function (parameters) {
+    var self = this;
+    var m_session = parameters.session || new webAccessConnector.session(parameters.connectionInfo);
+    var m_sessionGeneration = 0;
+    var m_retryPolicy = webAccessConnector.getRetryPolicy(parameters.connectionInfo.retry);
+    var m_retries = 0;
+    var m_loginAttempted = false;
+    var m_started = false;
+    var m_loggedOn = false;
+    var m_loggedOff = false;
+    var m_result = null;
+    var m_resultIsSuccess = false;
+    var m_returned = false;
+    var m_abort = null;
+    var m_retryTimer = null;
+    var m_logOnWaiter = null;
+    var m_callPath = parameters.commandPath;
+    var m_callData = parameters.requestData;
+    var m_middleware = parameters.middleware || [];
+    var m_ajaxOptions = {
+        transport: parameters.connectionInfo.transport,
+        cookieJar: m_session.getCookieJar(),
+        timeout: parameters.timeout || parameters.connectionInfo.timeout,
+        binary: !!parameters.binary,
+        onUploadProgress: (parameters.onUploadProgress) ? function (loaded, total) {
+            parameters.onUploadProgress({loaded: loaded, total: total});
+        } : null
+    };
+
+    /**
+     * Make the call
+     */
+    this.go = function () {
+        m_retryTimer = null;
+        if ((m_returned) || (!m_watchSignal())) {
+            return;
+        }
+
+        // a log off in flight would cut this request off, send it once the log off is done
+        if (m_session.isLoggingOff()) {
+            m_session.afterLogOff(self.go);
+            return;
+        }
+
+        if (!m_started) {
+            m_started = true;
+            m_session.requestStarted();
+        }
+
+        // wait for a login another request started rather than being turned away with a 403
+        if ((m_session.isLoggingOn()) && (parameters.connectionInfo.loginOnDemand) && (m_loginAttempted == false)) {
+            m_loginAttempted = true;
+            m_loggedOn = true;
+            m_setCall(webAccessConnector.session.logOnPath, m_session.getLogOnData());
+            m_logOnWaiter = m_session.logOn(m_loginOnDemandOnLoad, m_onLogOnError, true);
+            return;
+        }
+
+        var requestData = {};
+        for (var name in parameters.requestData) {
+            if (parameters.requestData.hasOwnProperty(name)) {
+                requestData[name] = parameters.requestData[name];
+            }
+        }
+
+        var context = {
+            commandPath: parameters.commandPath,
+            requestType: parameters.requestType,
+            requestData: requestData,
+            headers: {},
+            json: webAccessConnector.ajax.sendsJSON(parameters.connectionInfo.jsonBody, parameters.commandPath)
+        };
+
+        m_setCall(parameters.commandPath, requestData);
+        m_runMiddleware("onRequest", context, function () {
+            var ajaxOptions = {};
+            for (var option in m_ajaxOptions) {
+                if (m_ajaxOptions.hasOwnProperty(option)) {
+                    ajaxOptions[option] = m_ajaxOptions[option];
+                }
+            }
+            ajaxOptions.headers = context.headers;
+            ajaxOptions.json = context.json;
+
+            m_setCall(context.commandPath, context.requestData);
+            m_sessionGeneration = m_session.getGeneration();
+            var url = parameters.connectionInfo.webAccessUrl + context.commandPath;
+            m_abort = webAccessConnector.ajax.call(url, context.requestType, context.requestData, m_onCommandLoad, m_onCommandError, parameters.requireJSON, ajaxOptions);
+        });
+    }
+
+    /**
+     * logOn (not required to be called manually if loginOnDemand is set in the constructor)
+     * @param {boolean} onDemand
+     */
+    this.logOn = function (onDemand) {
+        if ((m_returned) || (!m_watchSignal())) {
+            return;
+        }
+
+        if (m_session.isLoggingOff()) {
+            m_session.afterLogOff(function () {
+                self.logOn(onDemand);
+            });
+            return;
+        }
+
+        m_loginAttempted = true;
+        m_loggedOn = true;
+
+        var onLoad = (onDemand) ? m_loginOnDemandOnLoad : m_onLoad;
+        m_setCall(webAccessConnector.session.logOnPath, m_session.getLogOnData());
+        m_logOnWaiter = m_session.logOn(onLoad, m_onLogOnError, !!onDemand);
+    }
+
+    /**
+     * log off
+     */
+    this.logOff = function () {
+        if (!m_watchSignal()) {
+            return;
+        }
+
+        m_loggedOff = true;
+        m_setCall(webAccessConnector.session.logOffPath, null);
+        m_abort = m_session.logOff(m_onLoad, m_onError);
+    }
+
+    /**
+     * Abort the request, including a login it is waiting for, and report it as cancelled.
+     * An automatic log off it is waiting for is left to finish so the session is still released.
+     */
+    this.cancel = function () {
+        if (m_returned) {
+            return;
+        }
+
+        if (m_abort) {
+            m_abort();
+            m_abort = null;
+        }
+
+        if (m_retryTimer !== null) {
+            clearTimeout(m_retryTimer);
+            m_retryTimer = null;
+        }
+
+        if (m_logOnWaiter) {
+            m_session.cancelLogOn(m_logOnWaiter);
+            m_logOnWaiter = null;
+        }
+
+        m_result = m_createError(0, "Cancelled", "cancelled", null);
+        m_resultIsSuccess = false;
+
+        if (m_started) {
+            m_started = false;
+            m_session.requestFinished(function () {
+            });
+        }
+
+        m_logOffDone();
+    }
+
+    /**
+     * Cancel when parameters.signal aborts.  Returns false if it already has.
+     * @returns {boolean}
+     */
+    var m_watchSignal = function () {
+        if (!parameters.signal) {
+            return true;
+        }
+
+        if (parameters.signal.aborted) {
+            self.cancel();
+            return false;
+        }
+
+        parameters.signal.removeEventListener("abort", self.cancel);
+        parameters.signal.addEventListener("abort", self.cancel);
+        return true;
+    }
+
+    /**
+     *
+     * @param {Object} responseData
+     * @param {Object} response
+     */
+    var m_onLoad = function (responseData, response) {
+        m_result = {
+            data: responseData, response: response, statusCode: (response) ? response.status : 200
+        };
+        m_resultIsSuccess = true;
+
+        m_finish();
+    }
+
+    /**
+     * The command's own response goes through the middleware first
+     *
+     * @param {Object} responseData
+     * @param {Object} response
+     */
+    var m_onCommandLoad = function (responseData, response) {
+        var context = {
+            commandPath: m_callPath,
+            requestData: m_callData,
+            data: responseData,
+            response: response,
+            statusCode: response.status
+        };
+
+        m_runMiddleware("onResponse", context, function () {
+            m_onLoad(context.data, context.response);
+        });
+    }
+
+    /**
+     * Run a middleware hook in turn then call done, unless one of them finishes the request with respond / fail
+     *
+     * @param {string} hook onRequest, onResponse or onError
+     * @param {Object} context
+     * @param {function} done
+     */
+    var m_runMiddleware = function (hook, context, done) {
+        var list = (hook == "onRequest") ? m_middleware.slice(0) : m_middleware.slice(0).reverse();
+        var index = 0;
+        var settled = false;
+
+        context.respond = function (data) {
+            if ((settled) || (m_returned)) {
+                return;
+            }
+            settled = true;
+            m_onLoad(data, context.response || null);
+        };
+
+        context.fail = function (statusCode, errorText, reason) {
+            if ((settled) || (m_returned)) {
+                return;
+            }
+            settled = true;
+            m_result = m_createError(statusCode, errorText, reason, context.response || null);
+            m_finish();
+        };
+
+        var next = function () {
+            if ((settled) || (m_returned)) {
+                return;
+            }
+
+            while ((index < list.length) && (typeof list[index][hook] != "function")) {
+                index++;
+            }
+
+            if (index >= list.length) {
+                settled = true;
+                done();
+                return;
+            }
+
+            var middleware = list[index];
+            index++;
+            middleware[hook](context, next);
+        };
+
+        next();
+    }
+
+    var m_returnLoad = function () {
+        m_returned = true;
+        m_result.loggedOn = m_loggedOn;
+        m_result.loggedOff = m_loggedOff;
+        if (parameters.onLoad) {
+            parameters.onLoad(m_result);
+        }
+    }
+
+    /**
+     *
+     * @param {number|string} statusCode
+     * @param {string} errorText
+     * @param {?string} reason what went wrong (see webAccessConnector.ajax.onAjaxError)
+     * @param {?Object} response
+     */
+    var m_onError = function (statusCode, errorText, reason, response) {
+        if ((statusCode == 403) && (m_loginAttempted == false)) {
+            m_session.rejected(m_sessionGeneration);
+
+            if (parameters.connectionInfo.loginOnDemand) {
+                // another request has logged on since this one was sent, just repeat it
+                if ((m_session.isLoggedOn()) && (m_session.getGeneration() != m_sessionGeneration)) {
+                    m_loginAttempted = true;
+                    self.go();
+                    return;
+                }
+
+                self.logOn({
+                    onDemand: true
+                });
+                return;
+            } else {
+                errorText = "Not Logged In";
+                reason = "notLoggedIn";
+            }
+        }
+
+        var context = {
+            commandPath: m_callPath,
+            requestData: m_callData,
+            statusCode: statusCode,
+            errorText: errorText,
+            reason: reason,
+            response: response
+        };
+
+        m_runMiddleware("onError", context, function () {
+            m_result = m_createError(context.statusCode, context.errorText, context.reason, context.response);
+            m_finish();
+        });
+    }
+
+    /**
+     * A login that did not fail for a connection reason was refused
+     *
+     * @param {number|string} statusCode
+     * @param {string} errorText
+     * @param {?string} reason
+     * @param {?Object} response
+     */
+    var m_onLogOnError = function (statusCode, errorText, reason, response) {
+        m_logOnWaiter = null;
+        if ((reason != "network") && (reason != "timeout") && (reason != "integratedLogonFailed")) {
+            reason = "authFailed";
+        }
+        m_onError(statusCode, errorText, reason, response);
+    }
+
+    var m_setCall = function (path, data) {
+        m_callPath = path;
+        m_callData = data;
+    }
+
+    var m_createError = function (statusCode, errorText, reason, response) {
+        return new webAccessConnector.webAccessError({
+            code: webAccessConnector.getErrorCode(statusCode, reason),
+            statusCode: statusCode,
+            errorText: errorText,
+            commandPath: m_callPath,
+            requestData: webAccessConnector.redact(m_callData),
+            response: response || null
+        });
+    }
+
+    var m_returnError = function () {
+        m_returned = true;
+        if (parameters.onError) {
+            parameters.onError(m_result);
+        }
+    }
+
+    /**
+     * Errors from the command itself (not the login / log off) may be retried
+     *
+     * @param {number|string} statusCode
+     * @param {string} errorText
+     * @param {?string} reason
+     * @param {?Object} response
+     */
+    var m_onCommandError = function (statusCode, errorText, reason, response) {
+        if ((reason != "invalidRequestData") && webAccessConnector.shouldRetry(m_retryPolicy, parameters.commandPath, statusCode, m_retries)) {
+            var delay = webAccessConnector.retryDelay(m_retryPolicy, m_retries);
+            m_retries++;
+            m_retryTimer = setTimeout(self.go, delay);
+            return;
+        }
+
+        m_onError(statusCode, errorText, reason, response);
+    }
+
+    /**
+     *
+     * @param {Object} responseData
+     * @param {Object} response
+     */
+    var m_loginOnDemandOnLoad = function (responseData, response) {
+        m_logOnWaiter = null;
+        if (responseData.result == false) {
+            m_onError(403, responseData.message, "authFailed", response);
+            return;
+        }
+
+        // logged in, repeat the call
+        self.go();
+    }
+
+    // let the session know this request is done (it may auto log off) then report the result
+    var m_finish = function () {
+        if (!m_started) {
+            m_logOffDone();
+            return;
+        }
+
+        m_started = false;
+        m_session.requestFinished(function (loggedOff) {
+            if (loggedOff) {
+                m_loggedOff = true;
+            }
+            m_logOffDone();
+        });
+    }
+
+    var m_logOffDone = function () {
+        if (m_returned) {
+            return;
+        }
+
+        if (parameters.signal) {
+            parameters.signal.removeEventListener("abort", self.cancel);
+        }
+
+        if (m_resultIsSuccess == true) {
+            m_returnLoad();
+        } else {
+            m_returnError();
+        }
+    }
+
+}
+
+
+// session
+
+// Internal use only: the logged on state shared by all requests of a webAccessConnector.
+// Only one login is sent at a time; requests needing a login while one is in flight wait for it.
+// An on demand login is logged off again once no requests are outstanding (loginOnDemandAutoLogOff)
+// or after autoLogOffIdleTime ms without requests, and when the page unloads.
+// Requests wait for a log off in flight before they are sent, so it can't cut them off.
+// Available as connector.session for isLoggedOn() and the onLoggedOn / onLoggedOff / onSessionExpired events.
+// cookieJar: where its requests keep their cookies, by default connectionInfo.cookieJar or a new one.
+webAccessConnector.session = function (connectionInfo, cookieJar) {
+    var self = this;
+    var m_loggedOn = false;
+    var m_loggedOnOnDemand = false;
+    var m_loggingOn = false;
+    var m_generation = 0;
+    var m_logOnWaiting = [];
+    var m_outstanding = 0;
+    var m_idleTimer = null;
+    var m_autoLogOff = (connectionInfo.autoLogOffIdleTime !== undefined) || (!!connectionInfo.loginOnDemandAutoLogOff);
+    var m_abortLogOn = null;
+    var m_loggingOff = 0;
+    var m_afterLogOff = [];
+    var m_cookieJar = cookieJar || connectionInfo.cookieJar || new webAccessConnector.cookieJar();
+    var m_ajaxOptions = {
+        transport: connectionInfo.transport,
+        cookieJar: m_cookieJar,
+        timeout: connectionInfo.timeout
+    };
+
+    this.onLoggedOn = connectionInfo.onLoggedOn || null;
+    this.onLoggedOff = connectionInfo.onLoggedOff || null;
+    this.onSessionExpired = connectionInfo.onSessionExpired || null;
+
+    /**
+     * @returns {boolean}
+     */
+    this.isLoggedOn = function () {
+        return m_loggedOn;
+    };
+
+    /**
+     * @returns {boolean}
+     */
+    this.isLoggingOn = function () {
+        return m_loggingOn;
+    };
+
+    /**
+     * @returns {boolean}
+     */
+    this.isLoggingOff = function () {
+        return m_loggingOff > 0;
+    };
+
+    /**
+     * Call back once no log off is in flight, straight away if none is
+     * @param {function} callback
+     */
+    this.afterLogOff = function (callback) {
+        if (m_loggingOff == 0) {
+            callback();
+            return;
+        }
+        m_afterLogOff.push(callback);
+    };
+
+    /**
+     * The cookies of this session's requests
+     * @returns {webAccessConnector.cookieJar}
+     */
+    this.getCookieJar = function () {
+        return m_cookieJar;
+    };
+
+    /**
+     * Goes up each time the session logs on, so requests can tell whether a 403 was for an older session
+     * @returns {number}
+     */
+    this.getGeneration = function () {
+        return m_generation;
+    };
+
+    /**
+     * Log on with the connectionInfo credentials, or wait for the login already in flight.
+     * onLoad gets (responseData, response) for the login, onError gets (statusCode, errorText).
+     *
+     * @param {function} onLoad
+     * @param {function} onError
+     * @param {?boolean} onDemand logged on for a request rather than by user.logOn, so auto log off applies
+     * @returns {Object} the waiter to pass to cancelLogOn
+     */
+    this.logOn = function (onLoad, onError, onDemand) {
+        var waiter = {onLoad: onLoad, onError: onError, onDemand: !!onDemand};
+        m_logOnWaiting.push(waiter);
+        if (m_loggingOn) {
+            return waiter;
+        }
+        m_loggingOn = true;
+
+        var formData = self.getLogOnData();
+
+        var loginUrl = connectionInfo.webAccessUrl + webAccessConnector.session.logOnPath;
+        m_abortLogOn = webAccessConnector.ajax.call(loginUrl, webAccessConnector.requestType.post, formData, m_logOnLoad, m_logOnError, true, m_ajaxOptions);
+        return waiter;
+    };
+
+    /**
+     * The form posted to log on
+     * @returns {Object}
+     */
+    this.getLogOnData = function () {
+        return {
+            Ecom_User_ID: connectionInfo.loginUser,
+            Ecom_User_Password: connectionInfo.loginPass
+        };
+    };
+
+    /**
+     * Stop waiting for a login, aborting it when nothing else is waiting for it
+     * @param {Object} waiter
+     */
+    this.cancelLogOn = function (waiter) {
+        var i = m_logOnWaiting.indexOf(waiter);
+        if (i == -1) {
+            return;
+        }
+
+        m_logOnWaiting.splice(i, 1);
+        if ((m_logOnWaiting.length == 0) && (m_loggingOn)) {
+            m_loggingOn = false;
+            if (m_abortLogOn) {
+                m_abortLogOn();
+            }
+        }
+    };
+
+    /**
+     * Log off.  onLoad gets (responseData, response), onError gets (statusCode, errorText).
+     * A login made while the log off was in flight stays logged on when its response comes back.
+     *
+     * @param {function} onLoad
+     * @param {function} onError
+     * @returns {function} aborts the log off
+     */
+    this.logOff = function (onLoad, onError) {
+        var logOffUrl = connectionInfo.webAccessUrl + webAccessConnector.session.logOffPath;
+        var generation = m_generation;
+
+        var finished = false;
+
+        var finish = function (sent) {
+            if (finished) {
+                return false;
+            }
+            finished = true;
+            m_loggingOff--;
+
+            if ((sent) && (generation == m_generation)) {
+                m_setLoggedOff();
+            }
+            return true;
+        };
+
+        m_loggingOff++;
+        m_clearIdleTimer();
+
+        var abort = webAccessConnector.ajax.call(logOffUrl, webAccessConnector.requestType.post, null, function (responseData, response) {
+            finish(true);
+            onLoad(responseData, response);
+            m_releaseAfterLogOff();
+        }, function (statusCode, errorText, reason, response) {
+            finish(true);
+            onError(statusCode, errorText, reason, response);
+            m_releaseAfterLogOff();
+        }, false, m_ajaxOptions);
+
+        return function () {
+            abort();
+            if (finish(false)) {
+                m_releaseAfterLogOff();
+            }
+        };
+    };
+
+    /**
+     * Stop using the session: its idle timer and unload listener go, and an on demand login that would have been
+     * logged off automatically is logged off now.
+     */
+    this.dispose = function () {
+        m_clearIdleTimer();
+        webAccessConnector.session._removeUnloadHandler(m_logOffOnUnload);
+
+        if ((m_autoLogOff) && (m_loggedOn) && (m_loggedOnOnDemand) && (m_loggingOff == 0)) {
+            self.logOff(function () {
+            }, function () {
+            });
+        }
+    };
+
+    /**
+     * A request is about to be sent
+     */
+    this.requestStarted = function () {
+        m_outstanding++;
+        m_clearIdleTimer();
+    };
+
+    /**
+     * A request has its result.  callback(loggedOff) is called once any auto log off it has to wait for is done.
+     * @param {function(boolean)} callback
+     */
+    this.requestFinished = function (callback) {
+        m_outstanding = Math.max(0, m_outstanding - 1);
+
+        if ((m_outstanding > 0) || (!m_autoLogOff) || (!m_loggedOn) || (!m_loggedOnOnDemand)) {
+            callback(false);
+            return;
+        }
+
+        if (connectionInfo.autoLogOffIdleTime !== undefined) {
+            m_clearIdleTimer();
+            m_idleTimer = setTimeout(function () {
+                m_idleTimer = null;
+                if ((m_outstanding == 0) && (m_loggedOn) && (!m_loggingOn) && (m_loggingOff == 0)) {
+                    self.logOff(function () {
+                    }, function () {
+                    });
+                }
+            }, connectionInfo.autoLogOffIdleTime);
+            callback(false);
+            return;
+        }
+
+        // loginOnDemandAutoLogOff: the last request out waits for the log off
+        self.logOff(function () {
+            callback(true);
+        }, function () {
+            callback(true);
+        });
+    };
+
+    /**
+     * A request sent during the given session generation was refused with a 403
+     * @param {number} generation
+     */
+    this.rejected = function (generation) {
+        if ((m_loggedOn) && (generation == m_generation)) {
+            m_loggedOn = false;
+            m_fire("onSessionExpired");
+        }
+    };
+
+    var m_logOnLoad = function (responseData, response) {
+        m_loggingOn = false;
+        m_abortLogOn = null;
+
+        var waiting = m_logOnWaiting;
+        m_logOnWaiting = [];
+
+        if ((responseData) && (responseData.result !== false)) {
+            m_loggedOn = true;
+            m_loggedOnOnDemand = true;
+            for (var j = 0; j < waiting.length; j++) {
+                if (!waiting[j].onDemand) {
+                    m_loggedOnOnDemand = false;
+                }
+            }
+            m_generation++;
+            m_fire("onLoggedOn");
+        }
+
+        for (var i = 0; i < waiting.length; i++) {
+            waiting[i].onLoad(responseData, response);
+        }
+    };
+
+    var m_logOnError = function (statusCode, errorText, reason, response) {
+        m_loggingOn = false;
+        m_abortLogOn = null;
+
+        var waiting = m_logOnWaiting;
+        m_logOnWaiting = [];
+        for (var i = 0; i < waiting.length; i++) {
+            waiting[i].onError(statusCode, errorText, reason, response);
+        }
+    };
+
+    var m_releaseAfterLogOff = function () {
+        if (m_loggingOff > 0) {
+            return;
+        }
+
+        var waiting = m_afterLogOff;
+        m_afterLogOff = [];
+        for (var i = 0; i < waiting.length; i++) {
+            waiting[i]();
+        }
+    };
+
+    var m_setLoggedOff = function () {
+        m_clearIdleTimer();
+        if (m_loggedOn) {
+            m_loggedOn = false;
+            m_fire("onLoggedOff");
+        }
+    };
+
+    var m_clearIdleTimer = function () {
+        if (m_idleTimer !== null) {
+            clearTimeout(m_idleTimer);
+            m_idleTimer = null;
+        }
+    };
+
+    // the page is going away: the log off has to be sent without waiting for a response
+    var m_logOffOnUnload = function () {
+        if ((!m_loggedOn) || (!m_loggedOnOnDemand)) {
+            return;
+        }
+
+        var logOffUrl = connectionInfo.webAccessUrl + webAccessConnector.session.logOffPath;
+        m_loggedOn = false;
+        m_clearIdleTimer();
+
+        if ((typeof navigator != "undefined") && (navigator.sendBeacon)) {
+            navigator.sendBeacon(logOffUrl, "");
+            return;
+        }
+
+        try {
+            var req = new XMLHttpRequest();
+            req.open(webAccessConnector.requestType.post, logOffUrl, false);
+            req.setRequestHeader("X-Requested-With", "XMLHttpRequest");
+            req.send();
+        } catch (e) {
+            // nothing more can be done while unloading
+        }
+    };
+
+    if (m_autoLogOff) {
+        webAccessConnector.session._addUnloadHandler(m_logOffOnUnload);
+    }
+
+    var m_fire = function (eventName) {
+        if (typeof self[eventName] == "function") {
+            self[eventName]();
+        }
+    };
+};
+
+webAccessConnector.session.logOnPath = "/wd/Logon/Logon.rails";
+webAccessConnector.session.logOffPath = "/wd/Logon/Logoff.rails";
+
+// what to do when the page unloads for each session that logs off automatically, all from one pagehide / unload listener
+webAccessConnector.session._unloadHandlers = [];
+
+/**
+ * @private
+ */
+webAccessConnector.session._onUnload = function () {
+    var handlers = webAccessConnector.session._unloadHandlers.slice(0);
+    for (var i = 0; i < handlers.length; i++) {
+        handlers[i]();
+    }
+};
+
+/**
+ * Listen for the page unloading while any session needs to know
+ *
+ * @param {function} handler
+ * @private
+ */
+webAccessConnector.session._addUnloadHandler = function (handler) {
+    if ((typeof window == "undefined") || (!window.addEventListener)) {
+        return;
+    }
+
+    var handlers = webAccessConnector.session._unloadHandlers;
+    if (handlers.length == 0) {
+        window.addEventListener(webAccessConnector.session._unloadEvent(), webAccessConnector.session._onUnload);
+    }
+    handlers.push(handler);
+};
+
+/**
+ * @param {function} handler
+ * @private
+ */
+webAccessConnector.session._removeUnloadHandler = function (handler) {
+    var handlers = webAccessConnector.session._unloadHandlers;
+    var i = handlers.indexOf(handler);
+    if (i == -1) {
+        return;
+    }
+
+    handlers.splice(i, 1);
+    if ((handlers.length == 0) && (typeof window != "undefined") && (window.removeEventListener)) {
+        window.removeEventListener(webAccessConnector.session._unloadEvent(), webAccessConnector.session._onUnload);
+    }
+};
+
+/**
+ * pagehide where there is one: unload listeners stop pages going into the back / forward cache
+ * @returns {string}
+ * @private
+ */
+webAccessConnector.session._unloadEvent = function () {
+    return ("onpagehide" in window) ? "pagehide" : "unload";
+};
+
+
+// Constants
+
+webAccessConnector.version = "1.1.0";
+webAccessConnector.requestType = {
+    get: "GET",
+    post: "POST"
+};
+
+// the code of every webAccessError
+webAccessConnector.errorCodes = {
+    authFailed: "authFailed",                       // the login was refused
+    notLoggedIn: "notLoggedIn",                     // 403 and no login on demand (or it did not help)
+    integratedLogonFailed: "integratedLogonFailed",
+    notFound: "notFound",
+    validation: "validation",                       // the server refused the data with a message (business rules, mandatory fields...), or validation did before sending (fieldErrors)
+    serverException: "serverException",             // an unhandled server error / Web Access error page
+    network: "network",                             // the server could not be reached
+    invalidJSON: "invalidJSON",                     // JSON was required but something else came back
+    timeout: "timeout",
+    cancelled: "cancelled",
+    conflict: "conflict",                           // the record changed on the server since it was opened (currentValues, diff)
+    invalidRequestData: "invalidRequestData",       // request data that can't be sent (NaN, an invalid Date, a function...)
+    stream: "stream",                               // an export's stream failed or closed before the export finished
+    unexpectedStatus: "unexpectedStatus"            // any other HTTP status
+};
+
+// request values never copied into a webAccessError
+webAccessConnector.redactedFields = ["Ecom_User_Password"];
+
+// how the metadata commands query: the page_size of each request, how many pages are requested at once
+// and how many levels of a class's superclasses are described by one query
+webAccessConnector.metadataDefaults = {
+    pageSize: 500,
+    concurrency: 4,
+    inheritanceDepth: 5
+};
+
+// how related.loadReferences loads references: the keys looked up by each query and how many queries are run at once
+webAccessConnector.referenceDefaults = {
+    batchSize: 50,
+    concurrency: 2
+};
+
+// the kinds of action, which decide how an action is performed (see action.invokeAction)
+webAccessConnector.actionTypes = {
+    update: "update",                               // action.updateAction, saving its form's values
+    windowless: "windowless",                       // action.windowlessAction, no form
+    collection: "collection",                       // action.collectionAction, creating a collection record from its form
+    attachDetach: "attachDetach"                    // action.attachDetachAction, linking or unlinking another record
+};
+
+/**
+ * One of webAccessConnector.actionTypes for an action type however it is written ("Update", "Attach", "Detach"...)
+ *
+ * @param {?string} type
+ * @returns {?string} null when unknown
+ */
+webAccessConnector.getActionType = function (type) {
+    var name = String(type || "").replace(/[^a-z]/gi, "").toLowerCase();
+    var types = webAccessConnector.actionTypes;
+
+    if (name == "windowless") {
+        return types.windowless;
+    }
+    if (name == "collection") {
+        return types.collection;
+    }
+    if ((name == "attachdetach") || (name == "attach") || (name == "detach")) {
+        return types.attachDetach;
+    }
+    if (name == "update") {
+        return types.update;
+    }
+    return null;
+};
+
+// where action.getActions finds the actions a record's status allows: one className record for each action, queried by
+// the record's class (classType, compared with its metadata Guid) and status (fromStatus, compared with the record's
+// statusAttribute as openRecord gives it).  Each action's name and type are read from it, and for collection and
+// attach / detach actions the class it creates or links (collectionClass / linkedClass, references to a
+// Metadata.ClassType).  The action's title is the record's name.  Change them to suit the server's lifecycle metadata.
+webAccessConnector.actionMetadata = {
+    className: "Process.LifecycleAction",
+    statusAttribute: "Status",
+    attributes: {
+        classType: "ClassType.Guid",
+        fromStatus: "FromStatus.Name",
+        name: "Name",
+        type: "ActionType",
+        collectionClass: "CollectionClassType",
+        linkedClass: "LinkedClassType"
+    }
+};
+
+
+// Errors
+
+// webAccessError: what onError gets and Promises reject with.
+// statusCode and errorText are as they always were; code is one of webAccessConnector.errorCodes.
+// details: code, statusCode, errorText, commandPath, requestData (already redacted), response,
+// fieldErrors (validation before sending only, see webAccessConnector.validateAttributeValues),
+// currentValues and diff (conflicts only, see record.updateRecord)
+webAccessConnector.webAccessError = function (details) {
+    this.name = "webAccessError";
+    this.message = details.errorText;
+    this.code = details.code;
+    this.statusCode = details.statusCode;
+    this.errorText = details.errorText;
+    this.commandPath = details.commandPath || null;
+    this.requestData = details.requestData || null;
+    this.response = details.response || null;
+    this.responseText = ((details.response) && (typeof details.response.responseText == "string")) ? details.response.responseText : null;
+    this.fieldErrors = details.fieldErrors || null;
+    this.currentValues = details.currentValues || null;
+    this.diff = details.diff || null;
+
+    if (this.code == webAccessConnector.errorCodes.timeout) {
+        this.timedOut = true;
+    } else if (this.code == webAccessConnector.errorCodes.cancelled) {
+        this.cancelled = true;
+    }
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, webAccessConnector.webAccessError);
+    } else {
+        this.stack = new Error(details.errorText).stack;
+    }
+};
+webAccessConnector.webAccessError.prototype = Object.create(Error.prototype);
+webAccessConnector.webAccessError.prototype.constructor = webAccessConnector.webAccessError;
+
+/**
+ * Work out the error code from the status and what the ajax layer saw
+ *
+ * @param {number|string} statusCode
+ * @param {?string} reason
+ * @returns {string}
+ */
+webAccessConnector.getErrorCode = function (statusCode, reason) {
+    var codes = webAccessConnector.errorCodes;
+
+    if ((reason) && (codes.hasOwnProperty(reason))) {
+        return codes[reason];
+    }
+
+    statusCode = parseInt(statusCode, 10);
+    if (statusCode == 401) {
+        return codes.authFailed;
+    }
+    if (statusCode == 403) {
+        return codes.notLoggedIn;
+    }
+    if (statusCode == 404) {
+        return codes.notFound;
+    }
+    if ((reason == "serverMessage") || (statusCode == 400) || (statusCode == 409) || (statusCode == 422)) {
+        return codes.validation;
+    }
+    if ((reason == "exceptionPage") || (statusCode >= 500)) {
+        return codes.serverException;
+    }
+    return codes.unexpectedStatus;
+};
+
+/**
+ * Copy request data replacing the redactedFields (and anything that looks like a password)
+ *
+ * @param {?Object} data
+ * @returns {?Object}
+ */
+webAccessConnector.redact = function (data) {
+    if ((!data) || (typeof data != "object")) {
+        return data || null;
+    }
+
+    var copy = {};
+    for (var name in data) {
+        if (data.hasOwnProperty(name)) {
+            if ((webAccessConnector.redactedFields.indexOf(name) > -1) || (/password/i.test(name))) {
+                copy[name] = "[redacted]";
+            } else {
+                copy[name] = data[name];
+            }
+        }
+    }
+    return copy;
+};
+
+// Built-in Middleware
+
+// Internal processing of responses, run as the innermost middleware of the commands that need it.
+
+webAccessConnector.middleware = {};
+
+// fix the objectCount that is always 0 when pageCount is 1.
+webAccessConnector.middleware.queryObjectCount = {
+    onResponse: function (context, next) {
+        if (context.data.pageCount == 1) {
+            context.data.objectCount = context.data.objects.length;
+        }
+        next();
+    }
+};
+
+
+// Retry Helpers
+
+// Internal use only for retrying commands that failed for a transient reason.
+// Only the command paths in the policy are retried: by default the read only GETs, saves and
+// invokeFunction have to be added explicitly as they may have been applied before the failure.
+
+webAccessConnector.retryDefaults = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    statusCodes: [0, 500, 502, 503, 504],
+    commandPaths: ["/query/list.rails", "/object/open.rails"]
+};
+
+/**
+ * The retry policy for a connectionInfo.retry setting, or null when retrying is off
+ *
+ * @param {boolean|Object|undefined} retry
+ * @param {number} retry.maxAttempts attempts in total including the first
+ * @param {number} retry.baseDelay ms before the first retry, doubled for each retry after that
+ * @param {number} retry.maxDelay
+ * @param {Array} retry.statusCodes status codes worth retrying, 0 is a failed connection
+ * @param {Array} retry.commandPaths commands that may be retried, such as "/object/save.rails"
+ * @returns {?Object}
+ */
+webAccessConnector.getRetryPolicy = function (retry) {
+    if (!retry) {
+        return null;
+    }
+
+    var policy = {};
+    for (var name in webAccessConnector.retryDefaults) {
+        if (webAccessConnector.retryDefaults.hasOwnProperty(name)) {
+            policy[name] = ((typeof retry == "object") && (retry[name] !== undefined)) ? retry[name] : webAccessConnector.retryDefaults[name];
+        }
+    }
+    return policy;
+};
+
+/**
+ *
+ * @param {?Object} policy
+ * @param {string} commandPath
+ * @param {number|string} statusCode
+ * @param {number} retries retries made so far
+ * @returns {boolean}
+ */
+webAccessConnector.shouldRetry = function (policy, commandPath, statusCode, retries) {
+    if (!policy) {
+        return false;
+    }
+
+    return (retries + 1 < policy.maxAttempts) &&
+        (policy.commandPaths.indexOf(commandPath) > -1) &&
+        (policy.statusCodes.indexOf(parseInt(statusCode, 10)) > -1);
+};
+
+/**
+ * Exponential backoff with jitter: between half and all of baseDelay * 2^retries, capped at maxDelay
+ *
+ * @param {Object} policy
+ * @param {number} retries retries made so far
+ * @returns {number} ms
+ */
+webAccessConnector.retryDelay = function (policy, retries) {
+    var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retries));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+// Promise Helpers
+
+// Internal use only to give every command a Promise and cancel() alongside its onLoad / onError callbacks.
+
+/**
+ * Wrap a command's callbacks so the command can also return a Promise.
+ * The Promise resolves with the result passed to onLoad and rejects with the result passed to onError.
+ * When the environment has no Promise support the callbacks are passed through and the promise is a plain object.
+ * A command given either callback reports failures only through onError, never as an unhandled rejection.
+ * Either way promise.cancel() aborts the signal the command passes on to its requests.
+ *
+ * @param {?Object} parameters
+ * @param {?function} parameters.onLoad
+ * @param {?function} parameters.onError
+ * @param {?Object} parameters.signal AbortSignal from the caller
+ * @returns {{onLoad: function, onError: function, signal: webAccessConnector.cancelSignal, promise: Object}}
+ */
+webAccessConnector.defer = function (parameters) {
+    parameters = parameters || {};
+
+    var deferred = {
+        onLoad: function (result) {
+            deferred.signal.detach();
+            if (parameters.onLoad) {
+                parameters.onLoad(result);
+            }
+        },
+        onError: function (result) {
+            deferred.signal.detach();
+            if (parameters.onError) {
+                parameters.onError(result);
+            }
+        },
+        signal: new webAccessConnector.cancelSignal(parameters.signal),
+        promise: {}
+    };
+
+    if (typeof Promise != "undefined") {
+        deferred.promise = new Promise(function (resolve, reject) {
+            deferred.onLoad = function (result) {
+                deferred.signal.detach();
+                resolve(result);
+                if (parameters.onLoad) {
+                    parameters.onLoad(result);
+                }
+            };
+            deferred.onError = function (result) {
+                deferred.signal.detach();
+                reject(result);
+                if (parameters.onError) {
+                    parameters.onError(result);
+                }
+            };
+        });
+
+        // callers using the callbacks may never look at the promise, so it must not report unhandled rejections
+        if ((parameters.onLoad) || (parameters.onError)) {
+            deferred.promise.catch(function () {
+            });
+        }
+    }
+
+    deferred.promise.cancel = function () {
+        deferred.signal.abort();
+    };
+
+    return deferred;
+};
+
+/**
+ * Fail a command whose parameters can't be used, the way a request would: asynchronously, through onError and
+ * the promise, with an invalidRequestData webAccessError.
+ *
+ * @param {Object} deferred from webAccessConnector.defer
+ * @param {string} errorText
+ * @param {?string} commandPath
+ * @returns {?Promise} deferred.promise
+ */
+webAccessConnector.failParameters = function (deferred, errorText, commandPath) {
+    var error = new webAccessConnector.webAccessError({
+        code: webAccessConnector.errorCodes.invalidRequestData,
+        statusCode: 0,
+        errorText: "webAccessConnector: " + errorText,
+        commandPath: commandPath
+    });
+
+    setTimeout(function () {
+        deferred.onError(error);
+    }, 0);
+    return deferred.promise;
+};
+
+// cancelSignal
+
+// Internal use only: an AbortSignal look-alike (aborted, addEventListener / removeEventListener "abort")
+// that also follows a parent signal, so a command can cancel every request it makes.
+webAccessConnector.cancelSignal = function (parentSignal) {
+    var self = this;
+    var m_listeners = [];
+
+    this.aborted = false;
+
+    this.addEventListener = function (type, listener) {
+        if (type == "abort") {
+            m_listeners.push(listener);
+        }
+    };
+
+    this.removeEventListener = function (type, listener) {
+        var i = m_listeners.indexOf(listener);
+        if ((type == "abort") && (i > -1)) {
+            m_listeners.splice(i, 1);
+        }
+    };
+
+    this.abort = function () {
+        if (self.aborted) {
+            return;
+        }
+        self.aborted = true;
+        self.detach();
+
+        var listeners = m_listeners;
+        m_listeners = [];
+        for (var i = 0; i < listeners.length; i++) {
+            listeners[i]();
+        }
+    };
+
+    /**
+     * Stop following the parent signal
+     */
+    this.detach = function () {
+        if (parentSignal) {
+            parentSignal.removeEventListener("abort", self.abort);
+        }
+    };
+
+    if (parentSignal) {
+        if (parentSignal.aborted) {
+            this.aborted = true;
+        } else {
+            parentSignal.addEventListener("abort", self.abort);
+        }
+    }
+};
+
+// Ajax Helpers
+
+// Internal use only for actual server communication.
+// Do not call directly.
+
+webAccessConnector.ajax = {};
+
+/**
+ *
+ * @param {string} url
+ * @param {'GET'|'POST'} requestType
+ * @param {Object} data
+ * @param {function} onLoad
+ * @param {function} onError
+ * @param {?boolean} requireJSON
+ * @param {?Object} options
+ * @param {string|function|undefined} options.transport
+ * @param {webAccessConnector.cookieJar|undefined} options.cookieJar
+ * @param {Object|undefined} options.headers extra request headers
+ * @param {number|undefined} options.timeout ms before onError is called with (0, "Request Timed Out", "timeout", null)
+ * @param {boolean|undefined} options.binary onLoad gets the response body (a Blob, or a stream from the node transport) rather than its text
+ * @param {function|undefined} options.onUploadProgress called with (loaded, total) bytes as a multipart body is sent
+ * @returns {function} aborts the request; neither onLoad nor onError are called after that
+ */
+webAccessConnector.ajax.call = function (url, requestType, data, onLoad, onError, requireJSON, options) {
+    options = options || {};
+
+    // data holding files goes as multipart/form-data whatever options.json says
+    var multipart = webAccessConnector.ajax.hasFiles(data);
+    var json = (!multipart) && (options.json) && (requestType == webAccessConnector.requestType.post);
+    try {
+        if (multipart) {
+            if (requestType != webAccessConnector.requestType.post) {
+                throw new Error("webAccessConnector: files can only be sent with POST");
+            }
+            data = new webAccessConnector.ajax.multipart(webAccessConnector.ajax.formFields(data));
+        } else {
+            data = (json) ? webAccessConnector.ajax.encodeJSON(data) : webAccessConnector.ajax.encodeForm(data);
+        }
+    } catch (e) {
+        var failTimer = setTimeout(function () {
+            if (onError) {
+                onError(0, e.message, "invalidRequestData", null);
+            }
+        }, 0);
+        return function () {
+            clearTimeout(failTimer);
+        };
+    }
+
+    var request = {
+        url: url,
+        method: requestType,
+        headers: {
+            "Accept": "application/json",
+            "X-Requested-With": "XMLHttpRequest"
+        },
+        body: null,
+        cookieJar: options.cookieJar,
+        binary: !!options.binary,
+        onUploadProgress: options.onUploadProgress || null
+    };
+
+    for (var header in options.headers) {
+        if (options.headers.hasOwnProperty(header)) {
+            request.headers[header] = options.headers[header];
+        }
+    }
+
+    if (requestType == webAccessConnector.requestType.post) {
+        if (multipart) {
+            request.headers["Content-type"] = data.contentType;
+        } else {
+            request.headers["Content-type"] = (json) ? "application/json" : "application/x-www-form-urlencoded";
+        }
+        request.body = data;
+    } else {
+        request.url += "?" + data;
+    }
+
+    var finished = false;
+    var timer = null;
+
+    var transport = webAccessConnector.ajax.getTransport(options.transport);
+    var abortTransport = transport(request, function (response) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        webAccessConnector.ajax.onResponse(response, onLoad, onError, requireJSON, options.binary);
+    });
+
+    var abort = function () {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        if (typeof abortTransport == "function") {
+            abortTransport();
+        }
+    };
+
+    if ((options.timeout) && (!finished)) {
+        timer = setTimeout(function () {
+            abort();
+            if (onError) {
+                onError(0, "Request Timed Out", "timeout", null);
+            }
+        }, options.timeout);
+    }
+
+    return abort;
+};
+
+/**
+ * Whether a command's request data goes as JSON (see connectionInfo.jsonBody)
+ *
+ * @param {boolean|Array|undefined} jsonBody
+ * @param {string} commandPath
+ * @returns {boolean}
+ */
+webAccessConnector.ajax.sendsJSON = function (jsonBody, commandPath) {
+    if (jsonBody instanceof Array) {
+        return jsonBody.indexOf(commandPath) > -1;
+    }
+    return !!jsonBody;
+};
+
+/**
+ * Request data as a form / query string:
+ * undefined values are left out, null is sent empty (clearing the attribute), Dates as ISO 8601 in UTC,
+ * references (webAccessConnector.reference) as their key, arrays as the name repeated for each item
+ * and objects as name.property, the way Web Access binds forms.
+ * Throws for values that can't be sent: NaN / Infinity, invalid Dates, functions, files.
+ *
+ * @param {?Object} data
+ * @returns {string}
+ */
+webAccessConnector.ajax.encodeForm = function (data) {
+    var fields = webAccessConnector.ajax.formFields(data);
+    var parts = [];
+
+    for (var i = 0; i < fields.length; i++) {
+        if (fields[i].value instanceof webAccessConnector.file) {
+            throw new Error("webAccessConnector: the file " + fields[i].name + " can only be sent as multipart/form-data");
+        }
+        parts.push(encodeURIComponent(fields[i].name) + "=" + encodeURIComponent(fields[i].value));
+    }
+
+    return parts.join("&");
+};
+
+/**
+ * Request data as the form fields encodeForm sends, with files as webAccessConnector.file values
+ *
+ * @param {?Object} data
+ * @returns {Array} {name, value}
+ */
+webAccessConnector.ajax.formFields = function (data) {
+    var fields = [];
+
+    var add = function (name, value) {
+        value = webAccessConnector.ajax.encodeValue(name, value);
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (value instanceof Array) {
+            for (var i = 0; i < value.length; i++) {
+                var isFile = (value[i] instanceof webAccessConnector.file) || (webAccessConnector.file.isContent(value[i]));
+                if ((value[i]) && (typeof value[i] == "object") && (!(value[i] instanceof Array)) && (!isFile)) {
+                    add(name + "[" + i + "]", value[i]);
+                } else {
+                    add(name, value[i]);
+                }
+            }
+            return;
+        }
+
+        if ((value) && (typeof value == "object") && (!(value instanceof webAccessConnector.file))) {
+            for (var property in value) {
+                if (value.hasOwnProperty(property)) {
+                    add(name + "." + property, value[property]);
+                }
+            }
+            return;
+        }
+
+        fields.push({name: name, value: value});
+    };
+
+    for (var name in data) {
+        if (data.hasOwnProperty(name)) {
+            add(name, data[name]);
+        }
+    }
+
+    return fields;
+};
+
+/**
+ * Whether request data holds any files (see webAccessConnector.file), and so has to be sent as multipart/form-data
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+webAccessConnector.ajax.hasFiles = function (value) {
+    if ((value instanceof webAccessConnector.file) || (webAccessConnector.file.isContent(value))) {
+        return true;
+    }
+
+    if ((value) && (typeof value == "object") && (!(value instanceof Date)) && (!(value instanceof webAccessConnector.reference))) {
+        for (var name in value) {
+            if ((value.hasOwnProperty(name)) && (webAccessConnector.ajax.hasFiles(value[name]))) {
+                return true;
+            }
+        }
+    }
+    return false;
+};
+
+/**
+ * Request data as JSON, with values handled as encodeForm does except that null stays null
+ *
+ * @param {?Object} data
+ * @returns {string}
+ */
+webAccessConnector.ajax.encodeJSON = function (data) {
+    var convert = function (name, value) {
+        if (value === null) {
+            return null;
+        }
+
+        value = webAccessConnector.ajax.encodeValue(name, value);
+        if (value instanceof webAccessConnector.file) {
+            throw new Error("webAccessConnector: the file " + name + " can only be sent as multipart/form-data");
+        }
+        if ((!value) || (typeof value != "object")) {
+            return value;
+        }
+
+        var result = (value instanceof Array) ? [] : {};
+        for (var key in value) {
+            if (value.hasOwnProperty(key)) {
+                var converted = convert(name + "." + key, value[key]);
+                if (converted !== undefined) {
+                    result[key] = converted;
+                }
+            }
+        }
+        return result;
+    };
+
+    return JSON.stringify(convert("", data || {}));
+};
+
+/**
+ * One request value as a string, number, boolean, array, plain object or webAccessConnector.file (or undefined to leave it out)
+ *
+ * @param {string} name for the error message
+ * @param {*} value
+ * @returns {*}
+ */
+webAccessConnector.ajax.encodeValue = function (name, value) {
+    if (value === null) {
+        return "";
+    }
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new Error("webAccessConnector: invalid Date for " + name);
+        }
+        return value.toISOString();
+    }
+
+    if (value instanceof webAccessConnector.reference) {
+        return value.key;
+    }
+
+    if (webAccessConnector.file.isContent(value)) {
+        return new webAccessConnector.file(value);
+    }
+
+    if ((typeof value == "number") && (!isFinite(value))) {
+        throw new Error("webAccessConnector: " + value + " can't be sent for " + name);
+    }
+
+    if ((typeof value == "function") || (typeof value == "symbol")) {
+        throw new Error("webAccessConnector: a " + (typeof value) + " can't be sent for " + name);
+    }
+
+    return value;
+};
+
+/**
+ *
+ * @param {Object} response
+ * @param {?function} onLoad
+ * @param {?function} onError
+ * @param {?boolean} requireJSON
+ * @param {?boolean} binary onLoad gets response.body
+ */
+webAccessConnector.ajax.onResponse = function (response, onLoad, onError, requireJSON, binary) {
+    if (response.status != 200) {
+        webAccessConnector.ajax.onAjaxError(response, response.statusText, onError);
+        return;
+    }
+
+    // check integrated login
+    var responseUrl = response.getResponseHeader("X-RequestUrl");
+    if ((responseUrl) && (responseUrl.indexOf("Logon/IntegratedLogonFailed.rails") != -1)) {
+        webAccessConnector.ajax.onAjaxError(response, "Integrated Logon Failed", onError, "integratedLogonFailed");
+        return;
+    }
+
+    if (binary) {
+        webAccessConnector.ajax.onAjaxSuccess(response.body, response.statusText, response, onLoad);
+        return;
+    }
+
+    // attempt JSON parse
+    var data = null;
+    try {
+        data = JSON.parse(response.responseText);
+    } catch (e) {
+        if (requireJSON) {
+            webAccessConnector.ajax.onAjaxError(response, "Invalid Response", onError, "invalidJSON");
+            return;
+        } else {
+            data = response.responseText;
+        }
+    }
+    var textStatus = response.statusText;
+    webAccessConnector.ajax.onAjaxSuccess(data, textStatus, response, onLoad);
+};
+
+/**
+ * Find the transport to use: a transport function, the name of a registered transport,
+ * or when not given the first one this environment supports (xhr, fetch then node).
+ *
+ * @param {string|function|undefined} transport
+ * @returns {function(Object, function)}
+ */
+webAccessConnector.ajax.getTransport = function (transport) {
+    if (typeof transport == "function") {
+        return transport;
+    }
+
+    if (transport) {
+        if (!webAccessConnector.transports.hasOwnProperty(transport)) {
+            throw new Error("webAccessConnector: unknown transport \"" + transport + "\"");
+        }
+        return webAccessConnector.transports[transport];
+    }
+
+    if ((typeof XMLHttpRequest != "undefined") || (typeof ActiveXObject != "undefined")) {
+        return webAccessConnector.transports.xhr;
+    }
+
+    if (typeof fetch == "function") {
+        return webAccessConnector.transports.fetch;
+    }
+
+    return webAccessConnector.transports.node;
+};
+
+/**
+ * Build the response object transports hand back, matching the parts of XMLHttpRequest the connector reads.
+ * A status of 0 means the server could not be reached.
+ *
+ * @param {number} status
+ * @param {string} statusText
+ * @param {string} responseText
+ * @param {?Object} headers header values keyed by lower case header name
+ * @param {*} body the unread body of a successful binary request (a Blob or a stream), null otherwise
+ * @returns {{status: number, statusText: string, responseText: string, body: *, getResponseHeader: function(string): ?string}}
+ */
+webAccessConnector.ajax.response = function (status, statusText, responseText, headers, body) {
+    headers = headers || {};
+    return {
+        status: status,
+        statusText: statusText,
+        responseText: responseText,
+        body: (body === undefined) ? null : body,
+        getResponseHeader: function (name) {
+            var value = headers[name.toLowerCase()];
+            if (value === undefined) {
+                return null;
+            }
+            return (value instanceof Array) ? value.join(", ") : value;
+        }
+    };
+};
+
+/**
+ *
+ * @param {?Object|?string} data
+ * @param {string} textStatus
+ * @param {Object} response
+ * @param {?function} callback
+ */
+webAccessConnector.ajax.onAjaxSuccess = function (data, textStatus, response, callback) {
+    // callback should be function (data, response)
+    if (callback) {
+        callback(data, response);
+    }
+};
+
+/**
+ *
+ * @param {string} errorText
+ * @param {Object} response
+ * @param {?function} callback
+ * @param {?string} reason set when the caller already knows what went wrong
+ */
+webAccessConnector.ajax.onAjaxError = function (response, errorText, callback, reason) {
+    // callback should be function (statusCode, errorText, reason, response)
+    // reason: network, integratedLogonFailed, invalidJSON, serverMessage (JSON message), exceptionPage (Web Access error page) or null
+    if (!callback) {
+        return;
+    }
+    if ((errorText == "") && (response.status == 0)) {
+        errorText = "Connection Failed";
+        reason = "network";
+    } else {
+        var data = null;
+        try {
+            data = JSON.parse(response.responseText);
+            if (!data.message) {
+                throw "";
+            }
+            errorText = data.message;
+            reason = reason || "serverMessage";
+        } catch (e) {
+            // chances are this is a Web Access error page, try manually extracting the error message text...
+            var i = response.responseText.indexOf("exceptionMessage");
+            if (i > -1) {
+                var errorSlice = response.responseText.slice(i, response.responseText.indexOf("</div>", i));
+                errorText = errorSlice.slice(errorSlice.lastIndexOf("<p>") + 3, errorSlice.lastIndexOf("</p>"));
+                reason = reason || "exceptionPage";
+            } else {
+                errorText += " (" + response.status + ")";
+            }
+        }
+    }
+    callback(response.status, errorText, reason || null, response);
+};
+
+// multipart
+
+// A multipart/form-data request body.  The browser transports send it as FormData (which picks its own boundary),
+// the node transport as a Buffer with this boundary.
+// fields: {name, value} from webAccessConnector.ajax.formFields, the files as webAccessConnector.file
+
+/**
+ * @param {Array} fields
+ */
+webAccessConnector.ajax.multipart = function (fields) {
+    var self = this;
+
+    this.fields = fields;
+    this.boundary = "----webAccessConnector" + Math.random().toString(16).substring(2) + new Date().getTime().toString(16);
+    this.contentType = "multipart/form-data; boundary=" + this.boundary;
+
+    // the size of the files, for progress when the transport can't tell
+    this.size = 0;
+    for (var i = 0; i < fields.length; i++) {
+        if (fields[i].value instanceof webAccessConnector.file) {
+            this.size += fields[i].value.size;
+        }
+    }
+
+    /**
+     * @returns {FormData}
+     */
+    this.toFormData = function () {
+        var formData = new FormData();
+        for (var i = 0; i < self.fields.length; i++) {
+            var value = self.fields[i].value;
+            if (value instanceof webAccessConnector.file) {
+                formData.append(self.fields[i].name, value.toBlob(), value.fileName);
+            } else {
+                formData.append(self.fields[i].name, String(value));
+            }
+        }
+        return formData;
+    };
+
+    /**
+     * The whole body (Node)
+     *
+     * @param {function(?Error, ?Buffer)} callback
+     */
+    this.toBuffer = function (callback) {
+        var parts = [];
+        var index = 0;
+
+        var header = function (name, file) {
+            var disposition = "Content-Disposition: form-data; name=\"" + webAccessConnector.ajax.multipart.quote(name) + "\"";
+            if (file) {
+                disposition += "; filename=\"" + webAccessConnector.ajax.multipart.quote(file.fileName) + "\"\r\nContent-Type: " + file.contentType;
+            }
+            return Buffer.from("--" + self.boundary + "\r\n" + disposition + "\r\n\r\n", "utf8");
+        };
+
+        var next = function () {
+            if (index >= self.fields.length) {
+                parts.push(Buffer.from("--" + self.boundary + "--\r\n", "utf8"));
+                callback(null, Buffer.concat(parts));
+                return;
+            }
+
+            var field = self.fields[index];
+            index++;
+
+            if (!(field.value instanceof webAccessConnector.file)) {
+                parts.push(header(field.name, null), Buffer.from(String(field.value) + "\r\n", "utf8"));
+                next();
+                return;
+            }
+
+            field.value.toBuffer(function (error, content) {
+                if (error) {
+                    callback(error, null);
+                    return;
+                }
+                parts.push(header(field.name, field.value), content, Buffer.from("\r\n", "utf8"));
+                next();
+            });
+        };
+
+        next();
+    };
+};
+
+/**
+ * A name / file name for a Content-Disposition header
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+webAccessConnector.ajax.multipart.quote = function (name) {
+    return String(name).replace(/"/g, "%22").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+};
+
+
+// Transports
+
+// A transport sends one request built by webAccessConnector.ajax.call and reports back once.
+// function (request, callback) returning a function that aborts the request
+//   request: url, method, headers, body (string, webAccessConnector.ajax.multipart or null), cookieJar,
+//            binary (hand back a successful response's body unread as response.body), onUploadProgress (loaded, total) or null
+//   callback: function (response) with an XMLHttpRequest-like response (see webAccessConnector.ajax.response)
+// Transports outside the browser send cookieJar.getCookieHeader(request.url) and store the response's
+// Set-Cookie headers with cookieJar.setCookies(headers, request.url).
 
-            var getAttributes = function (objectGuid) {
-                var queryData = {
-                    class_name: "Metadata.AttributeType",
-                    attributes: "DataType,Name,RelatedClassType.Guid,IsName,PKeyNumber,Class.SuperClassType.Guid",
-                    cns: "Class.Guid-e-0",
-                    c0: objectGuid,
-                    page_size: 999
-                };
+webAccessConnector.transports = {};
 
-                self.query.runQuery({queryData: queryData, onLoad: getAttributesOnLoad, onError: parameters.onError});
-            }
+/**
+ * Make a transport available by name for connectionInfo.transport
+ *
+ * @param {string} name
+ * @param {function(Object, function)} transport
+ */
+webAccessConnector.registerTransport = function (name, transport) {
+    webAccessConnector.transports[name] = transport;
+};
 
-            var getAttributesOnLoad = function (result) {
-                var parentObjectGuid = "";
-                for (var i = 0; i < result.data.objects.length; i++) {
-                    var item = result.data.objects[i];
-                    if (attributeNames.indexOf(item.attributes["Name"]) == -1) {
-                        var attribute = {
-                            guid: item.value,
-                            name: item.attributes["Name"],
-                            title: item.name,
-                            type: item.attributes["DataType"],
-                            relatedClass: item.attributes["RelatedClassType.Guid"],
-                            isName: (item.attributes["IsName"] == "True") ? true : false,
-                            isPrimaryKey: (item.attributes["PKeyNumber"] == "1") ? true : false
-                        }
-                        attributesArray.push(attribute);
-                        attributeNames.push(attribute.name);
-                    }
-                    parentObjectGuid = item.attributes["Class.SuperClassType.Guid"];
-                }
+/**
+ * XMLHttpRequest (browsers); the XMLHttpRequest object itself is the response except for binary requests
+ *
+ * @param {Object} request
+ * @param {function} callback
+ */
+webAccessConnector.transports.xhr = function (request, callback) {
+    var req;
+    if (typeof XMLHttpRequest != "undefined") {
+        req = new XMLHttpRequest();
+    } else {
+        req = new ActiveXObject("Microsoft.XMLHTTP");
+    }
 
-                if (parentObjectGuid != "") {
-                    getAttributes(parentObjectGuid);
-                    return;
-                }
+    var multipart = request.body instanceof webAccessConnector.ajax.multipart;
 
-                attributesArray.sort(function (a, b) {
-                    var titleA = a.title.toLowerCase();
-                    var titleB = b.title.toLowerCase();
+    req.open(request.method, request.url, true);
+    for (var name in request.headers) {
+        // FormData sets the Content-type with its own boundary
+        if ((request.headers.hasOwnProperty(name)) && (!((multipart) && (name.toLowerCase() == "content-type")))) {
+            req.setRequestHeader(name, request.headers[name]);
+        }
+    }
 
-                    if (titleA < titleB) {
-                        return -1;
-                    }
+    if (request.binary) {
+        req.responseType = "blob";
+    }
 
-                    if (titleA > titleB) {
-                        return 1;
-                    }
+    if ((request.onUploadProgress) && (req.upload)) {
+        req.upload.onprogress = function (event) {
+            request.onUploadProgress(event.loaded, (event.lengthComputable) ? event.total : request.body.size);
+        };
+    }
 
-                    return 0;
-                });
+    req.onload = function () {
+        if (!request.binary) {
+            callback(this);
+            return;
+        }
 
-                result.data = {attributes: attributesArray};
-                parameters.onLoad(result);
-            }
+        var headers = webAccessConnector.transports._parseHeaders(req.getAllResponseHeaders());
+        if (req.status == 200) {
+            callback(webAccessConnector.ajax.response(req.status, req.statusText, "", headers, req.response));
+            return;
+        }
 
-            getAttributes(parameters.objectGuid);
-        },
+        // an error page came back as a Blob too
+        webAccessConnector.transports._blobText(req.response, function (text) {
+            callback(webAccessConnector.ajax.response(req.status, req.statusText, text, headers));
+        });
+    };
+    req.onerror = function () {
+        callback((request.binary) ? webAccessConnector.ajax.response(0, "", "") : this);
+    };
 
-        // internal metadata functions
-        _getObjects: function (queryData, getType, onLoad, onError) {
-            queryData.class_name = "Metadata.ClassType";
-            queryData.attributes = "Name,Module.Guid,Module.Name,Module.Title,SuperClassType.Module.Name,SuperClassType.Name,Table.Name";
-            queryData.page_size = 999;
+    if (multipart) {
+        req.send(request.body.toFormData());
+    } else if (request.body !== null) {
+        req.send(request.body);
+    } else {
+        req.send();
+    }
 
-            var getObjectsOnLoad = function (result) {
-                var objectsArray = [];
+    return function () {
+        req.abort();
+    };
+};
 
-                for (var i = 0; i < result.data.objects.length; i++) {
-                    var item = result.data.objects[i];
-                    var obj = {
-                        guid: item.value,
-                        name: item.attributes["Name"],
-                        title: item.name,
-                        moduleGuid: item.attributes["Module.Guid"],
-                        moduleName: item.attributes["Module.Name"],
-                        moduleTitle: item.attributes["Module.Title"],
-                        databaseTable: item.attributes["Table.Name"]
-                    };
+/**
+ * fetch (browsers, workers, Node 18+)
+ *
+ * @param {Object} request
+ * @param {function} callback
+ */
+webAccessConnector.transports.fetch = function (request, callback) {
+    var headers = webAccessConnector.transports._requestHeaders(request);
+    var controller = (typeof AbortController != "undefined") ? new AbortController() : null;
+    var init = {
+        method: request.method,
+        headers: headers,
+        credentials: "same-origin"
+    };
 
-                    if (item.attributes["SuperClassType.Name"] != "") {
-                        obj.parentClassName = item.attributes["SuperClassType.Module.Name"] + "." + item.attributes["SuperClassType.Name"];
-                    }
+    if (controller) {
+        init.signal = controller.signal;
+    }
 
-                    objectsArray.push(obj);
-                }
+    var multipart = request.body instanceof webAccessConnector.ajax.multipart;
+    if (multipart) {
+        // FormData sets the Content-type with its own boundary
+        for (var name in headers) {
+            if ((headers.hasOwnProperty(name)) && (name.toLowerCase() == "content-type")) {
+                delete headers[name];
+            }
+        }
+        init.body = request.body.toFormData();
+    } else if (request.body !== null) {
+        init.body = request.body;
+    }
 
-                if (getType == "single") {
-                    result.data = objectsArray[0];
-                } else {
-                    objectsArray.sort(function (a, b) {
-                        var titleA = a.title.toLowerCase();
-                        var titleB = b.title.toLowerCase();
+    // the callback runs outside the promise chain, so an exception it throws is not taken for a failed request
+    var respond = function (response) {
+        setTimeout(function () {
+            callback(response);
+        }, 0);
+    };
 
-                        if (titleA < titleB) {
-                            return -1;
-                        }
+    fetch(request.url, init).then(function (res) {
+        // fetch can't report an upload as it goes, only that it has finished
+        if ((multipart) && (request.onUploadProgress)) {
+            request.onUploadProgress(request.body.size, request.body.size);
+        }
 
-                        if (titleA > titleB) {
-                            return 1;
-                        }
+        var binary = (request.binary) && (res.status == 200);
+        return ((binary) ? res.blob() : res.text()).then(function (content) {
+            var responseHeaders = {};
+            res.headers.forEach(function (value, name) {
+                responseHeaders[name.toLowerCase()] = value;
+            });
 
-                        return 0;
-                    });
-                    result.data = {objects: objectsArray};
+            if (request.cookieJar) {
+                // after a redirect the cookies came from where it ended up
+                var responseUrl = res.url || request.url;
+                if (typeof res.headers.getSetCookie == "function") {
+                    request.cookieJar.setCookies(res.headers.getSetCookie(), responseUrl);
+                } else if (res.headers.get("set-cookie")) {
+                    // combined header: split on the commas that start a new name=value pair
+                    request.cookieJar.setCookies(res.headers.get("set-cookie").split(/,\s*(?=[^;,\s]+=)/), responseUrl);
                 }
+            }
 
-                onLoad(result);
-            };
+            if (binary) {
+                respond(webAccessConnector.ajax.response(res.status, res.statusText, "", responseHeaders, content));
+            } else {
+                respond(webAccessConnector.ajax.response(res.status, res.statusText, content, responseHeaders));
+            }
+        });
+    }).then(null, function () {
+        respond(webAccessConnector.ajax.response(0, "", ""));
+    });
 
-            self.query.runQuery({queryData: queryData, onLoad: getObjectsOnLoad, onError: onError});
+    return function () {
+        if (controller) {
+            controller.abort();
         }
     };
+};
 
-    // User Commands: user.logOn, user.logOff
-    this.user = {
+/**
+ * Node http / https.  A successful binary response's body is the http.IncomingMessage stream, unread.
+ *
+ * @param {Object} request
+ * @param {function} callback
+ */
+webAccessConnector.transports.node = function (request, callback) {
+    var target = new URL(request.url);
+    var client = webAccessConnector.transports._nodeRequire((target.protocol == "https:") ? "https" : "http");
+    var headers = webAccessConnector.transports._requestHeaders(request);
+    var req = null;
+    var aborted = false;
 
-        // logOn: log on using the credentials supplied in the constructor.  This does NOT need to be called if using loginOnDemand
-        // parameters: onLoad, onError
-        logOn: function (parameters) {
-            var request = new webAccessConnector.webAccessRequest({
-                connectionInfo: connectionInfo, onLoad: parameters.onLoad, onError: parameters.onError
-            });
-            request.logOn();
-        },
+    var send = function (body) {
+        if (body !== null) {
+            headers["Content-Length"] = Buffer.byteLength(body);
+        }
 
-        // logOff: log off.
-        // parameters:  onLoad, onError
-        logOff: function (parameters) {
-            var request = new webAccessConnector.webAccessRequest({
-                connectionInfo: connectionInfo, onLoad: parameters.onLoad, onError: parameters.onError
+        req = client.request({
+            method: request.method,
+            hostname: target.hostname,
+            port: target.port,
+            path: target.pathname + target.search,
+            headers: headers
+        }, function (res) {
+            if ((request.cookieJar) && (res.headers["set-cookie"])) {
+                request.cookieJar.setCookies(res.headers["set-cookie"], request.url);
+            }
+
+            if ((request.binary) && (res.statusCode == 200)) {
+                callback(webAccessConnector.ajax.response(res.statusCode, res.statusMessage, "", res.headers, res));
+                return;
+            }
+
+            var text = "";
+            res.setEncoding("utf8");
+            res.on("data", function (chunk) {
+                text += chunk;
             });
-            request.logOff();
-        }
+            res.on("end", function () {
+                callback(webAccessConnector.ajax.response(res.statusCode, res.statusMessage, text, res.headers));
+            });
+        });
 
+        req.on("error", function () {
+            callback(webAccessConnector.ajax.response(0, "", ""));
+        });
+
+        webAccessConnector.transports._writeBody(req, body, request.onUploadProgress);
     };
-};
 
+    if (request.body instanceof webAccessConnector.ajax.multipart) {
+        request.body.toBuffer(function (error, body) {
+            if (aborted) {
+                return;
+            }
+            if (error) {
+                callback(webAccessConnector.ajax.response(0, "", ""));
+                return;
+            }
+            send(body);
+        });
+    } else {
+        send(request.body);
+    }
 
-// Static methods
+    return function () {
+        aborted = true;
+        if (req) {
+            req.destroy();
+        }
+    };
+};
 
-// parseQueryUrl: turn a Url into structured query design data
-webAccessConnector.parseQueryUrl = function (queryString) {
-    var pairs = queryString.split("&");
-    if (pairs.length == 0) {
+/**
+ * Write a request body and end the request, in chunks reporting progress when there is an onUploadProgress
+ *
+ * @param {Object} req the http.ClientRequest
+ * @param {?string|?Buffer} body
+ * @param {?function} onUploadProgress (loaded, total)
+ * @private
+ */
+webAccessConnector.transports._writeBody = function (req, body, onUploadProgress) {
+    if ((body === null) || (!onUploadProgress) || (typeof body == "string")) {
+        if (body !== null) {
+            req.write(body);
+        }
+        req.end();
         return;
     }
 
-    var returnObject = {
-        queryData: {}
-    };
+    var chunkSize = 65536;
+    var offset = 0;
 
-    // get the web access url if present
-    var qMarkPos = pairs[0].indexOf("?");
-    if (qMarkPos > -1) {
-        if (queryString.substring(0, 4).toLowerCase() == "http") {
-            // full url
-            var parts = pairs[0].split("/");
-            returnObject.webAccessUrl = parts.slice(0, 4).join("/");
-        } else if (queryString.substring(0, 1) == "/") {
-            // relative url
-            returnObject.webAccessUrl = queryString.substring(0, queryString.indexOf("/", 1));
+    var writeNext = function () {
+        while (offset < body.length) {
+            var chunk = body.slice(offset, offset + chunkSize);
+            offset += chunk.length;
+            var drained = req.write(chunk);
+            onUploadProgress(offset, body.length);
+            if (!drained) {
+                req.once("drain", writeNext);
+                return;
+            }
         }
+        req.end();
+    };
 
-        pairs[0] = pairs[0].substring(qMarkPos + 1);
+    writeNext();
+};
+
+/**
+ * Response headers from XMLHttpRequest.getAllResponseHeaders() keyed by lower case name
+ *
+ * @param {?string} text
+ * @returns {Object}
+ * @private
+ */
+webAccessConnector.transports._parseHeaders = function (text) {
+    var headers = {};
+    var lines = (text || "").split(/\r?\n/);
+
+    for (var i = 0; i < lines.length; i++) {
+        var colonPos = lines[i].indexOf(":");
+        if (colonPos > 0) {
+            headers[lines[i].substring(0, colonPos).trim().toLowerCase()] = lines[i].substring(colonPos + 1).trim();
+        }
     }
+    return headers;
+};
 
-    // parse all parameters to an object
-    var obj = {};
-    for (var i in pairs) {
-        var pair = pairs[i].split("=");
-        var name = decodeURIComponent(pair[0]);
-        var value = isNaN(pair[1]) ? decodeURIComponent(pair[1]) : parseFloat(pair[1]);
-        obj[name] = value;
+/**
+ * Read a Blob as text
+ *
+ * @param {?Blob} blob
+ * @param {function(string)} callback
+ * @private
+ */
+webAccessConnector.transports._blobText = function (blob, callback) {
+    if (!blob) {
+        callback("");
+        return;
     }
 
-    // extract the relevant parameters
-    if (!obj.class_name) {
+    if (typeof FileReader != "undefined") {
+        var reader = new FileReader();
+        reader.onload = function () {
+            callback(String(reader.result));
+        };
+        reader.onerror = function () {
+            callback("");
+        };
+        reader.readAsText(blob);
         return;
     }
 
-    returnObject.queryData.class_name = obj.class_name;
+    blob.text().then(callback, function () {
+        callback("");
+    });
+};
 
-    if ((obj.query) && (!obj.attributes)) {
-        returnObject.queryData.query = obj.query;
+/**
+ * Copy the request headers adding the session cookie when the transport has to send it itself
+ *
+ * @param {Object} request
+ * @returns {Object}
+ * @private
+ */
+webAccessConnector.transports._requestHeaders = function (request) {
+    var headers = {};
+    for (var name in request.headers) {
+        if (request.headers.hasOwnProperty(name)) {
+            headers[name] = request.headers[name];
+        }
     }
 
-    if (obj.attributes) {
-        returnObject.queryData.attributes = obj.attributes;
+    var cookie = (request.cookieJar) ? request.cookieJar.getCookieHeader(request.url) : "";
+    if (cookie != "") {
+        headers["Cookie"] = cookie;
     }
 
-    if (obj.page_size) {
-        returnObject.queryData.page_size = obj.page_size;
+    return headers;
+};
+
+/**
+ * require() a Node core module without bundlers trying to resolve it for the browser
+ *
+ * @param {string} name
+ * @returns {Object}
+ * @private
+ */
+webAccessConnector.transports._nodeRequire = function (name) {
+    if ((typeof module != "object") || (typeof module.require != "function")) {
+        throw new Error("webAccessConnector: the node transport requires Node.js");
     }
+    return module.require(name);
+};
 
-    if (obj.sort_by) {
-        returnObject.queryData.sort_by = obj.sort_by;
-    } // NOTE THIS WILL GET IGNORED BY WEB ACCESS!
 
-    if (obj.cns) {
-        returnObject.queryData.cns = obj.cns;
-        var i = 0;
-        while (true) {
-            var cn = "c" + i;
-            if (obj[cn]) {
-                returnObject.queryData[cn] = obj[cn];
-                i++;
-            } else {
-                break;
-            }
+// cookieJar
+
+// Keeps the Web Access session cookie (and any others the server sets) for transports
+// that do not have a browser managing cookies for them.  Like a browser it only sends a cookie back to the host
+// that set it (or the hosts its Domain names), under its Path and, when Secure, over https.
+webAccessConnector.cookieJar = function () {
+    var m_cookies = [];
+
+    /**
+     * Store cookies from Set-Cookie response headers
+     * @param {Array|string} setCookieHeaders
+     * @param {string} url the URL of the request they came back for
+     */
+    this.setCookies = function (setCookieHeaders, url) {
+        var target = webAccessConnector.cookieJar._parseUrl(url);
+        if (!target) {
+            return;
         }
-    }
 
-    return returnObject;
-}
+        if (!(setCookieHeaders instanceof Array)) {
+            setCookieHeaders = [setCookieHeaders];
+        }
 
+        for (var i = 0; i < setCookieHeaders.length; i++) {
+            var attributes = setCookieHeaders[i].split(";");
+            var nameValue = attributes[0];
+            var equalsPos = nameValue.indexOf("=");
+            if (equalsPos < 1) {
+                continue;
+            }
 
-// Internal use only from here...
+            var cookie = {
+                name: nameValue.substring(0, equalsPos).trim(),
+                value: nameValue.substring(equalsPos + 1).trim(),
+                domain: target.host,
+                hostOnly: true,
+                path: webAccessConnector.cookieJar._defaultPath(target.path),
+                secure: false,
+                expires: null
+            };
+            var maxAge = null;
+            var accepted = true;
 
-// webAccessRequest
+            for (var j = 1; j < attributes.length; j++) {
+                var attribute = attributes[j].trim();
+                var attributeEqualsPos = attribute.indexOf("=");
+                var attributeName = ((attributeEqualsPos > -1) ? attribute.substring(0, attributeEqualsPos) : attribute).trim().toLowerCase();
+                var attributeValue = (attributeEqualsPos > -1) ? attribute.substring(attributeEqualsPos + 1).trim() : "";
 
-// Internal use only for Web Access calls with login on demand.
-// Do not call directly use a webAccessConnector object instead.
-// parameters: connectionInfo, commandPath, requestType, requestData, onLoad, onError, responseProcessor, requireJSON
-webAccessConnector.webAccessRequest = function (parameters) {
-    var self = this;
-    var m_loginAttempted = false;
-    var m_autoLogOff = false;
-    var m_loggedOn = false;
-    var m_loggedOff = false;
-    var m_result = null;
-    var m_resultIsSuccess = false;
+                if (attributeName == "max-age") {
+                    maxAge = parseInt(attributeValue, 10);
+                } else if (attributeName == "expires") {
+                    cookie.expires = Date.parse(attributeValue);
+                } else if ((attributeName == "domain") && (attributeValue != "")) {
+                    var domain = attributeValue.replace(/^\./, "").toLowerCase();
+                    // a host can only set cookies for itself and its parent domains
+                    if (!webAccessConnector.cookieJar._domainMatches(target.host, domain)) {
+                        accepted = false;
+                    }
+                    cookie.domain = domain;
+                    cookie.hostOnly = false;
+                } else if ((attributeName == "path") && (attributeValue.charAt(0) == "/")) {
+                    cookie.path = attributeValue;
+                } else if (attributeName == "secure") {
+                    cookie.secure = true;
+                }
+            }
+
+            if (!accepted) {
+                continue;
+            }
+
+            // Max-Age wins over Expires
+            if ((maxAge !== null) && (!isNaN(maxAge))) {
+                cookie.expires = new Date().getTime() + maxAge * 1000;
+            }
+
+            m_remove(cookie.name, cookie.domain, cookie.path);
+            if ((cookie.expires === null) || (isNaN(cookie.expires)) || (cookie.expires > new Date().getTime())) {
+                m_cookies.push(cookie);
+            }
+        }
+    };
 
     /**
-     * Make the call
+     * The Cookie request header value for a request to the URL
+     * @param {string} url
+     * @returns {string}
      */
-    this.go = function () {
-        var url = parameters.connectionInfo.webAccessUrl + parameters.commandPath;
-        webAccessConnector.ajax.call(url, parameters.requestType, parameters.requestData, m_onLoad, m_onError, parameters.requireJSON);
-    }
+    this.getCookieHeader = function (url) {
+        var target = webAccessConnector.cookieJar._parseUrl(url);
+        if (!target) {
+            return "";
+        }
+
+        var now = new Date().getTime();
+        var kept = [];
+        var matching = [];
+
+        for (var i = 0; i < m_cookies.length; i++) {
+            var cookie = m_cookies[i];
+            if ((cookie.expires !== null) && (!isNaN(cookie.expires)) && (cookie.expires <= now)) {
+                continue;
+            }
+            kept.push(cookie);
+
+            var domainMatches = (cookie.hostOnly) ? (target.host == cookie.domain) : webAccessConnector.cookieJar._domainMatches(target.host, cookie.domain);
+            if ((domainMatches) && (webAccessConnector.cookieJar._pathMatches(target.path, cookie.path)) && ((!cookie.secure) || (target.secure))) {
+                matching.push(cookie);
+            }
+        }
+        m_cookies = kept;
+
+        // the most specific path first, as browsers send them
+        matching.sort(function (a, b) {
+            return b.path.length - a.path.length;
+        });
+
+        var parts = [];
+        for (var j = 0; j < matching.length; j++) {
+            parts.push(matching[j].name + "=" + matching[j].value);
+        }
+        return parts.join("; ");
+    };
 
     /**
-     * logOn (not required to be called manually if loginOnDemand is set in the constructor)
-     * @param {boolean} onDemand
+     * Forget all cookies
      */
-    this.logOn = function (onDemand) {
-        m_loginAttempted = true;
-        m_loggedOn = true;
+    this.clear = function () {
+        m_cookies = [];
+    };
+
+    var m_remove = function (name, domain, path) {
+        for (var i = m_cookies.length - 1; i >= 0; i--) {
+            if ((m_cookies[i].name == name) && (m_cookies[i].domain == domain) && (m_cookies[i].path == path)) {
+                m_cookies.splice(i, 1);
+            }
+        }
+    };
+};
+
+/**
+ * The host (lower case, without port), path and whether it is https of an absolute http(s) URL, or null
+ *
+ * @param {?string} url
+ * @returns {?{host: string, path: string, secure: boolean}}
+ * @private
+ */
+webAccessConnector.cookieJar._parseUrl = function (url) {
+    var match = /^(https?):\/\/(?:[^@\/?#]*@)?(\[[^\]]*\]|[^:\/?#]*)(?::\d*)?([^?#]*)/i.exec(url || "");
+    if ((!match) || (match[2] == "")) {
+        return null;
+    }
+
+    return {
+        host: match[2].toLowerCase(),
+        path: match[3] || "/",
+        secure: match[1].toLowerCase() == "https"
+    };
+};
+
+/**
+ * Whether a host is the domain or one of its subdomains
+ *
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ * @private
+ */
+webAccessConnector.cookieJar._domainMatches = function (host, domain) {
+    if (host == domain) {
+        return true;
+    }
 
-        var formData = {
-            Ecom_User_ID: parameters.connectionInfo.loginUser,
-            Ecom_User_Password: parameters.connectionInfo.loginPass
-        };
-        var onLoad = (onDemand) ? m_loginOnDemandOnLoad : m_onLoad;
+    // IP addresses have no subdomains, and a Domain has to be more than a top level domain
+    var isAddress = (/^[\d.]+$/.test(host)) || (host.charAt(0) == "[");
+    return (!isAddress) && (domain.indexOf(".") > -1) && (host.substring(host.length - domain.length - 1) == "." + domain);
+};
 
-        var loginUrl = parameters.connectionInfo.webAccessUrl + "/wd/Logon/Logon.rails";
-        webAccessConnector.ajax.call(loginUrl, webAccessConnector.requestType.post, formData, onLoad, m_onError, true);
+/**
+ * Whether a request path is under a cookie's path
+ *
+ * @param {string} requestPath
+ * @param {string} cookiePath
+ * @returns {boolean}
+ * @private
+ */
+webAccessConnector.cookieJar._pathMatches = function (requestPath, cookiePath) {
+    if (requestPath == cookiePath) {
+        return true;
     }
 
-    /**
-     * log off
-     * @param {boolean} onDemand
-     */
-    this.logOff = function (onDemand) {
-        m_loggedOff = true;
-        var logOffUrl = parameters.connectionInfo.webAccessUrl + "/wd/Logon/Logoff.rails";
-        var onLoad = (onDemand) ? m_logOffDone : m_onLoad;
-        var onError = (onDemand) ? m_logOffDone : m_onError;
+    return (requestPath.indexOf(cookiePath) == 0) &&
+        ((cookiePath.charAt(cookiePath.length - 1) == "/") || (requestPath.charAt(cookiePath.length) == "/"));
+};
 
-        webAccessConnector.ajax.call(logOffUrl, webAccessConnector.requestType.post, null, onLoad, onError);
-    }
+/**
+ * The path a cookie set without one applies to: the directory of the URL that set it
+ *
+ * @param {string} requestPath
+ * @returns {string}
+ * @private
+ */
+webAccessConnector.cookieJar._defaultPath = function (requestPath) {
+    var lastSlash = requestPath.lastIndexOf("/");
+    return ((requestPath.charAt(0) != "/") || (lastSlash < 1)) ? "/" : requestPath.substring(0, lastSlash);
+};
+
+
+// metadataCache
+
+// Keeps what the metadata commands load so each module / class is only described once.
+// By default entries are kept in memory for as long as the connector is used.  With options.ttl they expire after
+// that many ms, and with options.storage they are also kept there, keyed by webAccessUrl so one storage can be shared
+// by connectors for different servers.  Concurrent loads of the same entry share one set of requests.
+// Available as connector.metadataCache for invalidate(key) / clear() after metadata changes on the server.
+
+/**
+ * @param {string} webAccessUrl
+ * @param {Object|boolean|undefined} options false for no caching, otherwise overrides webAccessConnector.metadataCacheDefaults
+ */
+webAccessConnector.metadataCache = function (webAccessUrl, options) {
+    var self = this;
+    var m_enabled = (options !== false);
+    var m_options = webAccessConnector.metadataCache.getOptions(options);
+    var m_storage = webAccessConnector.metadataCache.getStorage(m_options.storage);
+    var m_prefix = "webAccessConnector.metadata:" + webAccessUrl + ":";
+    var m_entries = {};
+    var m_pending = {};
 
     /**
+     * The cached result for the key, or the result of loader, deduplicating concurrent loads
      *
-     * @param {Object} responseData
-     * @param {Object} response
+     * @param {string} key
+     * @param {function(function(Object), function(Object), webAccessConnector.cancelSignal)} loader loads the result,
+     *        reporting through onLoad / onError and cancelled by the signal
+     * @param {Object} parameters the command's parameters: onLoad, onError, signal
+     * @returns {?Promise}
      */
-    var m_onLoad = function (responseData, response) {
-        if (parameters.responseProcessor) {
-            parameters.responseProcessor(responseData, response);
-        }
+    this.load = function (key, loader, parameters) {
+        var deferred = webAccessConnector.defer(parameters);
 
-        m_result = {
-            data: responseData, response: response, statusCode: response.status
-        };
-        m_resultIsSuccess = true;
+        if (deferred.signal.aborted) {
+            setTimeout(function () {
+                deferred.onError(webAccessConnector.metadataCache.cancelledError());
+            }, 0);
+            return deferred.promise;
+        }
 
-        if (m_autoLogOff) {
-            self.logOff({
-                onDemand: true
-            });
-            return;
+        if (!m_enabled) {
+            loader(deferred.onLoad, deferred.onError, deferred.signal);
+            return deferred.promise;
         }
 
-        m_returnLoad();
-    }
+        var entry = m_entries[key];
+        if (webAccessConnector.metadataCache.isFresh(entry)) {
+            setTimeout(function () {
+                deferred.onLoad(webAccessConnector.metadataCache.cachedResult(entry.data));
+            }, 0);
+            return deferred.promise;
+        }
 
-    var m_returnLoad = function () {
-        m_result.loggedOn = m_loggedOn;
-        m_result.loggedOff = m_loggedOff;
-        if (parameters.onLoad) {
-            parameters.onLoad(m_result);
+        var pending = m_pending[key];
+        var isNew = !pending;
+        if (isNew) {
+            pending = {waiters: [], signal: new webAccessConnector.cancelSignal()};
+            m_pending[key] = pending;
         }
-    }
 
-    /**
-     *
-     * @param {number|string} statusCode
-     * @param {string} errorText
-     */
-    var m_onError = function (statusCode, errorText) {
-        if ((statusCode == 403) && (m_loginAttempted == false)) {
-            if (parameters.connectionInfo.loginOnDemand) {
-                self.logOn({
-                    onDemand: true
-                });
+        pending.waiters.push(deferred);
+        deferred.signal.addEventListener("abort", function () {
+            var i = pending.waiters.indexOf(deferred);
+            if (i == -1) {
                 return;
-            } else {
-                errorText = "Not Logged In";
             }
-        }
-
-        m_result = {
-            statusCode: statusCode, errorText: errorText
-        };
 
-        if (m_autoLogOff) {
-            self.logOff({
-                onDemand: true
-            });
-            return;
-        }
+            pending.waiters.splice(i, 1);
+            deferred.onError(webAccessConnector.metadataCache.cancelledError());
 
-        m_returnError();
-    }
+            // nobody else wants it
+            if (pending.waiters.length == 0) {
+                if (m_pending[key] === pending) {
+                    delete m_pending[key];
+                }
+                pending.signal.abort();
+            }
+        });
 
-    var m_returnError = function () {
-        if (parameters.onError) {
-            parameters.onError(m_result);
+        if (isNew) {
+            m_startLoad(key, loader, pending);
         }
-    }
+
+        return deferred.promise;
+    };
 
     /**
-     *
-     * @param {Object} responseData
-     * @param {Object} response
+     * Forget one entry
+     * @param {string} key
      */
-    var m_loginOnDemandOnLoad = function (responseData, response) {
-        if (responseData.result == false) {
-            m_onError(403, responseData.message);
-            return;
+    this.invalidate = function (key) {
+        delete m_entries[key];
+        if (m_storage) {
+            m_storage.remove(m_prefix + key);
         }
+    };
 
-        // logged in, repeat the call
-        if (parameters.connectionInfo.loginOnDemandAutoLogOff) {
-            m_autoLogOff = true;
+    /**
+     * Forget every entry for this webAccessUrl
+     */
+    this.clear = function () {
+        m_entries = {};
+        if (m_storage) {
+            m_storage.clear(m_prefix);
         }
-        self.go();
-    }
+    };
 
-    var m_logOffDone = function () {
-        if (m_resultIsSuccess == true) {
-            m_returnLoad();
-        } else {
-            m_returnError();
-        }
-    }
+    var m_startLoad = function (key, loader, pending) {
+        var finish = function (succeeded, result) {
+            if (m_pending[key] === pending) {
+                delete m_pending[key];
+            }
 
-}
+            // each waiter gets a result of its own to change as it likes
+            var waiters = pending.waiters;
+            pending.waiters = [];
+            for (var i = 0; i < waiters.length; i++) {
+                if (succeeded) {
+                    waiters[i].onLoad(webAccessConnector.metadataCache.copyResult(result));
+                } else {
+                    waiters[i].onError(result);
+                }
+            }
+        };
 
+        var onLoad = function (result) {
+            var expires = (m_options.ttl === null) ? null : new Date().getTime() + m_options.ttl;
+            var entry = {expires: expires, data: webAccessConnector.metadataCache.copy(result.data)};
+            m_entries[key] = entry;
+            if (m_storage) {
+                m_storage.set(m_prefix + key, entry);
+            }
+            finish(true, result);
+        };
 
-// Constants
+        var onError = function (result) {
+            finish(false, result);
+        };
 
-webAccessConnector.version = "1.0.1";
-webAccessConnector.requestType = {
-    get: "GET",
-    post: "POST"
-};
+        var runLoader = function () {
+            if (!pending.signal.aborted) {
+                loader(onLoad, onError, pending.signal);
+            }
+        };
 
-// Ajax Helpers
+        if (!m_storage) {
+            runLoader();
+            return;
+        }
 
-// Internal use only for actual server communication.
-// Do not call directly.
+        m_storage.get(m_prefix + key, function (entry) {
+            if (webAccessConnector.metadataCache.isFresh(entry)) {
+                m_entries[key] = entry;
+                finish(true, webAccessConnector.metadataCache.cachedResult(entry.data));
+                return;
+            }
+            runLoader();
+        });
+    };
+};
 
-webAccessConnector.ajax = {};
+// ttl: ms before an entry is loaded again, null to keep it until it is invalidated
+// storage: null (memory only), "localStorage", "indexedDB" or an object with get / set / remove / clear like
+//          webAccessConnector.metadataCache.storages.localStorage.  Stored entries outlive the page, so give them a ttl.
+webAccessConnector.metadataCacheDefaults = {
+    ttl: null,
+    storage: null
+};
 
 /**
+ * The cache options from connectionInfo.metadataCache
  *
- * @param {string} url
- * @param {'GET'|'POST'} requestType
- * @param {Object} data
- * @param {function} onLoad
- * @param {function} onError
- * @param {?boolean} requireJSON
+ * @param {Object|boolean|undefined} options
+ * @returns {Object}
  */
-webAccessConnector.ajax.call = function (url, requestType, data, onLoad, onError, requireJSON) {
-    var parts = [];
-    for (var i in data) {
-        if (data.hasOwnProperty(i)) {
-            parts.push(encodeURIComponent(i) + "=" + encodeURIComponent(data[i]));
+webAccessConnector.metadataCache.getOptions = function (options) {
+    var defaults = webAccessConnector.metadataCacheDefaults;
+    var result = {};
+
+    options = ((options) && (typeof options == "object")) ? options : {};
+    for (var name in defaults) {
+        if (defaults.hasOwnProperty(name)) {
+            result[name] = (options.hasOwnProperty(name)) ? options[name] : defaults[name];
         }
     }
-    data = parts.join("&");
 
-    var req;
-    if (window.XMLHttpRequest) {
-        req = new XMLHttpRequest();
-    } else {
-        req = new ActiveXObject("Microsoft.XMLHTTP");
-    }
+    return result;
+};
 
-    if (requestType == webAccessConnector.requestType.post) {
-        req.open(requestType, url, true);
-        req.setRequestHeader("Content-type", "application/x-www-form-urlencoded");
-    } else {
-        url += "?" + data;
-        req.open(requestType, url, true);
-    }
+/**
+ * Whether a cache entry can still be used
+ *
+ * @param {?{expires: ?number}} entry
+ * @returns {boolean}
+ */
+webAccessConnector.metadataCache.isFresh = function (entry) {
+    return (!!entry) && ((entry.expires === null) || (entry.expires > new Date().getTime()));
+};
 
-    req.setRequestHeader("Accept", "application/json");
-    req.setRequestHeader("X-Requested-With", "XMLHttpRequest");
-    req.onload = function () {
-        if (this.status != 200) {
-            webAccessConnector.ajax.onAjaxError(this, this.statusText, onError);
-            return;
-        }
+/**
+ * The storage for the storage option, null where it is not available
+ *
+ * @param {string|Object|null} storage
+ * @returns {?Object}
+ */
+webAccessConnector.metadataCache.getStorage = function (storage) {
+    if ((storage) && (typeof storage == "object")) {
+        return storage;
+    }
 
-        // check integrated login
-        var responseUrl = this.getResponseHeader("X-RequestUrl");
-        if ((responseUrl) && (responseUrl.indexOf("Logon/IntegratedLogonFailed.rails") != -1)) {
-            webAccessConnector.ajax.onAjaxError(this, "Integrated Logon Failed", onError);
-            return;
-        }
+    if ((storage) && (webAccessConnector.metadataCache.storages.hasOwnProperty(storage))) {
+        return webAccessConnector.metadataCache.storages[storage]();
+    }
 
-        // attempt JSON parse
-        var data = null;
-        try {
-            data = JSON.parse(this.responseText);
-        } catch (e) {
-            if (requireJSON) {
-                webAccessConnector.ajax.onAjaxError(this, "Invalid Response", onError);
-                return;
-            } else {
-                data = this.responseText;
-            }
-        }
-        var textStatus = this.statusText;
-        webAccessConnector.ajax.onAjaxSuccess(data, textStatus, this, onLoad);
+    return null;
+};
 
+/**
+ * The result a cached entry is returned as, with a copy of its data
+ *
+ * @param {Object} data
+ * @returns {Object}
+ */
+webAccessConnector.metadataCache.cachedResult = function (data) {
+    return {
+        data: webAccessConnector.metadataCache.copy(data), response: null, statusCode: 200, loggedOn: false, loggedOff: false, cached: true
     };
-    req.onerror = function () {
-        webAccessConnector.ajax.onAjaxError(this, this.statusText, onError);
-    };
-
-    if (requestType == webAccessConnector.requestType.post) {
-        req.send(data);
-    } else {
-        req.send();
-    }
-
 };
 
 /**
+ * A copy of a result with a copy of its data
  *
- * @param {?Object|?string} data
- * @param {string} textStatus
- * @param {Object} response
- * @param {?function} callback
+ * @param {Object} result
+ * @returns {Object}
  */
-webAccessConnector.ajax.onAjaxSuccess = function (data, textStatus, response, callback) {
-    // callback should be function (data, response)
-    if (callback) {
-        callback(data, response);
+webAccessConnector.metadataCache.copyResult = function (result) {
+    var copy = {};
+    for (var name in result) {
+        if (result.hasOwnProperty(name)) {
+            copy[name] = (name == "data") ? webAccessConnector.metadataCache.copy(result.data) : result[name];
+        }
     }
+    return copy;
 };
 
 /**
+ * A deep copy of loaded data: arrays, plain objects and dates are copied, anything else is kept as it is
  *
- * @param {string} errorText
- * @param {Object} response
- * @param {?function} callback
+ * @param {*} value
+ * @returns {*}
  */
-webAccessConnector.ajax.onAjaxError = function (response, errorText, callback) {
-    // callback should be function (statusCode, errorText)
-    if (!callback) {
-        return;
+webAccessConnector.metadataCache.copy = function (value) {
+    if (value instanceof Array) {
+        var array = [];
+        for (var i = 0; i < value.length; i++) {
+            array.push(webAccessConnector.metadataCache.copy(value[i]));
+        }
+        return array;
     }
-    if ((errorText == "") && (response.status == 0)) {
-        errorText = "Connection Failed";
-    } else {
-        var data = null;
-        try {
-            data = JSON.parse(response.responseText);
-            if (!data.message) {
-                throw "";
+
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if ((value) && (typeof value == "object") && (Object.getPrototypeOf(value) == Object.prototype)) {
+        var object = {};
+        for (var name in value) {
+            if (value.hasOwnProperty(name)) {
+                object[name] = webAccessConnector.metadataCache.copy(value[name]);
             }
-            errorText = data.message;
-        } catch (e) {
-            // chances are this is a Web Access error page, try manually extracting the error message text...
-            var i = response.responseText.indexOf("exceptionMessage");
-            if (i > -1) {
-                var errorSlice = response.responseText.slice(i, response.responseText.indexOf("</div>", i));
-                errorText = errorSlice.slice(errorSlice.lastIndexOf("<p>") + 3, errorSlice.lastIndexOf("</p>"));
-            } else {
-                errorText += " (" + response.status + ")";
+        }
+        return object;
+    }
+
+    return value;
+};
+
+/**
+ * @returns {webAccessConnector.webAccessError}
+ */
+webAccessConnector.metadataCache.cancelledError = function () {
+    return new webAccessConnector.webAccessError({
+        code: webAccessConnector.errorCodes.cancelled, statusCode: 0, errorText: "Cancelled"
+    });
+};
+
+// Persistent storages: get(key, callback(entry or null)), set(key, entry), remove(key), clear(prefix)
+webAccessConnector.metadataCache.storages = {
+
+    localStorage: function () {
+        if (typeof localStorage == "undefined") {
+            return null;
+        }
+
+        return {
+            get: function (key, callback) {
+                var entry = null;
+                try {
+                    entry = JSON.parse(localStorage.getItem(key));
+                } catch (e) {
+                }
+                callback(entry);
+            },
+            set: function (key, entry) {
+                try {
+                    localStorage.setItem(key, JSON.stringify(entry));
+                } catch (e) {
+                    // full or not allowed, the memory copy still works
+                }
+            },
+            remove: function (key) {
+                localStorage.removeItem(key);
+            },
+            clear: function (prefix) {
+                for (var i = localStorage.length - 1; i >= 0; i--) {
+                    var key = localStorage.key(i);
+                    if ((key) && (key.indexOf(prefix) == 0)) {
+                        localStorage.removeItem(key);
+                    }
+                }
             }
+        };
+    },
+
+    indexedDB: function () {
+        if (typeof indexedDB == "undefined") {
+            return null;
         }
+
+        var storeName = "metadata";
+        var database = null;
+        var waiting = [];
+
+        // run with the object store once the database is open, or with null if it can't be opened
+        var withStore = function (mode, callback) {
+            if (database) {
+                callback(database.transaction(storeName, mode).objectStore(storeName));
+                return;
+            }
+            if (database === false) {
+                callback(null);
+                return;
+            }
+
+            waiting.push(function () {
+                withStore(mode, callback);
+            });
+
+            if (waiting.length > 1) {
+                return;
+            }
+
+            var request = indexedDB.open("webAccessConnector", 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(storeName);
+            };
+            request.onsuccess = function () {
+                database = request.result;
+                var callbacks = waiting;
+                waiting = [];
+                for (var i = 0; i < callbacks.length; i++) {
+                    callbacks[i]();
+                }
+            };
+            request.onerror = function () {
+                database = false;
+                var callbacks = waiting;
+                waiting = [];
+                for (var i = 0; i < callbacks.length; i++) {
+                    callbacks[i]();
+                }
+            };
+        };
+
+        return {
+            get: function (key, callback) {
+                withStore("readonly", function (store) {
+                    if (!store) {
+                        callback(null);
+                        return;
+                    }
+                    var request = store.get(key);
+                    request.onsuccess = function () {
+                        callback(request.result || null);
+                    };
+                    request.onerror = function () {
+                        callback(null);
+                    };
+                });
+            },
+            set: function (key, entry) {
+                withStore("readwrite", function (store) {
+                    if (store) {
+                        store.put(entry, key);
+                    }
+                });
+            },
+            remove: function (key) {
+                withStore("readwrite", function (store) {
+                    if (store) {
+                        store["delete"](key);
+                    }
+                });
+            },
+            clear: function (prefix) {
+                withStore("readwrite", function (store) {
+                    if (store) {
+                        store["delete"](IDBKeyRange.bound(prefix, prefix + "\uffff"));
+                    }
+                });
+            }
+        };
     }
-    callback(response.status, errorText);
 };
+
+
+// Module support: require() / import as well as the browser global
+
+if ((typeof module == "object") && (module.exports)) {
+    module.exports = webAccessConnector;
+} else if (typeof globalThis != "undefined") {
+    // loaded as an ES module by webAccessConnector.mjs, where the var above is not a global
+    globalThis.webAccessConnector = webAccessConnector;
+}
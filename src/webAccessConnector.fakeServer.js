@@ -0,0 +1,993 @@
+// webAccessConnector library for LANDESK Service Desk Web Access integrations
+// In-memory fake Web Access server for testing code built on webAccessConnector without a live Service Desk.
+// Not needed in production; it is not part of the asset bundle.
+
+// Use it as the connector's transport:
+//
+//     var server = new webAccessConnector.fakeServer({users: [{name: "admin", password: "admin"}], data: {...}});
+//     var connector = new webAccessConnector({webAccessUrl: "http://fake", transport: server.transport,
+//         loginOnDemand: true, loginUser: "admin", loginPass: "admin"});
+//
+// or from Node as a local HTTP stand-in: server.listen(8080, function () { ... }).
+//
+// Fixtures:
+//   users: [{name, password}]; when empty any login is accepted
+//   requireLogin: false to answer without a session, default true
+//   pageSize: default page_size, 25
+//   latency: ms before each answer, default 0
+//   data: {className: [records]}; a record is {_key, _title, Attribute: value...}, _key is generated when missing.
+//         Reference attributes hold the _key of the referenced record.  Use webAccessConnector.fakeServer.metadata
+//         to build the Metadata.Module / Metadata.ClassType / Metadata.AttributeType records the metadata commands read.
+//   queries: {className: {queryName: {cns, c0...}}} console queries run by query.runConsoleQuery
+//   collections: {collectionClassName: parentAttributeName} the attribute linking collection items to their parent,
+//         by default the parent class name without its module ("Incident" for IncidentManagement.Incident)
+//   actions: {className: {actionName: function (record, requestData, server)}} behaviour of update / windowless /
+//         attach-detach actions, may change the record and return an error message to refuse the action
+//   lifecycles: {className: {statusAttribute, statuses: {status: [{name, title, type, collectionClassName,
+//         linkedClassName, to}]}}} the actions available in each status, served as the Process.LifecycleAction and
+//         Process.LifecycleStatus records the default webAccessConnector.actionMetadata describes (the classes need
+//         metadata).  The status attribute (default "Status") changes to "to" when an action is performed, and actions
+//         its status does not list are refused.  Without one any action is allowed.
+// Files saved as attribute values (see webAccessConnector.file) leave the attribute holding the file name; server.getFile
+// hands back the file itself, and webAccessConnector.attachmentDownloadPath downloads it.
+
+(function (webAccessConnector) {
+
+    /**
+     * @param {Object} fixtures
+     */
+    webAccessConnector.fakeServer = function (fixtures) {
+        var self = this;
+        var m_fixtures = fixtures || {};
+        var m_records = {};
+        var m_byKey = {};
+        var m_sessions = {};
+        var m_files = {};
+        var m_nextKey = 1;
+        var m_nextSession = 1;
+
+        // every request handled, for assertions: {method, path, data}
+        this.requests = [];
+
+        /**
+         * Transport for connectionInfo.transport
+         *
+         * @param {Object} request
+         * @param {function} callback
+         * @returns {function} abort
+         */
+        this.transport = function (request, callback) {
+            var headers = webAccessConnector.transports._requestHeaders(request);
+            var timer = setTimeout(function () {
+                // the whole body arrives at once
+                if ((request.body instanceof webAccessConnector.ajax.multipart) && (request.onUploadProgress)) {
+                    request.onUploadProgress(request.body.size, request.body.size);
+                }
+
+                var answer = self.handle(request.method, request.url, headers, request.body);
+
+                if ((request.cookieJar) && (answer.headers["set-cookie"])) {
+                    request.cookieJar.setCookies(answer.headers["set-cookie"], request.url);
+                }
+
+                if ((answer.file) && (request.binary)) {
+                    webAccessConnector.fakeServer.fileBody(answer.file, function (body) {
+                        callback(webAccessConnector.ajax.response(answer.status, answer.statusText, "", answer.headers, body));
+                    });
+                    return;
+                }
+
+                callback(webAccessConnector.ajax.response(answer.status, answer.statusText, answer.body, answer.headers));
+            }, m_fixtures.latency || 0);
+
+            return function () {
+                clearTimeout(timer);
+            };
+        };
+
+        /**
+         * Answer one request
+         *
+         * @param {string} method
+         * @param {string} url
+         * @param {Object} headers
+         * @param {?string|?webAccessConnector.ajax.multipart} body
+         * @returns {{status: number, statusText: string, headers: Object, body: string}}
+         */
+        this.handle = function (method, url, headers, body) {
+            var queryPos = url.indexOf("?");
+            var path = (queryPos > -1) ? url.substring(0, queryPos) : url;
+            var data;
+            if (body instanceof webAccessConnector.ajax.multipart) {
+                data = webAccessConnector.fakeServer.multipartData(body);
+            } else if ((method != "GET") && (body) && (body.charAt(0) == "{")) {
+                data = JSON.parse(body);
+            } else {
+                data = webAccessConnector.fakeServer.parseForm((method == "GET") ? url.substring(queryPos + 1) : body);
+            }
+            var sessionId = m_getSessionId(headers);
+
+            self.requests.push({method: method, path: path, data: data});
+
+            if (m_endsWith(path, "/Logon/Logon.rails")) {
+                return m_logOn(data);
+            }
+
+            if (m_endsWith(path, "/Logon/Logoff.rails")) {
+                delete m_sessions[sessionId];
+                return m_answer(200, "");
+            }
+
+            if ((m_fixtures.requireLogin !== false) && (!m_sessions[sessionId])) {
+                return m_answer(403, "Forbidden", "Forbidden");
+            }
+
+            try {
+                if (m_endsWith(path, "/query/list.rails")) {
+                    return m_json(m_list(data));
+                }
+                if (m_endsWith(path, "/object/open.rails")) {
+                    return m_json(m_describe(m_find(data.class_name, data.key)));
+                }
+                if (m_endsWith(path, "/object/save.rails")) {
+                    return m_json(m_describe(m_save(data)));
+                }
+                if (m_endsWith(path, "/object/delete.rails")) {
+                    m_delete(m_find(data.class_name, data.key));
+                    return m_json({result: true});
+                }
+                if (m_endsWith(path, "/object/invokeFunction.rails")) {
+                    m_invokeFunction(data);
+                    return m_json({result: true});
+                }
+                if (m_endsWith(path, webAccessConnector.attachmentDownloadPath)) {
+                    return m_download(m_find(data.class_name, data.key), data.attribute_name);
+                }
+            } catch (e) {
+                if (e instanceof webAccessConnector.fakeServer.error) {
+                    return m_answer(e.status, JSON.stringify({message: e.message}), e.statusText);
+                }
+                throw e;
+            }
+
+            return m_answer(404, "Not Found", "Not Found");
+        };
+
+        /**
+         * Serve the fake over HTTP (Node only)
+         *
+         * @param {number} port
+         * @param {?function} callback
+         * @returns {Object} the http.Server
+         */
+        this.listen = function (port, callback) {
+            var http = webAccessConnector.transports._nodeRequire("http");
+            var server = http.createServer(function (req, res) {
+                var chunks = [];
+                req.on("data", function (chunk) {
+                    chunks.push(chunk);
+                });
+                req.on("end", function () {
+                    var headers = {};
+                    if (req.headers.cookie) {
+                        headers["Cookie"] = req.headers.cookie;
+                    }
+
+                    var body = Buffer.concat(chunks);
+                    var contentType = req.headers["content-type"] || "";
+                    var answer = self.handle(req.method, req.url, headers, (/^multipart\/form-data/i.test(contentType)) ?
+                        webAccessConnector.fakeServer.parseMultipart(body, contentType) : body.toString("utf8"));
+
+                    setTimeout(function () {
+                        res.writeHead(answer.status, answer.statusText, answer.headers);
+                        if (!answer.file) {
+                            res.end(answer.body);
+                            return;
+                        }
+                        answer.file.toBuffer(function (error, content) {
+                            res.end(content);
+                        });
+                    }, m_fixtures.latency || 0);
+                });
+            });
+            server.listen(port, callback);
+            return server;
+        };
+
+        /**
+         * Make every session invalid, as if they had timed out on the server
+         */
+        this.expireSessions = function () {
+            m_sessions = {};
+        };
+
+        /**
+         * The records of a class
+         * @param {string} className
+         * @returns {Array}
+         */
+        this.getRecords = function (className) {
+            return m_records[className] || [];
+        };
+
+        /**
+         * @param {string} key
+         * @returns {?Object}
+         */
+        this.getRecord = function (key) {
+            return m_byKey[key] || null;
+        };
+
+        /**
+         * The file last saved in an attribute of a record, null when there is none
+         * @param {string} key
+         * @param {string} attribute
+         * @returns {?webAccessConnector.file}
+         */
+        this.getFile = function (key, attribute) {
+            return ((m_files[key]) && (m_files[key][attribute])) ? m_files[key][attribute] : null;
+        };
+
+        /**
+         * Add a record, returning it with its _key
+         * @param {string} className
+         * @param {Object} record
+         * @returns {Object}
+         */
+        this.addRecord = function (className, record) {
+            if (!record._key) {
+                record._key = webAccessConnector.fakeServer.key(m_nextKey++);
+            }
+            record._className = className;
+
+            if (!m_records[className]) {
+                m_records[className] = [];
+            }
+            m_records[className].push(record);
+            m_byKey[record._key] = record;
+            return record;
+        };
+
+        /**
+         * The value of an attribute path such as "Module.Name" on a record, following references by key
+         * @param {Object} record
+         * @param {string} path
+         * @returns {*}
+         */
+        this.resolve = function (record, path) {
+            var parts = path.split(".");
+            var current = record;
+
+            for (var i = 0; i < parts.length; i++) {
+                if (!current) {
+                    return null;
+                }
+
+                var value = (parts[i] == "Guid") ? current._key : current[parts[i]];
+                if (i == parts.length - 1) {
+                    return (value === undefined) ? null : value;
+                }
+                current = (value) ? m_byKey[value] : null;
+            }
+
+            return null;
+        };
+
+        var m_logOn = function (data) {
+            var users = m_fixtures.users || [];
+            var valid = (users.length == 0);
+
+            for (var i = 0; i < users.length; i++) {
+                if ((users[i].name == data.Ecom_User_ID) && (users[i].password == data.Ecom_User_Password)) {
+                    valid = true;
+                }
+            }
+
+            if (!valid) {
+                return m_json({result: false, message: "Invalid user name or password"});
+            }
+
+            var sessionId = "fake" + (m_nextSession++);
+            m_sessions[sessionId] = {user: data.Ecom_User_ID};
+
+            var answer = m_json({result: true});
+            answer.headers["set-cookie"] = ["ASP.NET_SessionId=" + sessionId + "; path=/; HttpOnly"];
+            return answer;
+        };
+
+        var m_list = function (data) {
+            var records = m_records[data.class_name];
+            if (!records) {
+                throw new webAccessConnector.fakeServer.error(500, "Unknown class " + data.class_name);
+            }
+
+            var criteriaData = data;
+            if ((data.query) && (!data.cns)) {
+                var queries = (m_fixtures.queries || {})[data.class_name] || {};
+                if (!queries.hasOwnProperty(data.query)) {
+                    throw new webAccessConnector.fakeServer.error(404, "Unknown query " + data.query);
+                }
+                criteriaData = queries[data.query];
+            }
+
+            var criteria = (criteriaData.cns) ? webAccessConnector.queryBuilder._decodeCriteria(String(criteriaData.cns), criteriaData) : [];
+            var matches = [];
+            for (var i = 0; i < records.length; i++) {
+                if (m_matchesAll(records[i], criteria)) {
+                    matches.push(records[i]);
+                }
+            }
+
+            var pageSize = parseInt(data.page_size, 10) || m_fixtures.pageSize || 25;
+            var page = parseInt(data.page, 10) || 1;
+            var pageCount = Math.ceil(matches.length / pageSize);
+            var attributes = (data.attributes) ? String(data.attributes).split(",") : [];
+            var objects = [];
+
+            for (var j = (page - 1) * pageSize; j < Math.min(matches.length, page * pageSize); j++) {
+                var object = {
+                    value: matches[j]._key,
+                    name: m_title(matches[j]),
+                    attributes: {}
+                };
+                for (var k = 0; k < attributes.length; k++) {
+                    object.attributes[attributes[k]] = webAccessConnector.fakeServer.format(self.resolve(matches[j], attributes[k]));
+                }
+                objects.push(object);
+            }
+
+            // like Web Access, objectCount is only filled in when there is more than one page
+            return {
+                pageCount: pageCount,
+                objectCount: (pageCount == 1) ? 0 : matches.length,
+                objects: objects
+            };
+        };
+
+        var m_matchesAll = function (record, criteria) {
+            var result = true;
+
+            for (var i = 0; i < criteria.length; i++) {
+                var criterion = criteria[i];
+                var matches = (criterion.group) ? m_matchesAll(record, criterion.group) : m_matches(record, criterion);
+
+                if (i == 0) {
+                    result = matches;
+                } else if (criterion.join == "o") {
+                    result = result || matches;
+                } else {
+                    result = result && matches;
+                }
+            }
+
+            return result;
+        };
+
+        var m_matches = function (record, criterion) {
+            var value = self.resolve(record, criterion.attribute);
+            var isNull = (value === null) || (value === "");
+
+            if (criterion.operator == "n") {
+                return isNull;
+            }
+            if (criterion.operator == "nn") {
+                return !isNull;
+            }
+
+            var compared = webAccessConnector.fakeServer.compare(value, criterion.value);
+            switch (criterion.operator) {
+                case "e":
+                    return compared == 0;
+                case "ne":
+                    return compared != 0;
+                case "gt":
+                    return compared > 0;
+                case "ge":
+                    return compared >= 0;
+                case "lt":
+                    return compared < 0;
+                case "le":
+                    return compared <= 0;
+                case "l":
+                    return webAccessConnector.fakeServer.like(value, criterion.value);
+            }
+
+            throw new webAccessConnector.fakeServer.error(500, "Unknown criteria operator " + criterion.operator);
+        };
+
+        var m_find = function (className, key) {
+            var record = m_byKey[key];
+            if ((!record) || (!m_isA(record._className, className))) {
+                throw new webAccessConnector.fakeServer.error(404, "Object not found");
+            }
+            return record;
+        };
+
+        // records of a subclass are found through their superclass too
+        var m_isA = function (recordClassName, className) {
+            if (recordClassName == className) {
+                return true;
+            }
+
+            var classes = m_records["Metadata.ClassType"] || [];
+            for (var i = 0; i < classes.length; i++) {
+                if ((classes[i]._fullName == recordClassName) && (classes[i].SuperClassType)) {
+                    return m_isA(m_byKey[classes[i].SuperClassType]._fullName, className);
+                }
+            }
+            return false;
+        };
+
+        var m_save = function (data) {
+            var record;
+            var values = webAccessConnector.fakeServer.attributeValues(data);
+            var files = m_takeFiles(values);
+
+            if ((data.is_new === true) || (data.is_new == "true")) {
+                if (!m_records.hasOwnProperty(data.class_name)) {
+                    throw new webAccessConnector.fakeServer.error(500, "Unknown class " + data.class_name);
+                }
+
+                record = {};
+                if (data.lifecycle_name) {
+                    record._lifecycle = data.lifecycle_name;
+                }
+                if (data.object_template_name) {
+                    record._template = data.object_template_name;
+                }
+
+                if (data.parent_key) {
+                    var parent = m_find(data.parent_class_name, data.parent_key);
+                    var parentAttribute = (m_fixtures.collections || {})[data.class_name] || data.parent_class_name.split(".").pop();
+                    if (data.parent_function_name) {
+                        m_runAction(parent, data.parent_function_name, data);
+                    }
+                    record[parentAttribute] = parent._key;
+                    record._parentFunction = data.parent_function_name;
+                }
+
+                m_apply(record, values);
+                self.addRecord(data.class_name, record);
+                m_keepFiles(record, files);
+                return record;
+            }
+
+            record = m_find(data.class_name, data.key);
+            if (data.function_name) {
+                m_runAction(record, data.function_name, data);
+            }
+            m_apply(record, values);
+            m_keepFiles(record, files);
+            return record;
+        };
+
+        // files saved as attribute values are kept aside, the attribute keeps the file name
+        var m_takeFiles = function (values) {
+            var files = {};
+            for (var name in values) {
+                if ((values.hasOwnProperty(name)) && (values[name] instanceof webAccessConnector.file)) {
+                    files[name] = values[name];
+                    values[name] = values[name].fileName;
+                }
+            }
+            return files;
+        };
+
+        var m_keepFiles = function (record, files) {
+            for (var name in files) {
+                if (files.hasOwnProperty(name)) {
+                    m_files[record._key] = m_files[record._key] || {};
+                    m_files[record._key][name] = files[name];
+                }
+            }
+        };
+
+        var m_download = function (record, attribute) {
+            var file = self.getFile(record._key, attribute);
+            if (!file) {
+                throw new webAccessConnector.fakeServer.error(404, "No file in " + attribute);
+            }
+
+            return {
+                status: 200,
+                statusText: "OK",
+                headers: {
+                    "content-type": file.contentType,
+                    "content-length": String(file.size),
+                    "content-disposition": "attachment; filename=\"" + file.fileName.replace(/[^\x20-\x7e]|"/g, "_") +
+                        "\"; filename*=UTF-8''" + encodeURIComponent(file.fileName)
+                },
+                body: "",
+                file: file
+            };
+        };
+
+        var m_delete = function (record) {
+            var records = m_records[record._className];
+            records.splice(records.indexOf(record), 1);
+            delete m_byKey[record._key];
+        };
+
+        var m_invokeFunction = function (data) {
+            var record = m_find(data.class_name, data.key);
+            if (data.child_key) {
+                // attach / detach: the linked record has to exist
+                m_find(data.child_class_name, data.child_key);
+            }
+            m_runAction(record, data.function_name, data);
+        };
+
+        var m_runAction = function (record, actionName, data) {
+            var lifecycle = (m_fixtures.lifecycles || {})[record._className];
+            var action = null;
+
+            if (lifecycle) {
+                var available = lifecycle.statuses[record[lifecycle.statusAttribute || "Status"]] || [];
+                for (var i = 0; i < available.length; i++) {
+                    if (available[i].name == actionName) {
+                        action = available[i];
+                    }
+                }
+                if (!action) {
+                    throw new webAccessConnector.fakeServer.error(500, "The action " + actionName + " is not available");
+                }
+            }
+
+            var actions = (m_fixtures.actions || {})[record._className] || {};
+            if (actions.hasOwnProperty(actionName)) {
+                var message = actions[actionName](record, data, self);
+                if (message) {
+                    throw new webAccessConnector.fakeServer.error(500, message);
+                }
+            }
+
+            if ((action) && (action.to)) {
+                record[lifecycle.statusAttribute || "Status"] = action.to;
+            }
+        };
+
+        // the lifecycle metadata: a status record for each status and an action record for each action it allows
+        var m_addLifecycles = function () {
+            var classKeys = {};
+            var classTypes = m_records["Metadata.ClassType"] || [];
+            for (var i = 0; i < classTypes.length; i++) {
+                classKeys[classTypes[i]._fullName] = classTypes[i]._key;
+            }
+
+            m_records["Process.LifecycleStatus"] = m_records["Process.LifecycleStatus"] || [];
+            m_records["Process.LifecycleAction"] = m_records["Process.LifecycleAction"] || [];
+
+            var lifecycles = m_fixtures.lifecycles || {};
+            for (var className in lifecycles) {
+                if (!lifecycles.hasOwnProperty(className)) {
+                    continue;
+                }
+
+                var statuses = lifecycles[className].statuses;
+                for (var status in statuses) {
+                    if (!statuses.hasOwnProperty(status)) {
+                        continue;
+                    }
+
+                    var statusRecord = self.addRecord("Process.LifecycleStatus", {_title: status, Name: status, ClassType: classKeys[className] || null});
+                    for (var j = 0; j < statuses[status].length; j++) {
+                        var action = statuses[status][j];
+                        self.addRecord("Process.LifecycleAction", {
+                            _title: action.title || action.name,
+                            Name: action.name,
+                            ActionType: action.type || "Update",
+                            ClassType: classKeys[className] || null,
+                            FromStatus: statusRecord._key,
+                            CollectionClassType: (action.collectionClassName) ? (classKeys[action.collectionClassName] || null) : null,
+                            LinkedClassType: (action.linkedClassName) ? (classKeys[action.linkedClassName] || null) : null
+                        });
+                    }
+                }
+            }
+        };
+
+        var m_apply = function (record, values) {
+            for (var name in values) {
+                if (values.hasOwnProperty(name)) {
+                    record[name] = values[name];
+                }
+            }
+        };
+
+        var m_describe = function (record) {
+            var attributes = {};
+            for (var name in record) {
+                if ((record.hasOwnProperty(name)) && (name.charAt(0) != "_")) {
+                    attributes[name] = webAccessConnector.fakeServer.format(record[name]);
+                }
+            }
+
+            return {
+                class_name: record._className,
+                key: record._key,
+                name: m_title(record),
+                attributes: attributes
+            };
+        };
+
+        var m_title = function (record) {
+            return record._title || record.Title || record.Name || record._key;
+        };
+
+        var m_getSessionId = function (headers) {
+            var match = /(?:^|;\s*)ASP\.NET_SessionId=([^;]+)/.exec(headers["Cookie"] || headers["cookie"] || "");
+            return (match) ? match[1] : null;
+        };
+
+        var m_endsWith = function (path, ending) {
+            return path.substring(path.length - ending.length) == ending;
+        };
+
+        var m_json = function (data) {
+            return m_answer(200, JSON.stringify(data));
+        };
+
+        var m_answer = function (status, body, statusText) {
+            return {
+                status: status,
+                statusText: statusText || "OK",
+                headers: {"content-type": (body.charAt(0) == "{") ? "application/json" : "text/plain"},
+                body: body
+            };
+        };
+
+        // load the fixtures
+        var data = m_fixtures.data || {};
+        for (var className in data) {
+            if (data.hasOwnProperty(className)) {
+                m_records[className] = m_records[className] || [];
+                for (var i = 0; i < data[className].length; i++) {
+                    self.addRecord(className, data[className][i]);
+                }
+            }
+        }
+
+        // classes described by the metadata can have records created without any fixture records
+        var classTypes = m_records["Metadata.ClassType"] || [];
+        for (var j = 0; j < classTypes.length; j++) {
+            if ((classTypes[j]._fullName) && (!m_records[classTypes[j]._fullName])) {
+                m_records[classTypes[j]._fullName] = [];
+            }
+        }
+
+        m_addLifecycles();
+    };
+
+    /**
+     * An error the fake answers with a JSON message
+     *
+     * @param {number} status
+     * @param {string} message
+     */
+    webAccessConnector.fakeServer.error = function (status, message) {
+        this.status = status;
+        this.statusText = (status == 404) ? "Not Found" : "Internal Server Error";
+        this.message = message;
+    };
+
+    // save.rails fields that are not attribute values
+    webAccessConnector.fakeServer.saveFields = ["class_name", "key", "is_new", "lifecycle_name", "object_template_name",
+        "function_name", "parent_class_name", "parent_key", "parent_function_name"];
+
+    /**
+     * @param {Object} data
+     * @returns {Object}
+     */
+    webAccessConnector.fakeServer.attributeValues = function (data) {
+        var values = {};
+        for (var name in data) {
+            if ((data.hasOwnProperty(name)) && (webAccessConnector.fakeServer.saveFields.indexOf(name) == -1)) {
+                values[name] = data[name];
+            }
+        }
+        return values;
+    };
+
+    /**
+     * Decode a form / query string
+     *
+     * @param {?string} text
+     * @returns {Object}
+     */
+    webAccessConnector.fakeServer.parseForm = function (text) {
+        var data = {};
+        if (!text) {
+            return data;
+        }
+
+        var pairs = text.split("&");
+        for (var i = 0; i < pairs.length; i++) {
+            if (pairs[i] == "") {
+                continue;
+            }
+            var equalsPos = pairs[i].indexOf("=");
+            var name = (equalsPos > -1) ? pairs[i].substring(0, equalsPos) : pairs[i];
+            var value = (equalsPos > -1) ? pairs[i].substring(equalsPos + 1) : "";
+            data[decodeURIComponent(name.replace(/\+/g, " "))] = decodeURIComponent(value.replace(/\+/g, " "));
+        }
+        return data;
+    };
+
+    /**
+     * The fields of a multipart body as request data, a name sent more than once as an array
+     *
+     * @param {webAccessConnector.ajax.multipart} multipart
+     * @returns {Object}
+     */
+    webAccessConnector.fakeServer.multipartData = function (multipart) {
+        var data = {};
+        for (var i = 0; i < multipart.fields.length; i++) {
+            var name = multipart.fields[i].name;
+            var value = multipart.fields[i].value;
+
+            if (!data.hasOwnProperty(name)) {
+                data[name] = value;
+            } else if (data[name] instanceof Array) {
+                data[name].push(value);
+            } else {
+                data[name] = [data[name], value];
+            }
+        }
+        return data;
+    };
+
+    /**
+     * Read a multipart/form-data body received over HTTP (Node)
+     *
+     * @param {Buffer} body
+     * @param {string} contentType the header, with its boundary
+     * @returns {webAccessConnector.ajax.multipart}
+     */
+    webAccessConnector.fakeServer.parseMultipart = function (body, contentType) {
+        var boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+        var delimiter = "--" + ((boundary) ? (boundary[1] || boundary[2]) : "");
+        var parts = body.toString("latin1").split(delimiter);
+        var fields = [];
+
+        // UTF-8 read as latin1 here, with the characters webAccessConnector.ajax.multipart.quote escapes
+        var unquote = function (text) {
+            return Buffer.from(text, "latin1").toString("utf8").replace(/%22/g, "\"").replace(/%0D/g, "\r").replace(/%0A/g, "\n");
+        };
+
+        // the first part is the preamble, the last the closing "--"
+        for (var i = 1; i < parts.length - 1; i++) {
+            var part = parts[i].replace(/^\r\n/, "").replace(/\r\n$/, "");
+            var headerEnd = part.indexOf("\r\n\r\n");
+            var headers = part.substring(0, headerEnd);
+            var content = Buffer.from(part.substring(headerEnd + 4), "latin1");
+
+            var name = /name="([^"]*)"/i.exec(headers);
+            var fileName = /filename="([^"]*)"/i.exec(headers);
+            var type = /Content-Type:\s*([^\r\n]+)/i.exec(headers);
+
+            name = (name) ? unquote(name[1]) : "";
+
+            if (fileName) {
+                fields.push({
+                    name: name,
+                    value: new webAccessConnector.file(content, unquote(fileName[1]), (type) ? type[1].trim() : null)
+                });
+            } else {
+                fields.push({name: name, value: content.toString("utf8")});
+            }
+        }
+
+        return new webAccessConnector.ajax.multipart(fields);
+    };
+
+    /**
+     * The body of a file download as the transports hand it back: a stream in Node, a Blob elsewhere
+     *
+     * @param {webAccessConnector.file} file
+     * @param {function} callback
+     */
+    webAccessConnector.fakeServer.fileBody = function (file, callback) {
+        if (typeof Buffer == "undefined") {
+            callback(file.toBlob());
+            return;
+        }
+
+        var Readable = webAccessConnector.transports._nodeRequire("stream").Readable;
+        file.toBuffer(function (error, content) {
+            callback(Readable.from([content]));
+        });
+    };
+
+    /**
+     * Values come back from Web Access as strings, booleans as True / False
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    webAccessConnector.fakeServer.format = function (value) {
+        if ((value === null) || (value === undefined)) {
+            return "";
+        }
+        if (typeof value == "boolean") {
+            return (value) ? "True" : "False";
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return String(value);
+    };
+
+    /**
+     * Compare as numbers when both are numeric, otherwise as case insensitive text
+     *
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    webAccessConnector.fakeServer.compare = function (a, b) {
+        a = webAccessConnector.fakeServer.format(a);
+        b = webAccessConnector.fakeServer.format(b);
+
+        if ((a != "") && (b != "") && (!isNaN(a)) && (!isNaN(b))) {
+            return Number(a) - Number(b);
+        }
+
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+        return (a < b) ? -1 : ((a > b) ? 1 : 0);
+    };
+
+    /**
+     * SQL style like: % and _ wildcards, or contains when there are none
+     *
+     * @param {*} value
+     * @param {*} pattern
+     * @returns {boolean}
+     */
+    webAccessConnector.fakeServer.like = function (value, pattern) {
+        value = webAccessConnector.fakeServer.format(value).toLowerCase();
+        pattern = webAccessConnector.fakeServer.format(pattern).toLowerCase();
+
+        if (!/[%_]/.test(pattern)) {
+            return value.indexOf(pattern) > -1;
+        }
+
+        var expression = pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*").replace(/_/g, ".");
+        return new RegExp("^" + expression + "$").test(value);
+    };
+
+    /**
+     * A GUID style key from a number
+     *
+     * @param {number} n
+     * @returns {string}
+     */
+    webAccessConnector.fakeServer.key = function (n) {
+        var hex = n.toString(16);
+        while (hex.length < 12) {
+            hex = "0" + hex;
+        }
+        return "00000000-0000-0000-0000-" + hex;
+    };
+
+    /**
+     * Build the Metadata.* fixture records from a compact schema:
+     *
+     * {
+     *     IncidentManagement: {
+     *         title: "Incident Management", databasePrefix: "im",
+     *         classes: {
+     *             Incident: {
+     *                 title: "Incident", superClass: "Process.Process", table: "im_incident",
+     *                 attributes: {
+     *                     Title: {title: "Title", type: "String", isName: true},
+     *                     RaiseUser: {title: "Raise User", type: "Reference", relatedClass: "System.User"}
+     *                 }
+     *             }
+     *         }
+     *     }
+     * }
+     *
+     * Classes without a superClass get a Guid primary key attribute.
+     * Merge the result into fixtures.data.
+     *
+     * @param {Object} schema
+     * @returns {Object} data by class name
+     */
+    webAccessConnector.fakeServer.metadata = function (schema) {
+        var data = {
+            "Metadata.Module": [],
+            "Metadata.ClassType": [],
+            "Metadata.AttributeType": [],
+            "Metadata.Table": []
+        };
+        var classKeys = {};
+        var classes = [];
+        var nextKey = 1;
+        var newKey = function () {
+            return "10000000-0000-0000-0000-" + webAccessConnector.fakeServer.key(nextKey++).substring(24);
+        };
+
+        for (var moduleName in schema) {
+            if (!schema.hasOwnProperty(moduleName)) {
+                continue;
+            }
+
+            var moduleDefinition = schema[moduleName];
+            var moduleRecord = {
+                _key: newKey(),
+                _title: moduleDefinition.title || moduleName,
+                Name: moduleName,
+                Title: moduleDefinition.title || moduleName,
+                DatabasePrefix: moduleDefinition.databasePrefix || "",
+                IsClone: !!moduleDefinition.isClone,
+                IsExternal: !!moduleDefinition.isExternal
+            };
+            data["Metadata.Module"].push(moduleRecord);
+
+            for (var className in moduleDefinition.classes) {
+                if (!moduleDefinition.classes.hasOwnProperty(className)) {
+                    continue;
+                }
+
+                var classDefinition = moduleDefinition.classes[className];
+                var tableRecord = {_key: newKey(), Name: classDefinition.table || ((moduleDefinition.databasePrefix || moduleName) + "_" + className).toLowerCase()};
+                var classRecord = {
+                    _key: newKey(),
+                    _title: classDefinition.title || className,
+                    _fullName: moduleName + "." + className,
+                    Name: className,
+                    Title: classDefinition.title || className,
+                    Module: moduleRecord._key,
+                    Table: tableRecord._key,
+                    SuperClassType: null
+                };
+
+                data["Metadata.Table"].push(tableRecord);
+                data["Metadata.ClassType"].push(classRecord);
+                classKeys[classRecord._fullName] = classRecord._key;
+                classes.push({record: classRecord, definition: classDefinition});
+            }
+        }
+
+        // references between classes once every class has a key
+        for (var i = 0; i < classes.length; i++) {
+            var definition = classes[i].definition;
+            var record = classes[i].record;
+
+            if (definition.superClass) {
+                record.SuperClassType = classKeys[definition.superClass] || null;
+            } else {
+                data["Metadata.AttributeType"].push({
+                    _key: newKey(), _title: "Guid", Name: "Guid", DataType: "Guid", Class: record._key,
+                    RelatedClassType: null, IsName: false, PKeyNumber: 1
+                });
+            }
+
+            for (var attributeName in definition.attributes) {
+                if (!definition.attributes.hasOwnProperty(attributeName)) {
+                    continue;
+                }
+
+                var attribute = definition.attributes[attributeName];
+                data["Metadata.AttributeType"].push({
+                    _key: newKey(),
+                    _title: attribute.title || attributeName,
+                    Name: attributeName,
+                    DataType: attribute.type || "String",
+                    Class: record._key,
+                    RelatedClassType: (attribute.relatedClass) ? (classKeys[attribute.relatedClass] || null) : null,
+                    IsName: !!attribute.isName,
+                    PKeyNumber: (attribute.isPrimaryKey) ? 1 : 0
+                });
+            }
+        }
+
+        return data;
+    };
+
+    if ((typeof module == "object") && (module.exports)) {
+        module.exports = webAccessConnector.fakeServer;
+    }
+
+})(((typeof module == "object") && (module.exports)) ? require("./webAccessConnector-1.1.js") : webAccessConnector);
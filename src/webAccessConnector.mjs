@@ -0,0 +1,11 @@
+// webAccessConnector library for LANDESK Service Desk Web Access integrations
+// ES module entry point: import webAccessConnector from "./webAccessConnector.mjs"
+//
+// webAccessConnector-1.1.js stays a plain script.  Where modules are loaded through CommonJS (Node, bundlers) it hands
+// back its module.exports; a browser loads it as an ES module, where it sets globalThis.webAccessConnector instead.
+
+import * as loaded from "./webAccessConnector-1.1.js";
+
+var webAccessConnector = loaded.default || globalThis.webAccessConnector;
+
+export default webAccessConnector;
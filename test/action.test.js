@@ -0,0 +1,195 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+var lifecycles = {
+    "IM.Incident": {
+        statuses: {
+            Open: [
+                {name: "Resolve", title: "Resolve Incident", to: "Resolved"},
+                {name: "AddNote", title: "Add Note", type: "Collection", collectionClassName: "IM.Note"},
+                {name: "Escalate", type: "Windowless"},
+                {name: "AttachFile", type: "Attach", linkedClassName: "IM.Attachment"}
+            ],
+            Resolved: [{name: "Close", to: "Closed"}]
+        }
+    }
+};
+
+var names = function (attributes) {
+    return attributes.map(function (attribute) {
+        return attribute.name;
+    }).sort();
+};
+
+test("getActions lists the actions the record's status allows with their types and forms", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    var result = await connector.action.getActions({className: "IM.Incident", key: "i1"});
+    var actions = result.data.actions;
+
+    assert.strictEqual(result.data.status, "Open");
+    assert.deepStrictEqual(actions.map(function (action) {
+        return [action.name, action.title, action.type];
+    }), [
+        ["Resolve", "Resolve Incident", "update"],
+        ["AddNote", "Add Note", "collection"],
+        ["Escalate", "Escalate", "windowless"],
+        ["AttachFile", "AttachFile", "attachDetach"]
+    ]);
+    assert.deepStrictEqual(names(actions[0].attributes), ["Guid", "Priority", "RaiseUser", "Raised", "Status", "Title", "Urgent"]);
+    assert.deepStrictEqual(names(actions[1].attributes), ["Guid", "Incident", "Text"]);
+    assert.strictEqual(actions[1].collectionClassName, "IM.Note");
+    assert.deepStrictEqual(actions[2].attributes, []);
+    assert.strictEqual(actions[3].linkedClassName, "IM.Attachment");
+    assert.deepStrictEqual(actions[3].attributes, []);
+});
+
+test("getActions follows the record's status", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    server.getRecord("i2").Status = "Resolved";
+    server.getRecord("i3").Status = "Closed";
+
+    var resolved = await connector.action.getActions({className: "IM.Incident", key: "i2"});
+    var closed = await connector.action.getActions({className: "IM.Incident", key: "i3"});
+
+    assert.deepStrictEqual(resolved.data.actions.map(function (action) {
+        return action.name;
+    }), ["Close"]);
+    assert.deepStrictEqual(closed.data.actions, []);
+});
+
+test("getActions reads the lifecycle metadata through queries", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    await connector.action.getActions({className: "IM.Incident", key: "i1"});
+
+    var listed = server.requests.filter(function (request) {
+        return request.data.class_name == "Process.LifecycleAction";
+    });
+    assert.strictEqual(listed.length, 1);
+    assert.strictEqual(listed[0].data.cns, "ClassType.Guid-e-0_a_FromStatus.Name-e-1");
+    assert.strictEqual(listed[0].data.c1, "Open");
+    assert.ok(support.requestPaths(server).every(function (path) {
+        return ["/wd/Logon/Logon.rails", "/query/list.rails", "/object/open.rails"].indexOf(path) > -1;
+    }));
+});
+
+test("invokeAction performs an update action, moving the record along its lifecycle", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    await connector.action.invokeAction({
+        className: "IM.Incident", key: "i1", actionName: "Resolve", actionType: "update", attributeValues: {Title: "Fixed"}
+    });
+
+    assert.strictEqual(server.getRecord("i1").Status, "Resolved");
+    assert.strictEqual(server.getRecord("i1").Title, "Fixed");
+});
+
+test("invokeAction performs a windowless action", async function () {
+    var server = support.createServer({
+        lifecycles: lifecycles,
+        actions: {
+            "IM.Incident": {
+                Escalate: function (record) {
+                    record.Urgent = true;
+                }
+            }
+        }
+    });
+    var connector = support.createConnector(server);
+
+    await connector.action.invokeAction({className: "IM.Incident", key: "i1", actionName: "Escalate", actionType: "Windowless"});
+
+    assert.strictEqual(server.getRecord("i1").Urgent, true);
+    assert.deepStrictEqual(support.requestPaths(server).slice(-1), ["/object/invokeFunction.rails"]);
+});
+
+test("invokeAction performs a collection action, creating the collection record", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    var result = await connector.action.invokeAction({
+        className: "IM.Incident", key: "i1", actionName: "AddNote", actionType: "collection",
+        collectionClassName: "IM.Note", attributeValues: {Text: "Called back"}
+    });
+
+    var note = server.getRecord(result.data.key);
+    assert.strictEqual(note.Text, "Called back");
+    assert.strictEqual(note.Incident, "i1");
+});
+
+test("invokeAction without an actionType performs the action as getActions reports it", async function () {
+    var server = support.createServer({
+        lifecycles: lifecycles,
+        actions: {
+            "IM.Incident": {
+                Escalate: function (record) {
+                    record.Urgent = true;
+                }
+            }
+        }
+    });
+    var connector = support.createConnector(server);
+
+    var result = await connector.action.invokeAction({className: "IM.Incident", key: "i1", actionName: "AddNote", attributeValues: {Text: "Called back"}});
+    await connector.action.invokeAction({className: "IM.Incident", key: "i1", actionName: "Escalate"});
+
+    assert.strictEqual(server.getRecord(result.data.key).Incident, "i1");
+    assert.strictEqual(server.getRecord("i1").Urgent, true);
+    assert.deepStrictEqual(support.requestPaths(server).slice(-1), ["/object/invokeFunction.rails"]);
+});
+
+test("invokeAction without an actionType fails with notFound when the status does not allow the action", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    await assert.rejects(connector.action.invokeAction({className: "IM.Incident", key: "i1", actionName: "Close"}), function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.notFound);
+        assert.match(error.errorText, /Close/);
+        return true;
+    });
+    assert.ok(server.requests.every(function (request) {
+        return !/\/object\/(save|invokeFunction)\.rails$/.test(request.path);
+    }));
+});
+
+test("an action the record's status does not allow fails", async function () {
+    var server = support.createServer({lifecycles: lifecycles});
+    var connector = support.createConnector(server);
+
+    await assert.rejects(connector.action.invokeAction({className: "IM.Incident", key: "i1", actionName: "Close", actionType: "update"}), function (error) {
+        assert.strictEqual(error.statusCode, 500);
+        return true;
+    });
+    assert.strictEqual(server.getRecord("i1").Status, "Open");
+});
+
+test("invokeAction with an unknown actionType fails through onError and the promise", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var errors = [];
+
+    var unknown = connector.action.invokeAction({
+        className: "IM.Incident", key: "i1", actionName: "Resolve", actionType: "sideways",
+        onError: function (error) {
+            errors.push(error);
+        }
+    });
+    assert.strictEqual(errors.length, 0);
+
+    await assert.rejects(unknown, function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.invalidRequestData);
+        assert.match(error.errorText, /sideways/);
+        return true;
+    });
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(server.requests.length, 0);
+});
@@ -0,0 +1,182 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+var uploadParameters = function (overrides) {
+    var parameters = {
+        className: "IM.Incident", key: "i1", collectionClassName: "IM.Attachment", actionName: "AddAttachment", fileAttribute: "File",
+        file: "Disk full at 03:12", fileName: "log.txt", contentType: "text/plain"
+    };
+    for (var name in overrides) {
+        parameters[name] = overrides[name];
+    }
+    return parameters;
+};
+
+var listen = function (server) {
+    return new Promise(function (resolve) {
+        var listening = server.listen(0, function () {
+            resolve(listening);
+        });
+    });
+};
+
+var readStream = function (stream) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        stream.on("data", function (chunk) {
+            chunks.push(chunk);
+        });
+        stream.on("end", function () {
+            resolve(Buffer.concat(chunks));
+        });
+        stream.on("error", reject);
+    });
+};
+
+test("upload saves the file as a new record of the attachment collection", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var progress = [];
+
+    var result = await connector.attachment.upload(uploadParameters({
+        attributeValues: {Description: "Server log"},
+        onUploadProgress: function (event) {
+            progress.push(event.loaded + "/" + event.total);
+        }
+    }));
+
+    var attachment = server.getRecord(result.data.key);
+    var file = server.getFile(result.data.key, "File");
+    assert.strictEqual(attachment.Incident, "i1");
+    assert.strictEqual(attachment.Description, "Server log");
+    assert.strictEqual(attachment.File, "log.txt");
+    assert.strictEqual(file.contentType, "text/plain");
+    assert.strictEqual(String(file.content), "Disk full at 03:12");
+    assert.deepStrictEqual(support.requestPaths(server).slice(-1), ["/object/save.rails"]);
+    assert.strictEqual(progress.length > 0, true);
+    assert.strictEqual(progress[progress.length - 1].split("/")[0], progress[progress.length - 1].split("/")[1]);
+});
+
+test("upload sends Blob and Buffer content with its name", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var fromBlob = await connector.attachment.upload(uploadParameters({file: new Blob(["<p>screenshot</p>"], {type: "text/html"}), fileName: "page.html", contentType: null}));
+    var fromBuffer = await connector.attachment.upload(uploadParameters({file: Buffer.from([0, 1, 2, 255]), fileName: "dump.bin", contentType: null}));
+
+    assert.strictEqual(server.getRecord(fromBlob.data.key).File, "page.html");
+    assert.strictEqual(server.getFile(fromBlob.data.key, "File").contentType, "text/html");
+    assert.strictEqual(server.getRecord(fromBuffer.data.key).File, "dump.bin");
+    assert.strictEqual(server.getFile(fromBuffer.data.key, "File").contentType, "application/octet-stream");
+});
+
+test("upload without a file or where to put it fails through onError and the promise", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var errors = [];
+    var onError = function (error) {
+        errors.push(error);
+    };
+
+    var noFile = connector.attachment.upload(uploadParameters({file: null, onError: onError}));
+    var noClass = connector.attachment.upload(uploadParameters({collectionClassName: undefined, onError: onError}));
+    assert.strictEqual(errors.length, 0);
+
+    await assert.rejects(noFile, function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.invalidRequestData);
+        assert.match(error.errorText, /parameters\.file/);
+        return true;
+    });
+    await assert.rejects(noClass, function (error) {
+        assert.match(error.errorText, /parameters\.collectionClassName/);
+        return true;
+    });
+    assert.strictEqual(errors.length, 2);
+    assert.strictEqual(server.requests.length, 0);
+});
+
+test("list loads the attachments of one record", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    await connector.attachment.upload(uploadParameters({fileName: "first.txt", attributeValues: {Description: "First"}}));
+    await connector.attachment.upload(uploadParameters({fileName: "second.txt"}));
+    await connector.attachment.upload(uploadParameters({key: "i2", fileName: "other.txt"}));
+
+    var result = await connector.attachment.list({
+        className: "IM.Incident", key: "i1", collectionClassName: "IM.Attachment", fileAttribute: "File", attributes: ["Description"]
+    });
+
+    assert.deepStrictEqual(result.data.attachments.map(function (attachment) {
+        return [attachment.fileName, attachment.attributes.Description];
+    }), [["first.txt", "First"], ["second.txt", ""]]);
+    assert.strictEqual(server.getRecord(result.data.attachments[0].key).File, "first.txt");
+    assert.deepStrictEqual(support.requestPaths(server).slice(-1), ["/query/list.rails"]);
+});
+
+test("download hands back the file as a stream from the node transport", async function () {
+    var server = support.createServer();
+    var httpServer = await listen(server);
+
+    try {
+        var connector = support.createConnector(server, {webAccessUrl: "http://127.0.0.1:" + httpServer.address().port + "/wd", transport: "node"});
+        var uploaded = await connector.attachment.upload(uploadParameters({file: Buffer.from([0, 1, 2, 255]), fileName: "dump été.bin", contentType: null}));
+
+        var result = await connector.attachment.download({collectionClassName: "IM.Attachment", attachmentKey: uploaded.data.key, fileAttribute: "File"});
+
+        assert.ok(result.data.content instanceof require("stream").Readable);
+        assert.deepStrictEqual(await readStream(result.data.content), Buffer.from([0, 1, 2, 255]));
+        assert.strictEqual(result.data.fileName, "dump été.bin");
+        assert.strictEqual(result.data.contentType, "application/octet-stream");
+        assert.strictEqual(result.data.size, 4);
+        await connector.user.logOff();
+    } finally {
+        httpServer.close();
+    }
+});
+
+test("download hands back the file as a Blob from the fetch transport", async function () {
+    var server = support.createServer();
+    var httpServer = await listen(server);
+
+    try {
+        var connector = support.createConnector(server, {webAccessUrl: "http://127.0.0.1:" + httpServer.address().port + "/wd", transport: "fetch"});
+        var uploaded = await connector.attachment.upload(uploadParameters());
+
+        var result = await connector.attachment.download({collectionClassName: "IM.Attachment", attachmentKey: uploaded.data.key, fileAttribute: "File"});
+
+        assert.ok(result.data.content instanceof Blob);
+        assert.strictEqual(await result.data.content.text(), "Disk full at 03:12");
+        assert.strictEqual(result.data.fileName, "log.txt");
+        await connector.user.logOff();
+    } finally {
+        httpServer.close();
+    }
+});
+
+test("download of an attachment without a file fails with notFound", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var created = await connector.record.createRecord({className: "IM.Attachment", attributeValues: {Description: "Nothing yet"}});
+
+    await assert.rejects(connector.attachment.download({collectionClassName: "IM.Attachment", attachmentKey: created.data.key, fileAttribute: "File"}), function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.notFound);
+        assert.strictEqual(error.statusCode, 404);
+        return true;
+    });
+});
+
+test("a file can be saved as an attribute value of a new record", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.record.createRecord({
+        className: "IM.Attachment",
+        attributeValues: {Description: "Notes", File: new webAccessConnector.file("a,b\n1,2\n", "data.csv", "text/csv")}
+    });
+
+    assert.strictEqual(server.getRecord(result.data.key).File, "data.csv");
+    assert.strictEqual(server.getFile(result.data.key, "File").contentType, "text/csv");
+});
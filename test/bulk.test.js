@@ -0,0 +1,161 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+var statuses = function (report) {
+    return report.items.map(function (item) {
+        return item.status;
+    });
+};
+
+// the server's answers, given before the transport returns
+var synchronousTransport = function (server) {
+    return function (request, callback) {
+        var answer = server.handle(request.method, request.url, webAccessConnector.transports._requestHeaders(request), request.body);
+        callback(webAccessConnector.ajax.response(answer.status, answer.statusText, answer.body, answer.headers));
+        return function () {
+        };
+    };
+};
+
+test("bulkCreate reports how each item went", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var progress = [];
+
+    var result = await connector.record.bulkCreate({
+        className: "IM.Incident",
+        concurrency: 2,
+        items: [{attributeValues: {Title: "A"}}, {attributeValues: {Title: "B"}}, {className: "IM.Missing", attributeValues: {Title: "C"}}],
+        onProgress: function (state) {
+            progress.push(state.completed + "/" + state.total);
+        }
+    });
+
+    assert.deepStrictEqual(statuses(result.data), ["succeeded", "succeeded", "failed"]);
+    assert.strictEqual(result.data.succeeded, 2);
+    assert.strictEqual(result.data.failed, 1);
+    assert.strictEqual(result.data.stopped, false);
+    assert.deepStrictEqual(progress, ["1/3", "2/3", "3/3"]);
+});
+
+test("stopOnError skips the items not yet started", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.record.bulkDelete({className: "IM.Incident", stopOnError: true, items: ["i1", "missing", "i2", "i3"]});
+
+    assert.deepStrictEqual(statuses(result.data), ["succeeded", "failed", "skipped", "skipped"]);
+    assert.strictEqual(result.data.skipped, 2);
+    assert.strictEqual(result.data.cancelled, 0);
+    assert.strictEqual(result.data.stopped, true);
+    assert.strictEqual(server.getRecords("IM.Incident").length, 4);
+});
+
+test("cancel marks the items in progress and the items not started as cancelled", async function () {
+    var server = support.createServer({latency: 20});
+    var connector = support.createConnector(server);
+    await connector.user.logOn();
+
+    var bulk = connector.record.bulkUpdate({
+        className: "IM.Incident",
+        concurrency: 2,
+        items: ["i1", "i2", "i3", "i4", "i5"].map(function (key) {
+            return {key: key, attributeValues: {Status: "Closed"}};
+        }),
+        onProgress: function (state) {
+            if (state.completed == 1) {
+                bulk.cancel();
+            }
+        }
+    });
+    var result = await bulk;
+
+    assert.deepStrictEqual(statuses(result.data), ["succeeded", "cancelled", "cancelled", "cancelled", "cancelled"]);
+    assert.strictEqual(result.data.items[1].error.code, webAccessConnector.errorCodes.cancelled);
+    assert.strictEqual(result.data.cancelled, 4);
+    assert.strictEqual(result.data.failed, 0);
+    assert.strictEqual(result.data.skipped, 0);
+    assert.strictEqual(result.data.stopped, true);
+});
+
+test("items finishing before their request returns do not deepen the stack", async function () {
+    var server = support.createServer({requireLogin: false});
+    var connector = support.createConnector(server, {transport: synchronousTransport(server)});
+    var items = [];
+    for (var i = 0; i < 5000; i++) {
+        items.push({key: "i" + (i % 5 + 1), attributeValues: {Status: "Status " + i}});
+    }
+
+    var result = await connector.record.bulkUpdate({className: "IM.Incident", items: items});
+
+    assert.strictEqual(result.data.succeeded, 5000);
+    assert.strictEqual(server.getRecord("i5").Status, "Status 4999");
+});
+
+test("bulkAction performs an action on each record", async function () {
+    var server = support.createServer({
+        actions: {
+            "IM.Incident": {
+                Close: function (record) {
+                    record.Status = "Closed";
+                }
+            }
+        }
+    });
+    var connector = support.createConnector(server);
+
+    var result = await connector.action.bulkAction({className: "IM.Incident", actionName: "Close", items: ["i1", "i2"]});
+
+    assert.strictEqual(result.data.succeeded, 2);
+    assert.strictEqual(server.getRecord("i1").Status, "Closed");
+    assert.strictEqual(server.getRecord("i2").Status, "Closed");
+});
+
+test("bulkAction takes the actionType however it is written", async function () {
+    var server = support.createServer({
+        actions: {
+            "IM.Incident": {
+                Escalate: function (record) {
+                    record.Urgent = true;
+                }
+            }
+        }
+    });
+    var connector = support.createConnector(server);
+
+    var result = await connector.action.bulkAction({
+        className: "IM.Incident", actionName: "Escalate", actionType: "Windowless", items: ["i1", "i3"]
+    });
+
+    assert.strictEqual(result.data.succeeded, 2);
+    assert.strictEqual(server.getRecord("i1").Urgent, true);
+    assert.strictEqual(server.getRecord("i3").Urgent, true);
+    assert.ok(server.requests.every(function (request) {
+        return !/\/object\/save\.rails$/.test(request.path);
+    }));
+});
+
+test("bulkAction with an unknown actionType fails through onError and the promise", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var errors = [];
+
+    var bulk = connector.action.bulkAction({
+        className: "IM.Incident", actionName: "Close", actionType: "sideways", items: ["i1"],
+        onError: function (error) {
+            errors.push(error);
+        }
+    });
+    assert.strictEqual(errors.length, 0);
+
+    await assert.rejects(bulk, function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.invalidRequestData);
+        assert.match(error.errorText, /sideways/);
+        return true;
+    });
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(server.requests.length, 0);
+});
@@ -0,0 +1,120 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var errorCodes = support.webAccessConnector.errorCodes;
+
+var countOpens = function (server, since) {
+    return support.requestPaths(server, since).filter(function (path) {
+        return path == "/object/open.rails";
+    }).length;
+};
+
+test("saving over a change made since the record was opened fails with a conflict", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: true});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    server.getRecord("i1").Status = "Closed";
+
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Status: "Resolved"}}), function (error) {
+        assert.strictEqual(error.code, errorCodes.conflict);
+        assert.strictEqual(error.currentValues.Status, "Closed");
+        assert.deepStrictEqual(error.diff, [{attribute: "Status", original: "Open", current: "Closed", mine: "Resolved", conflicting: true}]);
+        return true;
+    });
+    assert.strictEqual(server.getRecord("i1").Status, "Closed");
+});
+
+test("after a conflict has been reported, saving again saves over the change", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: true});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    server.getRecord("i1").Title = "Changed elsewhere";
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "Mine"}}));
+
+    await connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "Mine"}});
+    assert.strictEqual(server.getRecord("i1").Title, "Mine");
+});
+
+test("a change made after the conflict was reported is reported too", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: true});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    server.getRecord("i1").Title = "First change";
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "Mine"}}));
+    server.getRecord("i1").Title = "Second change";
+
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "Mine"}}), function (error) {
+        assert.strictEqual(error.diff[0].original, "First change");
+        return true;
+    });
+});
+
+test("an unchanged record saves, and is forgotten until it is opened again", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: true});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+    var since = server.requests.length;
+    await connector.record.updateRecord({className: "IM.Incident", key: "i2", attributeValues: {Title: "Saved"}});
+    assert.strictEqual(countOpens(server, since), 1);
+
+    since = server.requests.length;
+    server.getRecord("i2").Status = "Closed";
+    await connector.record.updateRecord({className: "IM.Incident", key: "i2", attributeValues: {Title: "Saved again"}});
+    assert.strictEqual(countOpens(server, since), 0);
+    assert.strictEqual(server.getRecord("i2").Title, "Saved again");
+});
+
+test("with a versionAttribute only that attribute is compared", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: {versionAttribute: "Priority"}});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i3"});
+    server.getRecord("i3").Title = "Changed, same version";
+    await connector.record.updateRecord({className: "IM.Incident", key: "i3", attributeValues: {Status: "Resolved"}});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i3"});
+    server.getRecord("i3").Priority = 9;
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i3", attributeValues: {Status: "Closed"}}), function (error) {
+        assert.strictEqual(error.code, errorCodes.conflict);
+        return true;
+    });
+});
+
+test("parameters.original is compared when the record was not opened by the connector", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: true});
+
+    await assert.rejects(connector.record.updateRecord({
+        className: "IM.Incident", key: "i4", original: {Title: "Old title"}, attributeValues: {Title: "New title"}
+    }), function (error) {
+        assert.strictEqual(error.code, errorCodes.conflict);
+        return true;
+    });
+
+    await connector.record.updateRecord({
+        className: "IM.Incident", key: "i4", original: {Title: "Incident 4"}, attributeValues: {Title: "New title"}
+    });
+    assert.strictEqual(server.getRecord("i4").Title, "New title");
+});
+
+test("no more than maxSnapshots opened records are remembered", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {checkConcurrency: {maxSnapshots: 2}});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+    await connector.record.openRecord({className: "IM.Incident", key: "i3"});
+    server.getRecord("i1").Title = "Changed";
+    server.getRecord("i3").Title = "Changed";
+
+    var since = server.requests.length;
+    await connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Status: "Closed"}});
+    assert.strictEqual(countOpens(server, since), 0);
+
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i3", attributeValues: {Status: "Closed"}}));
+});
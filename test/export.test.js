@@ -0,0 +1,138 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var stream = require("node:stream");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+var queryData = {class_name: "IM.Incident", attributes: "Title,Priority,Raised,Urgent"};
+
+test("CSV has a header row and a row for each record", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.exportResults({queryData: queryData, maxRecords: 2});
+    var content = Buffer.from(await result.data.content.arrayBuffer()).toString("utf8");
+
+    assert.strictEqual(result.data.contentType, "text/csv;charset=utf-8");
+    assert.strictEqual(result.data.rows, 2);
+    assert.strictEqual(content, "\ufeffTitle,Priority,Raised,Urgent\r\nIncident 1,5,2024-01-01 00:00:00,FALSE\r\nIncident 2,4,2024-01-02 00:00:00,TRUE\r\n");
+});
+
+test("CSV text that a spreadsheet would run as a formula is escaped", async function () {
+    var result = await new webAccessConnector({webAccessUrl: "http://fake/wd"}).query.exportResults({
+        objects: [{Title: "=HYPERLINK(\"x\")", Status: "a,\"b\""}], attributes: ["Title", "Status"], headers: "names", options: {bom: false}
+    });
+
+    assert.strictEqual(await result.data.content.text(), "Title,Status\r\n\"'=HYPERLINK(\"\"x\"\")\",\"a,\"\"b\"\"\"\r\n");
+});
+
+test("JSON Lines are written to a stream a page at a time", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var chunks = [];
+    var output = new stream.Writable({
+        write: function (chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+
+    var result = await connector.query.exportResults({format: "jsonl", queryData: queryData, stream: output});
+    var lines = chunks.join("").trim().split("\n").map(function (line) {
+        return JSON.parse(line);
+    });
+
+    assert.strictEqual(result.data.content, null);
+    assert.strictEqual(result.data.rows, 5);
+    assert.deepStrictEqual(lines[1], {Title: "Incident 2", Priority: 4, Raised: "2024-01-02 00:00:00", Urgent: true});
+    assert.strictEqual(output.writableEnded, true);
+});
+
+test("spreadsheetml writes an Excel 2003 XML Spreadsheet with typed cells", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.exportResults({format: "spreadsheetml", queryData: queryData, maxRecords: 1, options: {sheetName: "Open <incidents>"}});
+    var content = await result.data.content.text();
+
+    assert.strictEqual(result.data.contentType, "application/xml");
+    assert.strictEqual(result.data.extension, "xml");
+    assert.match(content, /^<\?xml version="1.0" encoding="UTF-8"\?>\r\n<\?mso-application progid="Excel.Sheet"\?>/);
+    assert.match(content, /<Worksheet ss:Name="Open &lt;incidents&gt;">/);
+    assert.match(content, /<Row><Cell><Data ss:Type="String">Incident 1<\/Data><\/Cell><Cell><Data ss:Type="Number">5<\/Data><\/Cell>/);
+    assert.match(content, /<Data ss:Type="DateTime">2024-01-01T00:00:00.000<\/Data>/);
+    assert.match(content, /<Data ss:Type="Boolean">0<\/Data>/);
+});
+
+test("an unknown format fails through onError and the promise", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var errors = [];
+
+    var exported = connector.query.exportResults({
+        format: "excel", queryData: queryData,
+        onError: function (error) {
+            errors.push(error);
+        }
+    });
+    assert.strictEqual(errors.length, 0);
+
+    await assert.rejects(exported, function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.invalidRequestData);
+        assert.match(error.errorText, /unknown export format "excel"/);
+        return true;
+    });
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(server.requests.length, 0);
+});
+
+test("loaded objects are sorted, filtered and cut to maxRecords", async function () {
+    var result = await new webAccessConnector({webAccessUrl: "http://fake/wd"}).query.exportResults({
+        objects: [{Title: "b"}, {Title: "a"}, {Title: "c"}], attributes: ["Title"], headers: "names", options: {bom: false},
+        sort: "Title", maxRecords: 1,
+        filter: function (values) {
+            return values.Title != "c";
+        }
+    });
+
+    assert.strictEqual(result.data.rows, 1);
+    assert.strictEqual(await result.data.content.text(), "Title\r\na\r\n");
+});
+
+test("a stream that fails part way rejects the export and stops writing to it", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var writes = 0;
+    var output = new stream.Writable({
+        highWaterMark: 1,
+        write: function (chunk, encoding, callback) {
+            writes++;
+            callback((writes == 2) ? new Error("disk full") : null);
+        }
+    });
+
+    await assert.rejects(connector.query.exportResults({format: "jsonl", queryData: queryData, stream: output}), function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.stream);
+        assert.match(error.errorText, /disk full/);
+        return true;
+    });
+    assert.strictEqual(writes, 2);
+    assert.strictEqual(output.listenerCount("drain"), 0);
+});
+
+test("a stream closed before the export finishes rejects it", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var output = new stream.Writable({
+        write: function (chunk, encoding, callback) {
+            callback();
+            output.destroy();
+        }
+    });
+
+    await assert.rejects(connector.query.exportResults({format: "jsonl", queryData: queryData, stream: output}), function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.stream);
+        assert.match(error.errorText, /closed before the export finished/);
+        return true;
+    });
+});
@@ -0,0 +1,88 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+test("a request without a session is refused and logs on on demand", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+
+    assert.strictEqual(result.data.attributes.Title, "Incident 1");
+    assert.strictEqual(result.loggedOn, true);
+    assert.deepStrictEqual(support.requestPaths(server), ["/object/open.rails", "/wd/Logon/Logon.rails", "/object/open.rails"]);
+});
+
+test("wrong credentials fail the command with authFailed", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {loginPass: "wrong"});
+
+    await assert.rejects(connector.record.openRecord({className: "IM.Incident", key: "i1"}), function (error) {
+        assert.strictEqual(error.code, support.webAccessConnector.errorCodes.authFailed);
+        return true;
+    });
+});
+
+test("records are created, updated, listed and deleted", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var created = await connector.record.createRecord({className: "IM.Note", attributeValues: {Text: "new", Incident: "i3"}});
+    var key = created.data.key;
+    assert.strictEqual(server.getRecord(key).Text, "new");
+
+    await connector.record.updateRecord({className: "IM.Note", key: key, attributeValues: {Text: "changed"}});
+    assert.strictEqual(server.getRecord(key).Text, "changed");
+
+    var listed = await connector.query.runQuery({queryData: {class_name: "IM.Note", attributes: "Text", cns: "Incident.Guid-e-0", c0: "i3"}});
+    assert.deepStrictEqual(listed.data.objects.map(function (object) {
+        return object.attributes.Text;
+    }), ["changed"]);
+
+    await connector.record.deleteRecord({className: "IM.Note", key: key});
+    assert.strictEqual(server.getRecord(key), null);
+
+    await assert.rejects(connector.record.openRecord({className: "IM.Note", key: key}), function (error) {
+        assert.strictEqual(error.code, support.webAccessConnector.errorCodes.notFound);
+        return true;
+    });
+});
+
+test("an expired session fires onSessionExpired and logs on again", async function () {
+    var server = support.createServer();
+    var expired = 0;
+    var connector = support.createConnector(server, {
+        onSessionExpired: function () {
+            expired++;
+        }
+    });
+
+    await connector.user.logOn();
+    server.expireSessions();
+    var result = await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+
+    assert.strictEqual(result.data.attributes.Title, "Incident 2");
+    assert.strictEqual(expired, 1);
+});
+
+test("the fake answers over HTTP for the node transport", async function () {
+    var server = support.createServer();
+    var httpServer = await new Promise(function (resolve) {
+        var listening = server.listen(0, function () {
+            resolve(listening);
+        });
+    });
+
+    try {
+        var connector = support.createConnector(server, {
+            webAccessUrl: "http://127.0.0.1:" + httpServer.address().port + "/wd",
+            transport: "node"
+        });
+
+        var result = await connector.record.openRecord({className: "IM.Incident", key: "i4"});
+        assert.strictEqual(result.data.attributes.Title, "Incident 4");
+        await connector.user.logOff();
+    } finally {
+        httpServer.close();
+    }
+});
@@ -0,0 +1,223 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var countQueries = function (server, className) {
+    return server.requests.filter(function (request) {
+        return (request.path.indexOf("/query/list.rails") > -1) && (request.data.class_name == className);
+    }).length;
+};
+
+test("getModules lists the modules", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.metadata.getModules();
+
+    assert.deepStrictEqual(result.data.modules.map(function (module) {
+        return module.name;
+    }), ["IM"]);
+});
+
+test("getObject and getAttributesForObject describe a class", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var object = await connector.metadata.getObject({className: "IM.Incident"});
+    var attributes = await connector.metadata.getAttributesForObject({objectGuid: object.data.guid});
+
+    assert.strictEqual(object.data.name, "Incident");
+    assert.deepStrictEqual(attributes.data.attributes.map(function (attribute) {
+        return attribute.name;
+    }).sort(), ["Guid", "Priority", "RaiseUser", "Raised", "Status", "Title", "Urgent"]);
+});
+
+test("metadata is loaded once and then served from the cache", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    await connector.user.logOn();
+    await Promise.all([connector.metadata.getModules(), connector.metadata.getModules()]);
+    var cached = await connector.metadata.getModules();
+
+    assert.strictEqual(countQueries(server, "Metadata.Module"), 1);
+    assert.strictEqual(cached.cached, true);
+
+    connector.metadataCache.invalidate("modules");
+    await connector.metadata.getModules();
+    assert.strictEqual(countQueries(server, "Metadata.Module"), 2);
+});
+
+test("callers sharing a load each get a result of their own", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var results = await Promise.all([connector.metadata.getModules(), connector.metadata.getModules()]);
+    assert.notStrictEqual(results[0], results[1]);
+    assert.notStrictEqual(results[0].data, results[1].data);
+
+    results[0].data.modules.length = 0;
+    results[1].data = null;
+    var cached = await connector.metadata.getModules();
+    assert.strictEqual(cached.data.modules.length, 1);
+});
+
+test("changing a cached result does not change the cache", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var first = await connector.metadata.getObject({className: "IM.Incident"});
+    first.data.name = "Changed";
+    var second = await connector.metadata.getObject({className: "IM.Incident"});
+
+    assert.strictEqual(second.data.name, "Incident");
+});
+
+test("concurrent validations sharing the metadata loads all succeed", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var results = await Promise.all([1, 2, 3].map(function (n) {
+        return connector.record.validate({className: "IM.Incident", attributeValues: {Title: "Valid " + n, Priority: n}});
+    }));
+
+    results.forEach(function (result) {
+        assert.deepStrictEqual(result.data, {valid: true});
+    });
+});
+
+test("bulkCreate validating items in parallel creates every valid one", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.record.bulkCreate({
+        className: "IM.Incident",
+        validate: true,
+        concurrency: 3,
+        items: [{attributeValues: {Title: "A"}}, {attributeValues: {Title: "B"}}, {attributeValues: {Title: "C", Priority: "high"}}]
+    });
+
+    assert.strictEqual(result.data.succeeded, 2);
+    assert.strictEqual(result.data.failed, 1);
+    assert.strictEqual(result.data.items[2].error.code, support.webAccessConnector.errorCodes.validation);
+    assert.strictEqual(server.getRecords("IM.Incident").length, 7);
+});
+
+test("the cache can be turned off", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {metadataCache: false});
+
+    await connector.user.logOn();
+    await connector.metadata.getModules();
+    await connector.metadata.getModules();
+
+    assert.strictEqual(countQueries(server, "Metadata.Module"), 2);
+});
+
+test("by default nothing is persisted and entries are kept until invalidated", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var defaults = support.webAccessConnector.metadataCacheDefaults;
+
+    assert.strictEqual(defaults.ttl, null);
+    assert.strictEqual(defaults.storage, null);
+
+    await connector.metadata.getObject({className: "IM.Incident"});
+    var cached = await connector.metadata.getObject({className: "IM.Incident"});
+    assert.strictEqual(cached.cached, true);
+
+    connector.metadataCache.clear();
+    var loaded = await connector.metadata.getObject({className: "IM.Incident"});
+    assert.strictEqual(loaded.cached, undefined);
+});
+
+test("with a ttl entries are loaded again once they expire", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {metadataCache: {ttl: 20}});
+
+    await connector.user.logOn();
+    await connector.metadata.getModules();
+    await connector.metadata.getModules();
+    assert.strictEqual(countQueries(server, "Metadata.Module"), 1);
+
+    await support.delay(30);
+    await connector.metadata.getModules();
+    assert.strictEqual(countQueries(server, "Metadata.Module"), 2);
+});
+
+test("a storage keeps entries for other connectors to the same server", async function () {
+    var server = support.createServer();
+    var entries = {};
+    var storage = {
+        get: function (key, callback) {
+            callback(entries[key] || null);
+        },
+        set: function (key, entry) {
+            entries[key] = JSON.parse(JSON.stringify(entry));
+        },
+        remove: function (key) {
+            delete entries[key];
+        },
+        clear: function () {
+            entries = {};
+        }
+    };
+    var first = support.createConnector(server, {metadataCache: {ttl: 60000, storage: storage}});
+    var second = support.createConnector(server, {metadataCache: {ttl: 60000, storage: storage}});
+
+    await first.user.logOn();
+    await first.metadata.getModules();
+    var stored = await second.metadata.getModules();
+
+    assert.deepStrictEqual(Object.keys(entries), ["webAccessConnector.metadata:http://fake/wd:modules"]);
+    assert.strictEqual(stored.cached, true);
+    assert.strictEqual(countQueries(server, "Metadata.Module"), 1);
+});
+
+test("getAttributesForObject describes inherited attributes by the class declaring them", async function () {
+    var fakeServer = support.fakeServer;
+    var server = new fakeServer({
+        users: [{name: "admin", password: "secret"}],
+        data: fakeServer.metadata({
+            CM: {
+                classes: {
+                    Item: {attributes: {Title: {isName: true}, Owner: {}}},
+                    Request: {superClass: "CM.Item", attributes: {Raised: {type: "DateTime"}}},
+                    Change: {superClass: "CM.Request", attributes: {Risk: {type: "Int32"}, Owner: {title: "Change owner"}}}
+                }
+            }
+        })
+    });
+    var connector = support.createConnector(server);
+    var defaults = support.webAccessConnector.metadataDefaults;
+    var saved = {pageSize: defaults.pageSize, inheritanceDepth: defaults.inheritanceDepth};
+
+    // small pages and a short reach per query, so both paging and following the chain are needed
+    defaults.pageSize = 2;
+    defaults.inheritanceDepth = 2;
+    try {
+        var object = await connector.metadata.getObject({className: "CM.Change"});
+        var since = server.requests.length;
+        var result = await connector.metadata.getAttributesForObject({objectGuid: object.data.guid});
+
+        var described = {};
+        result.data.attributes.forEach(function (attribute) {
+            described[attribute.name] = attribute.declaringClassName + (attribute.inherited ? " (inherited)" : "");
+        });
+        assert.deepStrictEqual(described, {
+            Guid: "CM.Item (inherited)", Title: "CM.Item (inherited)", Owner: "CM.Change",
+            Raised: "CM.Request (inherited)", Risk: "CM.Change"
+        });
+        assert.deepStrictEqual(result.data.levels.map(function (level) {
+            return level.className;
+        }), ["CM.Change", "CM.Request", "CM.Item"]);
+
+        // two queries reach the three classes, one query (of three pages) gets all their attributes
+        assert.deepStrictEqual(server.requests.slice(since).map(function (request) {
+            return request.data.class_name + " " + request.data.page;
+        }), ["Metadata.ClassType 1", "Metadata.ClassType 1", "Metadata.AttributeType 1", "Metadata.AttributeType 2", "Metadata.AttributeType 3"]);
+    } finally {
+        defaults.pageSize = saved.pageSize;
+        defaults.inheritanceDepth = saved.inheritanceDepth;
+    }
+});
@@ -0,0 +1,60 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("node:fs");
+var os = require("node:os");
+var path = require("node:path");
+var url = require("node:url");
+var support = require("./support.js");
+
+var source = path.join(__dirname, "..", "src");
+
+// answers every request with the same JSON
+var jsonTransport = function (webAccessConnector, data) {
+    return function (request, callback) {
+        var timer = setTimeout(function () {
+            callback(webAccessConnector.ajax.response(200, "OK", JSON.stringify(data), {"content-type": "application/json"}));
+        }, 0);
+        return function () {
+            clearTimeout(timer);
+        };
+    };
+};
+
+test("require() returns the connector", function () {
+    assert.strictEqual(typeof support.webAccessConnector, "function");
+    assert.strictEqual(typeof support.webAccessConnector.defer, "function");
+});
+
+test("the ES module entry point exports the same connector when loaded through CommonJS", async function () {
+    var loaded = await import(url.pathToFileURL(path.join(source, "webAccessConnector.mjs")).href);
+
+    assert.strictEqual(loaded.default, support.webAccessConnector);
+});
+
+test("the ES module entry point works where the library itself is loaded as an ES module, as in a browser", async function () {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), "webAccessConnector-"));
+
+    try {
+        // "type": "module" makes Node load the .js as an ES module: strict mode, no module.exports
+        fs.writeFileSync(path.join(directory, "package.json"), JSON.stringify({type: "module"}));
+        fs.copyFileSync(path.join(source, "webAccessConnector-1.1.js"), path.join(directory, "webAccessConnector-1.1.js"));
+        fs.copyFileSync(path.join(source, "webAccessConnector.mjs"), path.join(directory, "webAccessConnector.mjs"));
+
+        var loaded = await import(url.pathToFileURL(path.join(directory, "webAccessConnector.mjs")).href);
+        var webAccessConnector = loaded.default;
+
+        assert.strictEqual(typeof webAccessConnector, "function");
+        assert.notStrictEqual(webAccessConnector, support.webAccessConnector);
+
+        var connector = new webAccessConnector({
+            webAccessUrl: "http://fake/wd",
+            transport: jsonTransport(webAccessConnector, {class_name: "IM.Incident", key: "i1", attributes: {Title: "Loaded"}})
+        });
+        var result = await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+
+        assert.strictEqual(result.data.attributes.Title, "Loaded");
+    } finally {
+        delete globalThis.webAccessConnector;
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+});
@@ -0,0 +1,105 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+// opens i1, anything else is missing
+var incidentServer = function (options) {
+    return support.stubServer({
+        "/object/open.rails": function (data) {
+            if (data.key == "i1") {
+                return {status: 200, body: {class_name: "IM.Incident", key: "i1", name: "Incident 1", attributes: {Title: "Incident 1"}}};
+            }
+            return {status: 404, body: {message: "Not found"}};
+        }
+    }, options);
+};
+
+var unhandledRejections = function (run) {
+    var rejections = [];
+    var listener = function (reason) {
+        rejections.push(reason);
+    };
+
+    process.on("unhandledRejection", listener);
+    return run().then(function () {
+        // unhandled rejections are reported once the microtask queue has drained
+        return support.delay(20);
+    }).then(function () {
+        process.removeListener("unhandledRejection", listener);
+        return rejections;
+    });
+};
+
+test("commands resolve and call onLoad with the same result", async function () {
+    var connector = support.createConnector(incidentServer());
+    var loaded = null;
+
+    var result = await connector.record.openRecord({
+        className: "IM.Incident", key: "i1", onLoad: function (result) {
+            loaded = result;
+        }
+    });
+
+    assert.strictEqual(result, loaded);
+    assert.strictEqual(result.data.name, "Incident 1");
+});
+
+test("commands reject and call onError with the same webAccessError", async function () {
+    var connector = support.createConnector(incidentServer());
+    var failed = null;
+
+    await assert.rejects(connector.record.openRecord({
+        className: "IM.Incident", key: "missing", onError: function (error) {
+            failed = error;
+        }
+    }), function (error) {
+        assert.strictEqual(error, failed);
+        assert.strictEqual(error.statusCode, 404);
+        assert.strictEqual(error.errorText, "Not found");
+        assert.ok(error instanceof support.webAccessConnector.webAccessError);
+        return true;
+    });
+});
+
+test("a failing command given only onLoad does not leave an unhandled rejection", async function () {
+    var connector = support.createConnector(incidentServer());
+
+    var rejections = await unhandledRejections(function () {
+        connector.record.openRecord({
+            className: "IM.Incident", key: "missing", onLoad: function () {
+            }
+        });
+        return support.delay(20);
+    });
+
+    assert.deepStrictEqual(rejections, []);
+});
+
+test("a failing command given only onError does not leave an unhandled rejection", async function () {
+    var connector = support.createConnector(incidentServer());
+    var failed = false;
+
+    var rejections = await unhandledRejections(function () {
+        connector.record.openRecord({
+            className: "IM.Incident", key: "missing", onError: function () {
+                failed = true;
+            }
+        });
+        return support.delay(20);
+    });
+
+    assert.strictEqual(failed, true);
+    assert.deepStrictEqual(rejections, []);
+});
+
+test("cancel() rejects as cancelled", async function () {
+    var connector = support.createConnector(incidentServer({latency: 50}));
+
+    var promise = connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    promise.cancel();
+
+    await assert.rejects(promise, function (error) {
+        assert.strictEqual(error.code, support.webAccessConnector.errorCodes.cancelled);
+        return true;
+    });
+});
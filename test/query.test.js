@@ -0,0 +1,239 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+var titles = function (objects) {
+    return objects.map(function (object) {
+        return object.attributes.Title;
+    });
+};
+
+// five incidents, two to a page unless the query sets page_size; other classes fail
+var incidentServer = function (options) {
+    var objects = [];
+    for (var i = 1; i <= 5; i++) {
+        objects.push({value: "i" + i, name: "Incident " + i, attributes: {Title: "Incident " + i}});
+    }
+
+    return support.stubServer({
+        "/query/list.rails": function (data) {
+            if (data.class_name != "IM.Incident") {
+                return {status: 500, body: {message: "Unknown class " + data.class_name}};
+            }
+            if (data.query == "Urgent") {
+                return {status: 200, body: {pageCount: 1, objectCount: 0, objects: [objects[1], objects[3]]}};
+            }
+
+            var pageSize = parseInt(data.page_size, 10) || 2;
+            var page = parseInt(data.page, 10) || 1;
+            var pageCount = Math.ceil(objects.length / pageSize);
+            return {
+                status: 200,
+                body: {pageCount: pageCount, objectCount: (pageCount == 1) ? 0 : objects.length, objects: objects.slice((page - 1) * pageSize, page * pageSize)}
+            };
+        }
+    }, options);
+};
+
+test("runQuery returns one page", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.runQuery({queryData: {class_name: "IM.Incident", attributes: "Title", page_size: 2, page: 2}});
+
+    assert.deepStrictEqual(titles(result.data.objects), ["Incident 3", "Incident 4"]);
+    assert.strictEqual(result.data.pageCount, 3);
+});
+
+test("runConsoleQuery runs a saved query by name", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.runConsoleQuery({className: "IM.Incident", queryName: "Urgent"});
+
+    assert.deepStrictEqual(result.data.objects.map(function (object) {
+        return object.value;
+    }), ["i2", "i4"]);
+});
+
+test("runAll loads every page, reporting each one", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+    var pageNumbers = [];
+
+    var result = await connector.query.runAll({
+        queryData: {class_name: "IM.Incident", attributes: "Title"},
+        concurrency: 2,
+        onPage: function (page, pageNumber, pageCount) {
+            pageNumbers.push(pageNumber + "/" + pageCount);
+        }
+    });
+
+    assert.deepStrictEqual(titles(result.data.objects), ["Incident 1", "Incident 2", "Incident 3", "Incident 4", "Incident 5"]);
+    assert.deepStrictEqual(pageNumbers, ["1/3", "2/3", "3/3"]);
+});
+
+test("runAll stops at maxRecords", async function () {
+    var server = incidentServer({requireLogin: false});
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.runAll({queryData: {class_name: "IM.Incident", attributes: "Title"}, maxRecords: 3});
+
+    assert.deepStrictEqual(titles(result.data.objects), ["Incident 1", "Incident 2", "Incident 3"]);
+    assert.strictEqual(support.requestPaths(server).filter(function (path) {
+        return path == "/query/list.rails";
+    }).length, 2);
+});
+
+test("runAll fails with the first page that fails", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+
+    await assert.rejects(connector.query.runAll({queryData: {class_name: "IM.Missing"}}), function (error) {
+        assert.strictEqual(error.statusCode, 500);
+        return true;
+    });
+});
+
+test("pages can be iterated with for await", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+    var pages = [];
+
+    for await (var page of connector.query.pages({queryData: {class_name: "IM.Incident", attributes: "Title"}})) {
+        pages.push(titles(page.data.objects));
+    }
+
+    assert.deepStrictEqual(pages, [["Incident 1", "Incident 2"], ["Incident 3", "Incident 4"], ["Incident 5"]]);
+});
+
+test("breaking out of for await stops loading pages", async function () {
+    var server = incidentServer({requireLogin: false});
+    var connector = support.createConnector(server);
+
+    for await (var page of connector.query.pages({queryData: {class_name: "IM.Incident", attributes: "Title"}})) {
+        assert.strictEqual(page.data.objects.length, 2);
+        break;
+    }
+    await support.delay(20);
+
+    // the read ahead of the second page is cancelled before it is sent
+    assert.strictEqual(support.requestPaths(server).filter(function (path) {
+        return path == "/query/list.rails";
+    }).length, 1);
+});
+
+test("calls to next() made together get the pages in order", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+    var iterator = connector.query.pages({queryData: {class_name: "IM.Incident", attributes: "Title"}, concurrency: 3});
+
+    var results = await Promise.all([iterator.next(), iterator.next(), iterator.next(), iterator.next()]);
+
+    assert.deepStrictEqual(results.map(function (result) {
+        return (result.done) ? "done" : titles(result.value.data.objects)[0];
+    }), ["Incident 1", "Incident 3", "Incident 5", "done"]);
+});
+
+test("pages work through callbacks where there is no Promise", function (t, done) {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+    var iterator = connector.query.pages({queryData: {class_name: "IM.Incident", attributes: "Title"}});
+    var SavedPromise = Promise;
+    var returned;
+
+    globalThis.Promise = undefined;
+    try {
+        returned = iterator.next({
+            onLoad: function (result) {
+                assert.deepStrictEqual(titles(result.value.data.objects), ["Incident 1", "Incident 2"]);
+                assert.strictEqual(result.done, false);
+                done();
+            },
+            onError: done
+        });
+    } finally {
+        globalThis.Promise = SavedPromise;
+    }
+
+    assert.strictEqual(typeof returned.then, "undefined");
+    assert.strictEqual(typeof returned.cancel, "function");
+});
+
+test("a queryBuilder compiles its criteria to cns and c0..cN", function () {
+    var builder = new webAccessConnector.queryBuilder("IM.Incident")
+        .select(["Title", "Priority"])
+        .pageSize(10)
+        .like("Title", "%disk%")
+        .and(function (group) {
+            group.greaterOrEqual("Priority", 3).or().isNull("RaiseUser");
+        });
+
+    assert.deepStrictEqual(builder.toQueryData(), {
+        class_name: "IM.Incident", attributes: "Title,Priority", page_size: 10,
+        cns: "Title-l-0_a_(Priority-ge-1_o_RaiseUser-n)", c0: "%disk%", c1: 3
+    });
+});
+
+test("queryData decompiles into a builder that compiles back the same", function () {
+    var queryData = {
+        class_name: "IM.Incident", attributes: "Title", sort_by: "Title",
+        cns: "(Status-e-0_o_Status-e-1)_a_Urgent-e-2_a_Raised-nn", c0: "Open", c1: "", c2: "True"
+    };
+
+    var builder = webAccessConnector.queryBuilder.fromQueryData(queryData);
+
+    assert.deepStrictEqual(builder.toQueryData(), queryData);
+    assert.strictEqual(builder.getCriteria()[0].group[1].value, "");
+});
+
+test("a queryBuilder runs as queryData", async function () {
+    var sent = null;
+    var server = support.stubServer({
+        "/query/list.rails": function (data) {
+            sent = data;
+            return {status: 200, body: {pageCount: 1, objectCount: 0, objects: []}};
+        }
+    });
+    var connector = support.createConnector(server);
+    var builder = new webAccessConnector.queryBuilder("IM.Incident")
+        .select(["Title"])
+        .greaterThan("Priority", 2)
+        .and()
+        .equals("Urgent", true);
+
+    await connector.query.runQuery({queryData: builder});
+
+    assert.deepStrictEqual(sent, {class_name: "IM.Incident", attributes: "Title", cns: "Priority-gt-0_a_Urgent-e-1", c0: "2", c1: "true"});
+});
+
+test("sort and filter run over every page, by the attributes' types", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.runQuery({
+        queryData: {class_name: "IM.Incident", attributes: "Title,Priority,Urgent"},
+        sort: ["-Urgent", "Priority"],
+        filter: function (attributes) {
+            return attributes.Title != "Incident 5";
+        }
+    });
+
+    assert.deepStrictEqual(titles(result.data.objects), ["Incident 4", "Incident 2", "Incident 3", "Incident 1"]);
+    assert.strictEqual(result.data.objectCount, 4);
+});
+
+test("with sort, page and page_size pick a page of the sorted result", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.query.runQuery({
+        queryData: {class_name: "IM.Incident", attributes: "Title,Priority", page_size: 2, page: 2},
+        sort: "Priority"
+    });
+
+    assert.deepStrictEqual(titles(result.data.objects), ["Incident 3", "Incident 2"]);
+    assert.strictEqual(result.data.pageCount, 3);
+});
@@ -0,0 +1,114 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+test("parseQueryUrl reads a Web Access list Url, keeping criteria values as text", function () {
+    var parsed = webAccessConnector.parseQueryUrl("http://desk.example.com/wd/query/list.rails?class_name=IM.Incident" +
+        "&attributes=Id,Title&page_size=25&cns=Id-e-0_a_Title-l-1&c0=00123&c1=%25disk%25");
+
+    assert.deepStrictEqual(parsed, {
+        webAccessUrl: "http://desk.example.com/wd",
+        queryData: {class_name: "IM.Incident", attributes: "Id,Title", page_size: 25, cns: "Id-e-0_a_Title-l-1", c0: "00123", c1: "%disk%"}
+    });
+});
+
+test("parseQueryUrl keeps criteria values that are 0 or empty", function () {
+    var parsed = webAccessConnector.parseQueryUrl("/wd/query/list.rails?class_name=IM.Incident&cns=Priority-e-0_a_Title-e-1_a_Status-e-2&c0=0&c1=&c2=Open");
+
+    assert.strictEqual(parsed.webAccessUrl, "/wd");
+    assert.strictEqual(parsed.queryData.c0, "0");
+    assert.strictEqual(parsed.queryData.c1, "");
+    assert.strictEqual(parsed.queryData.c2, "Open");
+});
+
+test("parseQueryUrl only extracts the query design parameters", function () {
+    var parsed = webAccessConnector.parseQueryUrl("/wd/query/list.rails?class_name=IM.Incident&query=Open&attributes=Title" +
+        "&page=3&_=1712345&view=grid&cns=Title-l-0&c0=disk&c5=unused");
+
+    assert.deepStrictEqual(parsed.queryData, {class_name: "IM.Incident", attributes: "Title", cns: "Title-l-0", c0: "disk"});
+    assert.deepStrictEqual(webAccessConnector.parseQueryUrl("/wd/query/list.rails?class_name=IM.Incident&query=Open").queryData,
+        {class_name: "IM.Incident", query: "Open"});
+});
+
+test("parseQueryUrl returns undefined for a Url it can't use", function () {
+    assert.strictEqual(webAccessConnector.parseQueryUrl(""), undefined);
+    assert.strictEqual(webAccessConnector.parseQueryUrl("/wd/query/list.rails?attributes=Title"), undefined);
+    assert.strictEqual(webAccessConnector.parseQueryUrl("/wd/query/list.rails?class_name=IM.Incident&c0=%E0%A4%A"), undefined);
+});
+
+test("parseQueryUrlStrict says why a Url can't be used", function () {
+    var codes = webAccessConnector.queryUrlErrorCodes;
+    var expectCode = function (queryString, code) {
+        assert.throws(function () {
+            webAccessConnector.parseQueryUrlStrict(queryString);
+        }, function (error) {
+            assert.strictEqual(error.name, "QueryUrlError");
+            assert.strictEqual(error.code, code);
+            assert.strictEqual(error.queryString, queryString);
+            return true;
+        });
+    };
+
+    expectCode("", codes.empty);
+    expectCode("/wd/query/list.rails?class_name=IM.Incident&c0=%E0%A4%A", codes.invalidEncoding);
+    expectCode("/wd/query/list.rails?class_name=&attributes=Title", codes.missingClassName);
+    expectCode("/wd/query/list.rails?class_name=IM.Incident&page_size=0", codes.invalidPageSize);
+    expectCode("/wd/query/list.rails?class_name=IM.Incident&page_size=ten", codes.invalidPageSize);
+    expectCode("/wd/query/list.rails?class_name=IM.Incident&cns=Title-e-0_a_Status-e-1&c0=x", codes.missingCriteriaValue);
+});
+
+test("buildQueryUrl and parseQueryUrl are inverses", function () {
+    var webAccessUrl = "https://desk.example.com/wd";
+    var queryData = {
+        class_name: "IM.Incident", attributes: "Title,Status.Name", page_size: 50,
+        sort_by: "Title", cns: "Title-l-0_o_(Status-e-1_a_Priority-e-2)", c0: "a&b=c", c1: "", c2: "0"
+    };
+
+    var url = webAccessConnector.buildQueryUrl(queryData, webAccessUrl);
+    assert.deepStrictEqual(webAccessConnector.parseQueryUrl(url), {webAccessUrl: webAccessUrl, queryData: queryData});
+
+    var parsed = webAccessConnector.parseQueryUrl(url);
+    assert.strictEqual(webAccessConnector.buildQueryUrl(parsed.queryData, parsed.webAccessUrl), url);
+});
+
+test("a Url built without a webAccessUrl parses back the same way", function () {
+    var url = webAccessConnector.buildQueryUrl({class_name: "IM.Incident", page_size: 5});
+
+    assert.strictEqual(url, "/query/list.rails?class_name=IM.Incident&page_size=5");
+    assert.deepStrictEqual(webAccessConnector.parseQueryUrl(url), {webAccessUrl: "", queryData: {class_name: "IM.Incident", page_size: 5}});
+    assert.strictEqual(webAccessConnector.buildQueryUrl(webAccessConnector.parseQueryUrl(url).queryData, ""), url);
+});
+
+test("buildQueryUrl takes a queryBuilder, and a parsed Url decompiles into one", function () {
+    var builder = new webAccessConnector.queryBuilder("IM.Incident")
+        .select(["Title"])
+        .equals("Status", "Open")
+        .or(function (group) {
+            group.greaterThan("Priority", 3).and().isNull("RaiseUser");
+        });
+
+    var url = webAccessConnector.buildQueryUrl(builder, "http://desk/wd");
+    var parsed = webAccessConnector.parseQueryUrl(url);
+    var rebuilt = webAccessConnector.queryBuilder.fromQueryData(parsed.queryData);
+
+    assert.strictEqual(webAccessConnector.buildQueryUrl(rebuilt, parsed.webAccessUrl), url);
+});
+
+test("a parsed Url runs against the server", async function () {
+    var sent = null;
+    var server = support.stubServer({
+        "/query/list.rails": function (data) {
+            sent = data;
+            return {status: 200, body: {pageCount: 1, objectCount: 1, objects: [{key: "i2", attributes: {Title: "Incident 2"}}]}};
+        }
+    });
+    var connector = support.createConnector(server);
+    var parsed = webAccessConnector.parseQueryUrl("http://fake/wd/query/list.rails?class_name=IM.Incident&attributes=Title&page_size=10&cns=Urgent-e-0&c0=True");
+
+    var result = await connector.query.runQuery({queryData: parsed.queryData});
+
+    assert.deepStrictEqual(sent, {class_name: "IM.Incident", attributes: "Title", page_size: "10", cns: "Urgent-e-0", c0: "True"});
+    assert.strictEqual(result.data.objects[0].attributes.Title, "Incident 2");
+});
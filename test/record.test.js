@@ -0,0 +1,196 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+var errorCodes = webAccessConnector.errorCodes;
+
+var savedData = function (server) {
+    var saves = server.requests.filter(function (request) {
+        return request.path.indexOf("/object/save.rails") > -1;
+    });
+    return saves[saves.length - 1].data;
+};
+
+// Records
+
+test("records can be created, opened, updated and deleted", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var created = await connector.record.createRecord({className: "IM.Incident", attributeValues: {Title: "Printer on fire", Priority: 1}});
+    var key = created.data.key;
+    await connector.record.updateRecord({className: "IM.Incident", key: key, attributeValues: {Status: "Resolved"}});
+    var opened = await connector.record.openRecord({className: "IM.Incident", key: key});
+
+    assert.strictEqual(opened.data.attributes.Title, "Printer on fire");
+    assert.strictEqual(opened.data.attributes.Status, "Resolved");
+
+    await connector.record.deleteRecord({className: "IM.Incident", key: key});
+    assert.strictEqual(server.getRecord(key), null);
+});
+
+// Validation
+
+test("validate reports every attribute that is wrong", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    await assert.rejects(connector.record.validate({
+        className: "IM.Incident", attributeValues: {Title: "Fine", Priority: "high", Urgent: "maybe", Colour: "red", Raised: "yesterday"}
+    }), function (error) {
+        assert.strictEqual(error.code, errorCodes.validation);
+        assert.deepStrictEqual(error.fieldErrors.map(function (fieldError) {
+            return fieldError.attribute + " " + fieldError.code;
+        }).sort(), ["Colour unknownAttribute", "Priority invalidType", "Raised invalidType", "Urgent invalidType"]);
+        return true;
+    });
+});
+
+test("a save with validate sends nothing when the values are wrong", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {validate: true});
+
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Priority: "high"}}), function (error) {
+        assert.strictEqual(error.code, errorCodes.validation);
+        return true;
+    });
+    await connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Priority: "high"}, validate: false});
+
+    assert.strictEqual(support.requestPaths(server).filter(function (path) {
+        return path == "/object/save.rails";
+    }).length, 1);
+});
+
+test("actions validate their values too", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {validate: true});
+
+    await assert.rejects(connector.action.updateAction({className: "IM.Incident", key: "i1", actionName: "Resolve", attributeValues: {Urgent: 3}}), function (error) {
+        assert.strictEqual(error.fieldErrors[0].attribute, "Urgent");
+        return true;
+    });
+});
+
+// Typed values
+
+test("convertValues gives typed values for records and query results", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {convertValues: true});
+
+    var record = await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+    var query = await connector.query.runQuery({queryData: {class_name: "IM.Incident", attributes: "Priority,Raised,Urgent,RaiseUser.Name", page_size: 1}});
+    var attributes = record.data.attributes;
+
+    assert.strictEqual(attributes.Priority, 4);
+    assert.strictEqual(attributes.Urgent, true);
+    assert.deepStrictEqual(attributes.Raised, new Date(Date.UTC(2024, 0, 2)));
+    assert.ok(attributes.RaiseUser instanceof webAccessConnector.reference);
+    assert.deepStrictEqual([attributes.RaiseUser.key, attributes.RaiseUser.className], ["u3", "IM.User"]);
+    assert.strictEqual(attributes.Title, "Incident 2");
+    assert.deepStrictEqual(query.data.objects[0].attributes, {Priority: 5, Raised: new Date(Date.UTC(2024, 0, 1)), Urgent: false, "RaiseUser.Name": "User 2"});
+});
+
+test("typed values are saved the way Web Access reads them", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {convertValues: true});
+
+    await connector.record.updateRecord({
+        className: "IM.Incident", key: "i1",
+        attributeValues: {Raised: new Date(Date.UTC(2024, 5, 1, 12, 30)), Urgent: true, RaiseUser: new webAccessConnector.reference("u1", "IM.User"), Status: null}
+    });
+
+    var data = savedData(server);
+    assert.strictEqual(data.Raised, "2024-06-01T12:30:00");
+    assert.strictEqual(data.Urgent, "True");
+    assert.strictEqual(data.RaiseUser, "u1");
+    assert.strictEqual(data.Status, "");
+});
+
+test("convertValues can be turned on for one command", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var plain = await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    var typed = await connector.record.openRecord({className: "IM.Incident", key: "i1", convertValues: {timeZone: "utc"}});
+
+    assert.strictEqual(plain.data.attributes.Priority, "5");
+    assert.strictEqual(typed.data.attributes.Priority, 5);
+});
+
+// Record models
+
+test("a model saves only the attributes that changed", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var incident = (await connector.record.openRecord({className: "IM.Incident", key: "i1", model: true})).data;
+    assert.ok(incident instanceof webAccessConnector.recordModel);
+    assert.strictEqual(incident.Title, "Incident 1");
+    assert.strictEqual(incident.isDirty(), false);
+
+    incident.Title = "Printer on fire";
+    incident.set("Status", "Open");
+    assert.deepStrictEqual(incident.getChanges(), {Title: "Printer on fire"});
+
+    var result = await incident.save();
+    assert.strictEqual(result.data, incident);
+    assert.strictEqual(savedData(server).Title, "Printer on fire");
+    assert.strictEqual(savedData(server).hasOwnProperty("Status"), false);
+    assert.strictEqual(incident.isDirty(), false);
+
+    var since = server.requests.length;
+    await incident.save();
+    assert.strictEqual(server.requests.length, since);
+});
+
+test("a model can be reverted, reloaded and deleted", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var incident = (await connector.record.openRecord({className: "IM.Incident", key: "i3", model: true})).data;
+
+    incident.Title = "Changed";
+    incident.revert();
+    assert.strictEqual(incident.Title, "Incident 3");
+
+    server.getRecord("i3").Status = "Closed";
+    await incident.reload();
+    assert.strictEqual(incident.Status, "Closed");
+
+    await incident["delete"]();
+    assert.strictEqual(server.getRecord("i3"), null);
+});
+
+test("a new model is created by its first save", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var incident = new webAccessConnector.recordModel(connector, "IM.Incident", null, null);
+
+    incident.set({Title: "New", Priority: 2});
+    assert.strictEqual(incident.isNew(), true);
+    await incident.save();
+
+    assert.strictEqual(incident.isNew(), false);
+    assert.strictEqual(server.getRecord(incident.key).Title, "New");
+});
+
+test("invoking an update action on a model saves its changes with it", async function () {
+    var server = support.createServer({
+        actions: {
+            "IM.Incident": {
+                Resolve: function (record) {
+                    record.Status = "Resolved";
+                }
+            }
+        }
+    });
+    var connector = support.createConnector(server);
+    var incident = (await connector.record.openRecord({className: "IM.Incident", key: "i1", model: true})).data;
+
+    incident.Title = "Fixed";
+    await incident.invoke("Resolve");
+
+    assert.strictEqual(server.getRecord("i1").Title, "Fixed");
+    assert.strictEqual(incident.Status, "Resolved");
+    assert.strictEqual(incident.isDirty(), false);
+});
@@ -0,0 +1,88 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var queriesOf = function (server, className, since) {
+    return server.requests.slice(since || 0).filter(function (request) {
+        return (request.path.indexOf("/query/list.rails") > -1) && (request.data.class_name == className);
+    }).length;
+};
+
+test("openReference opens the record a reference attribute points to", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.related.openReference({className: "IM.Incident", key: "i1", attribute: "RaiseUser"});
+
+    assert.strictEqual(result.data.key, "u2");
+    assert.strictEqual(result.data.attributes.Name, "User 2");
+});
+
+test("openReference uses values already loaded and gives null for an empty reference", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server, {convertValues: true});
+    var incident = await connector.record.openRecord({className: "IM.Incident", key: "i2", model: true});
+    var since = server.requests.length;
+
+    var user = await connector.related.openReference({className: "IM.Incident", key: "i2", attribute: "RaiseUser", attributeValues: incident.data.getAttributes()});
+    var empty = await connector.related.openReference({className: "IM.Incident", key: "i2", attribute: "RaiseUser", attributeValues: {RaiseUser: null}});
+
+    assert.strictEqual(user.data.attributes.Email, "user3@example.com");
+    assert.deepStrictEqual(support.requestPaths(server, since).filter(function (path) {
+        return path == "/object/open.rails";
+    }), ["/object/open.rails"]);
+    assert.strictEqual(empty.data, null);
+});
+
+test("getCollection loads every record of a collection", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.related.getCollection({className: "IM.Incident", key: "i1", collectionClassName: "IM.Note", attributes: ["Text"], pageSize: 1});
+
+    assert.deepStrictEqual(result.data.objects.map(function (object) {
+        return object.value;
+    }), ["n1", "n2"]);
+});
+
+test("loadReferences loads each referenced record once, in batches", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+    var incidents = await connector.query.runAll({queryData: {class_name: "IM.Incident", attributes: "Title,RaiseUser"}});
+    var since = server.requests.length;
+
+    var result = await connector.related.loadReferences({
+        className: "IM.Incident", objects: incidents.data.objects, attributes: ["RaiseUser"], select: {RaiseUser: ["Name"]}, batchSize: 2
+    });
+
+    var users = result.data.references.RaiseUser;
+    assert.deepStrictEqual(Object.keys(users).sort(), ["u1", "u2", "u3"]);
+    assert.strictEqual(users.u3.attributes.Name, "User 3");
+    assert.strictEqual(result.data.classes["IM.User"].u1, users.u1);
+    assert.strictEqual(queriesOf(server, "IM.User", since), 2);
+});
+
+test("a reference that no longer loads is null", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.related.loadReferences({
+        className: "IM.Incident", objects: [{RaiseUser: "u1"}, {RaiseUser: "gone"}], attributes: ["RaiseUser"]
+    });
+
+    assert.strictEqual(result.data.references.RaiseUser.u1.name, "User 1");
+    assert.strictEqual(result.data.references.RaiseUser.gone, null);
+    assert.strictEqual(queriesOf(server, "IM.User"), 1);
+});
+
+test("loadReferences skips null entries", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    var result = await connector.related.loadReferences({
+        className: "IM.Incident", objects: [null, {RaiseUser: "u1"}], attributes: ["RaiseUser"]
+    });
+
+    assert.deepStrictEqual(Object.keys(result.data.references.RaiseUser), ["u1"]);
+    assert.strictEqual(result.data.references.RaiseUser.u1.name, "User 1");
+});
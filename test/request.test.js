@@ -0,0 +1,341 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+var errorCodes = webAccessConnector.errorCodes;
+
+// the server's transport, answering the first requests to a path with the given status instead
+var failingFirst = function (server, path, failures, status) {
+    var failed = 0;
+    return function (request, callback) {
+        if ((request.url.indexOf(path) == -1) || (failed >= failures)) {
+            return server.transport(request, callback);
+        }
+        failed++;
+        var timer = setTimeout(function () {
+            callback(webAccessConnector.ajax.response(status, "Service Unavailable", "Try later"));
+        }, 0);
+        return function () {
+            clearTimeout(timer);
+        };
+    };
+};
+
+var countPath = function (server, path) {
+    return support.requestPaths(server).filter(function (requestPath) {
+        return requestPath == path;
+    }).length;
+};
+
+// lists and opens one incident and saves titles
+var incidentServer = function (options) {
+    var saved = [];
+    var server = support.stubServer({
+        "/query/list.rails": function () {
+            return {status: 200, body: {pageCount: 1, objectCount: 1, objects: [{key: "i1", attributes: {Title: "Incident 1"}}]}};
+        },
+        "/object/open.rails": function (data) {
+            return {status: 200, body: {class_name: "IM.Incident", key: data.key, attributes: {Title: "Incident 1"}}};
+        },
+        "/object/save.rails": function (data) {
+            saved.push(data.Title);
+            return {status: 200, body: {class_name: "IM.Incident", key: data.key, attributes: {Title: data.Title}}};
+        }
+    }, options);
+    server.saved = saved;
+    return server;
+};
+
+// Retry
+
+test("a query failing with a transient status is retried", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {
+        transport: failingFirst(server, "/query/list.rails", 2, 503),
+        retry: {baseDelay: 1}
+    });
+    await connector.user.logOn();
+
+    var result = await connector.query.runQuery({queryData: {class_name: "IM.Incident", attributes: "Title", page_size: 1}});
+
+    assert.strictEqual(result.data.objects[0].attributes.Title, "Incident 1");
+    assert.strictEqual(countPath(server, "/query/list.rails"), 1);
+});
+
+test("retrying gives up after maxAttempts", async function () {
+    var server = incidentServer();
+    var attempts = 0;
+    var transport = failingFirst(server, "/query/list.rails", 10, 503);
+    var connector = support.createConnector(server, {
+        transport: function (request, callback) {
+            if (request.url.indexOf("/query/list.rails") > -1) {
+                attempts++;
+            }
+            return transport(request, callback);
+        },
+        retry: {baseDelay: 1, maxAttempts: 2}
+    });
+    await connector.user.logOn();
+
+    await assert.rejects(connector.query.runQuery({queryData: {class_name: "IM.Incident"}}), function (error) {
+        assert.strictEqual(error.statusCode, 503);
+        return true;
+    });
+    assert.strictEqual(attempts, 2);
+});
+
+test("saves are not retried unless their command path is in the policy", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {
+        transport: failingFirst(server, "/object/save.rails", 1, 503),
+        retry: {baseDelay: 1}
+    });
+    await connector.user.logOn();
+
+    await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "Once"}}));
+    assert.deepStrictEqual(server.saved, []);
+
+    var retrying = support.createConnector(server, {
+        transport: failingFirst(server, "/object/save.rails", 1, 503),
+        retry: {baseDelay: 1, commandPaths: ["/object/save.rails"]}
+    });
+    await retrying.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "Twice"}});
+    assert.deepStrictEqual(server.saved, ["Twice"]);
+});
+
+test("retry delays back off exponentially, with jitter, up to maxDelay", function () {
+    var policy = webAccessConnector.getRetryPolicy({baseDelay: 100, maxDelay: 300});
+
+    assert.strictEqual(webAccessConnector.getRetryPolicy(false), null);
+    assert.strictEqual(webAccessConnector.getRetryPolicy(true).maxAttempts, webAccessConnector.retryDefaults.maxAttempts);
+    [[0, 100], [1, 200], [2, 300], [5, 300]].forEach(function (expected) {
+        var delay = webAccessConnector.retryDelay(policy, expected[0]);
+        assert.ok((delay >= expected[1] / 2) && (delay <= expected[1]), delay + " for " + expected[0] + " retries");
+    });
+});
+
+// Timeouts and cancelling
+
+test("a request taking longer than the timeout fails as timed out", async function () {
+    var connector = support.createConnector(incidentServer({latency: 50}));
+
+    await assert.rejects(connector.record.openRecord({className: "IM.Incident", key: "i1", timeout: 10}), function (error) {
+        assert.strictEqual(error.code, errorCodes.timeout);
+        assert.strictEqual(error.timedOut, true);
+        return true;
+    });
+});
+
+test("connectionInfo.timeout applies to every command", async function () {
+    var connector = support.createConnector(incidentServer({latency: 50}), {timeout: 10});
+
+    await assert.rejects(connector.query.runQuery({queryData: {class_name: "IM.Incident"}}), function (error) {
+        assert.strictEqual(error.code, errorCodes.timeout);
+        return true;
+    });
+});
+
+test("an AbortSignal cancels the command", async function () {
+    var server = incidentServer({latency: 20});
+    var connector = support.createConnector(server);
+    var controller = new AbortController();
+
+    var opened = connector.record.openRecord({className: "IM.Incident", key: "i1", signal: controller.signal});
+    controller.abort();
+
+    await assert.rejects(opened, function (error) {
+        assert.strictEqual(error.code, errorCodes.cancelled);
+        assert.strictEqual(error.cancelled, true);
+        return true;
+    });
+    await support.delay(30);
+    assert.deepStrictEqual(support.requestPaths(server), []);
+});
+
+// Errors
+
+test("errors are webAccessErrors with a code, the command and its redacted data", async function () {
+    var server = support.stubServer({
+        "/object/open.rails": function () {
+            return {status: 404, body: {message: "Not found"}};
+        }
+    });
+    var connector = support.createConnector(server);
+
+    await assert.rejects(connector.record.openRecord({className: "IM.Incident", key: "missing"}), function (error) {
+        assert.ok(error instanceof webAccessConnector.webAccessError);
+        assert.ok(error instanceof Error);
+        assert.strictEqual(error.code, errorCodes.notFound);
+        assert.strictEqual(error.statusCode, 404);
+        assert.strictEqual(error.commandPath, "/object/open.rails");
+        assert.deepStrictEqual(error.requestData, {class_name: "IM.Incident", key: "missing"});
+        return true;
+    });
+
+    var refused = support.createConnector(server, {loginPass: "wrong"});
+    await assert.rejects(refused.record.openRecord({className: "IM.Incident", key: "i1"}), function (error) {
+        assert.strictEqual(error.code, errorCodes.authFailed);
+        assert.strictEqual(JSON.stringify(error).indexOf("wrong"), -1);
+        return true;
+    });
+});
+
+test("an unreachable server fails with network", async function () {
+    var connector = support.createConnector(incidentServer(), {
+        transport: function (request, callback) {
+            setTimeout(function () {
+                callback(webAccessConnector.ajax.response(0, "", ""));
+            }, 0);
+        }
+    });
+
+    await assert.rejects(connector.record.openRecord({className: "IM.Incident", key: "i1"}), function (error) {
+        assert.strictEqual(error.code, errorCodes.network);
+        return true;
+    });
+});
+
+// Middleware
+
+// opens i1 and i2, anything else is missing
+var openServer = function () {
+    return support.stubServer({
+        "/object/open.rails": function (data) {
+            if ((data.key == "i1") || (data.key == "i2")) {
+                return {status: 200, body: {class_name: "IM.Incident", key: data.key, name: "Incident " + data.key.substring(1), attributes: {}}};
+            }
+            return {status: 404, body: {message: "Not found"}};
+        }
+    });
+};
+
+test("middleware sees and changes requests and responses, in order", async function () {
+    var server = openServer();
+    var connector = support.createConnector(server);
+    var calls = [];
+
+    connector.use({
+        onRequest: function (context, next) {
+            calls.push("outer request " + context.commandPath);
+            next();
+        },
+        onResponse: function (context, next) {
+            calls.push("outer response");
+            next();
+        }
+    }).use({
+        onRequest: function (context, next) {
+            calls.push("inner request");
+            context.requestData.key = "i2";
+            next();
+        },
+        onResponse: function (context, next) {
+            calls.push("inner response");
+            context.data.name = context.data.name.toUpperCase();
+            next();
+        }
+    });
+    await connector.user.logOn();
+
+    var result = await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+
+    assert.strictEqual(result.data.name, "INCIDENT 2");
+    assert.deepStrictEqual(calls, ["outer request /object/open.rails", "inner request", "inner response", "outer response"]);
+});
+
+test("middleware can answer a request itself or turn an error into a result", async function () {
+    var server = openServer();
+    var connector = support.createConnector(server);
+    await connector.user.logOn();
+
+    connector.use({
+        onRequest: function (context, next) {
+            if (context.requestData.key == "cached") {
+                context.respond({class_name: "IM.Incident", key: "cached", name: "From the cache", attributes: {}});
+                return;
+            }
+            next();
+        },
+        onError: function (context, next) {
+            if (context.statusCode == 404) {
+                context.respond({class_name: "IM.Incident", key: null, name: "Missing", attributes: {}});
+                return;
+            }
+            next();
+        }
+    });
+    var since = server.requests.length;
+
+    var cached = await connector.record.openRecord({className: "IM.Incident", key: "cached"});
+    var missing = await connector.record.openRecord({className: "IM.Incident", key: "missing"});
+
+    assert.strictEqual(cached.data.name, "From the cache");
+    assert.strictEqual(missing.data.name, "Missing");
+    assert.deepStrictEqual(support.requestPaths(server, since), ["/object/open.rails"]);
+});
+
+test("middleware can fail a request before it is sent", async function () {
+    var server = openServer();
+    var connector = support.createConnector(server);
+    await connector.user.logOn();
+    var since = server.requests.length;
+
+    connector.use({
+        onRequest: function (context) {
+            context.fail(400, "Read only", "validation");
+        }
+    });
+
+    await assert.rejects(connector.record.openRecord({className: "IM.Incident", key: "i1"}), function (error) {
+        assert.strictEqual(error.code, errorCodes.validation);
+        assert.strictEqual(error.errorText, "Read only");
+        return true;
+    });
+    assert.deepStrictEqual(support.requestPaths(server, since), []);
+});
+
+// Serialization
+
+test("request data is sent the way Web Access binds forms", function () {
+    var encoded = webAccessConnector.ajax.encodeForm({
+        text: "a&b", empty: null, skipped: undefined, when: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+        user: new webAccessConnector.reference("u1", "IM.User"), tags: ["x", "y"], address: {city: "Leeds"}, flag: false
+    });
+
+    assert.strictEqual(encoded, "text=a%26b&empty=&when=2024-01-02T03%3A04%3A05.000Z&user=u1&tags=x&tags=y&address.city=Leeds&flag=false");
+});
+
+test("values that can't be sent fail the command with invalidRequestData before anything is sent", async function () {
+    var server = support.createServer();
+    var connector = support.createConnector(server);
+
+    for (var value of [NaN, new Date("not a date"), function () {
+    }]) {
+        await assert.rejects(connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Priority: value}}), function (error) {
+            assert.strictEqual(error.code, errorCodes.invalidRequestData);
+            return true;
+        });
+    }
+    assert.strictEqual(countPath(server, "/object/save.rails"), 0);
+});
+
+test("jsonBody sends the listed commands' data as JSON", async function () {
+    var server = support.createServer();
+    var bodies = [];
+    var connector = support.createConnector(server, {
+        jsonBody: ["/object/save.rails"],
+        transport: function (request, callback) {
+            if (request.url.indexOf("/object/save.rails") > -1) {
+                bodies.push({contentType: request.headers["Content-type"], body: request.body});
+            }
+            return server.transport(request, callback);
+        }
+    });
+
+    await connector.record.updateRecord({className: "IM.Incident", key: "i1", attributeValues: {Title: "JSON", Urgent: null}});
+
+    assert.strictEqual(bodies[bodies.length - 1].contentType, "application/json");
+    assert.strictEqual(JSON.parse(bodies[bodies.length - 1].body).key, "i1");
+    assert.strictEqual(server.getRecord("i1").Title, "JSON");
+});
@@ -0,0 +1,293 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+var countPath = function (server, path) {
+    return support.requestPaths(server).filter(function (requestPath) {
+        return requestPath == path;
+    }).length;
+};
+
+// the server's transport, with the responses to log offs held back for the given ms
+var slowLogOff = function (server, ms) {
+    return function (request, callback) {
+        if (request.url.indexOf(webAccessConnector.session.logOffPath) == -1) {
+            return server.transport(request, callback);
+        }
+        return server.transport(request, function (response) {
+            setTimeout(function () {
+                callback(response);
+            }, ms);
+        });
+    };
+};
+
+// run with a stand-in window (and navigator.sendBeacon) so the session sees a page
+var withWindow = async function (run) {
+    var listeners = [];
+    var beacons = [];
+    var savedNavigator = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+
+    globalThis.window = {
+        onpagehide: null,
+        addEventListener: function (type, listener) {
+            listeners.push({type: type, listener: listener});
+        },
+        removeEventListener: function (type, listener) {
+            listeners = listeners.filter(function (added) {
+                return (added.type != type) || (added.listener != listener);
+            });
+        }
+    };
+    Object.defineProperty(globalThis, "navigator", {
+        value: {
+            sendBeacon: function (url) {
+                beacons.push(url);
+                return true;
+            }
+        },
+        configurable: true,
+        writable: true
+    });
+
+    try {
+        await run({
+            listeners: function () {
+                return listeners;
+            },
+            beacons: beacons
+        });
+    } finally {
+        delete globalThis.window;
+        if (savedNavigator) {
+            Object.defineProperty(globalThis, "navigator", savedNavigator);
+        } else {
+            delete globalThis.navigator;
+        }
+    }
+};
+
+// opens any incident
+var incidentServer = function (options) {
+    return support.stubServer({
+        "/object/open.rails": function (data) {
+            return {status: 200, body: {class_name: "IM.Incident", key: data.key, attributes: {Title: "Incident " + data.key}}};
+        }
+    }, options);
+};
+
+test("requests needing a login at the same time share one", async function () {
+    var server = incidentServer({latency: 5});
+    var connector = support.createConnector(server);
+
+    var results = await Promise.all([
+        connector.record.openRecord({className: "IM.Incident", key: "i1"}),
+        connector.record.openRecord({className: "IM.Incident", key: "i2"}),
+        connector.record.openRecord({className: "IM.Incident", key: "i3"})
+    ]);
+
+    assert.deepStrictEqual(results.map(function (result) {
+        return result.data.key;
+    }), ["i1", "i2", "i3"]);
+    assert.strictEqual(countPath(server, "/wd/Logon/Logon.rails"), 1);
+    assert.strictEqual(connector.session.isLoggedOn(), true);
+});
+
+test("requests share the connector's session once it is logged on", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server);
+
+    await connector.user.logOn();
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+
+    assert.deepStrictEqual(support.requestPaths(server), ["/wd/Logon/Logon.rails", "/object/open.rails", "/object/open.rails"]);
+});
+
+test("the session reports logging on, logging off and expiring", async function () {
+    var server = incidentServer();
+    var events = [];
+    var connector = support.createConnector(server, {
+        onLoggedOn: function () {
+            events.push("loggedOn");
+        },
+        onLoggedOff: function () {
+            events.push("loggedOff");
+        },
+        onSessionExpired: function () {
+            events.push("expired");
+        }
+    });
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    server.expireSessions();
+    await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+    await connector.user.logOff();
+
+    assert.deepStrictEqual(events, ["loggedOn", "expired", "loggedOn", "loggedOff"]);
+    assert.strictEqual(connector.session.isLoggedOn(), false);
+    assert.strictEqual(countPath(server, "/wd/Logon/Logon.rails"), 2);
+});
+
+test("loginOnDemandAutoLogOff logs off once the last request is done", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {loginOnDemandAutoLogOff: true});
+
+    var results = await Promise.all([
+        connector.record.openRecord({className: "IM.Incident", key: "i1"}),
+        connector.record.openRecord({className: "IM.Incident", key: "i2"})
+    ]);
+
+    assert.strictEqual(countPath(server, "/wd/Logon/Logoff.rails"), 1);
+    assert.strictEqual(results[0].loggedOff || results[1].loggedOff, true);
+    assert.strictEqual(connector.session.isLoggedOn(), false);
+});
+
+test("autoLogOffIdleTime logs off once no request has been made for that long", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {autoLogOffIdleTime: 40});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    await support.delay(20);
+    await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+    await support.delay(20);
+    assert.strictEqual(countPath(server, "/wd/Logon/Logoff.rails"), 0);
+
+    await support.delay(60);
+    assert.strictEqual(countPath(server, "/wd/Logon/Logoff.rails"), 1);
+    assert.strictEqual(countPath(server, "/wd/Logon/Logon.rails"), 1);
+    assert.strictEqual(connector.session.isLoggedOn(), false);
+});
+
+test("a login made with user.logOn is not logged off automatically", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {autoLogOffIdleTime: 5});
+
+    await connector.user.logOn();
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    await support.delay(20);
+
+    assert.strictEqual(countPath(server, "/wd/Logon/Logoff.rails"), 0);
+    assert.strictEqual(connector.session.isLoggedOn(), true);
+    connector.dispose();
+});
+
+test("a request made while an automatic log off is in flight waits for it", async function () {
+    var server = incidentServer({latency: 10});
+    var expired = 0;
+    var connector = support.createConnector(server, {
+        transport: slowLogOff(server, 60),
+        autoLogOffIdleTime: 5,
+        onSessionExpired: function () {
+            expired++;
+        }
+    });
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    await support.delay(20);
+    assert.strictEqual(connector.session.isLoggingOff(), true);
+
+    var result = await connector.record.openRecord({className: "IM.Incident", key: "i2"});
+
+    assert.strictEqual(result.data.key, "i2");
+    assert.strictEqual(expired, 0);
+    assert.strictEqual(connector.session.isLoggedOn(), true);
+    assert.deepStrictEqual(support.requestPaths(server), [
+        "/object/open.rails", "/wd/Logon/Logon.rails", "/object/open.rails",
+        "/wd/Logon/Logoff.rails",
+        "/object/open.rails", "/wd/Logon/Logon.rails", "/object/open.rails"
+    ]);
+    connector.dispose();
+});
+
+test("user.logOn made during a log off waits for it and stays logged on", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {transport: slowLogOff(server, 30)});
+
+    await connector.user.logOn();
+    var loggedOff = connector.user.logOff();
+    var loggedOn = connector.user.logOn();
+    await Promise.all([loggedOff, loggedOn]);
+
+    assert.strictEqual(connector.session.isLoggedOn(), true);
+    assert.deepStrictEqual(support.requestPaths(server), ["/wd/Logon/Logon.rails", "/wd/Logon/Logoff.rails", "/wd/Logon/Logon.rails"]);
+});
+
+test("a log off response arriving after a newer login does not log that login off", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {transport: slowLogOff(server, 30)});
+    var session = connector.session;
+
+    await connector.user.logOn();
+    var loggedOff = new Promise(function (resolve) {
+        session.logOff(resolve, resolve);
+    });
+    // straight to the session, as a login already under way when the log off started would be
+    await new Promise(function (resolve, reject) {
+        session.logOn(resolve, reject, false);
+    });
+    assert.strictEqual(session.isLoggedOn(), true);
+
+    await loggedOff;
+    assert.strictEqual(session.isLoggedOn(), true);
+    assert.strictEqual(session.isLoggingOff(), false);
+});
+
+test("cancelling a request waiting for a log off does not send it", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {transport: slowLogOff(server, 30)});
+
+    await connector.user.logOn();
+    var loggedOff = connector.user.logOff();
+    var request = connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    request.cancel();
+
+    await assert.rejects(request, function (error) {
+        assert.strictEqual(error.code, webAccessConnector.errorCodes.cancelled);
+        return true;
+    });
+    await loggedOff;
+    await support.delay(10);
+    assert.strictEqual(countPath(server, "/object/open.rails"), 0);
+});
+
+test("sessions share one unload listener, removed once they are disposed", async function () {
+    await withWindow(async function (page) {
+        var server = incidentServer();
+        var first = support.createConnector(server, {autoLogOffIdleTime: 1000});
+        var second = support.createConnector(server, {autoLogOffIdleTime: 1000});
+        var manual = support.createConnector(server);
+
+        assert.deepStrictEqual(page.listeners().map(function (added) {
+            return added.type;
+        }), ["pagehide"]);
+
+        await first.record.openRecord({className: "IM.Incident", key: "i1"});
+        await manual.user.logOn();
+        page.listeners()[0].listener();
+
+        assert.deepStrictEqual(page.beacons, ["http://fake/wd/wd/Logon/Logoff.rails"]);
+        assert.strictEqual(first.session.isLoggedOn(), false);
+        assert.strictEqual(manual.session.isLoggedOn(), true);
+
+        first.dispose();
+        assert.strictEqual(page.listeners().length, 1);
+        second.dispose();
+        manual.dispose();
+        assert.strictEqual(page.listeners().length, 0);
+    });
+});
+
+test("dispose logs off an on demand login that was waiting to be logged off", async function () {
+    var server = incidentServer();
+    var connector = support.createConnector(server, {autoLogOffIdleTime: 60000});
+
+    await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+    connector.dispose();
+    await support.delay(10);
+
+    assert.strictEqual(countPath(server, "/wd/Logon/Logoff.rails"), 1);
+    assert.strictEqual(connector.session.isLoggedOn(), false);
+});
@@ -0,0 +1,232 @@
+// Shared helpers for the tests: a small Service Desk schema served by the fake Web Access server,
+// a stand-in server for single commands and connectors talking to either through its transport
+
+var webAccessConnector = require("../src/webAccessConnector-1.1.js");
+var fakeServer = require("../src/webAccessConnector.fakeServer.js");
+
+var schema = {
+    IM: {
+        title: "Incident Management",
+        classes: {
+            Incident: {
+                attributes: {
+                    Title: {isName: true},
+                    Priority: {type: "Int32"},
+                    Raised: {type: "DateTime"},
+                    Urgent: {type: "Boolean"},
+                    Status: {},
+                    RaiseUser: {type: "Reference", relatedClass: "IM.User"}
+                }
+            },
+            Note: {
+                attributes: {
+                    Text: {},
+                    Incident: {type: "Reference", relatedClass: "IM.Incident"}
+                }
+            },
+            Attachment: {
+                attributes: {
+                    File: {type: "Attachment"},
+                    Description: {},
+                    Incident: {type: "Reference", relatedClass: "IM.Incident"}
+                }
+            },
+            User: {
+                attributes: {
+                    Name: {isName: true},
+                    Email: {}
+                }
+            }
+        }
+    }
+};
+
+/**
+ * A fake server with the schema's metadata, three users, five incidents and a few notes
+ *
+ * @param {?Object} fixtures overriding the defaults
+ * @returns {webAccessConnector.fakeServer}
+ */
+var createServer = function (fixtures) {
+    var data = fakeServer.metadata(schema);
+    var i;
+
+    data["IM.User"] = [];
+    for (i = 1; i <= 3; i++) {
+        data["IM.User"].push({_key: "u" + i, Name: "User " + i, Email: "user" + i + "@example.com"});
+    }
+
+    data["IM.Incident"] = [];
+    for (i = 1; i <= 5; i++) {
+        data["IM.Incident"].push({
+            _key: "i" + i, Title: "Incident " + i, Priority: 6 - i, Raised: new Date(Date.UTC(2024, 0, i)),
+            Urgent: (i % 2 == 0), Status: "Open", RaiseUser: "u" + (i % 3 + 1)
+        });
+    }
+
+    data["IM.Note"] = [
+        {_key: "n1", Text: "first", Incident: "i1"},
+        {_key: "n2", Text: "second", Incident: "i1"},
+        {_key: "n3", Text: "other", Incident: "i2"}
+    ];
+
+    var options = {
+        users: [{name: "admin", password: "secret"}],
+        pageSize: 2,
+        data: data
+    };
+    for (var name in fixtures) {
+        if (fixtures.hasOwnProperty(name)) {
+            options[name] = fixtures[name];
+        }
+    }
+
+    return new fakeServer(options);
+};
+
+/**
+ * A stand-in Web Access server.  routes: {commandPath: function (data, request)} answering the requests whose path
+ * ends with commandPath with {status, body}, a body that is not text being sent as JSON; other requests get a 404.
+ * Log ons (with the password "secret") and log offs are answered without routes, and without a session every other
+ * request is refused with 403.
+ *
+ * @param {Object} routes
+ * @param {?Object} options latency: ms before each answer, requireLogin: false to answer without a session
+ * @returns {{requests: Array, handle: function, expireSessions: function, transport: function}}
+ */
+var stubServer = function (routes, options) {
+    var sessions = {};
+    var nextSession = 1;
+    var server = {
+        // every request handled: {method, path, data}
+        requests: []
+    };
+    options = options || {};
+
+    server.handle = function (method, url, headers, body) {
+        var queryPos = url.indexOf("?");
+        var path = (queryPos > -1) ? url.substring(0, queryPos) : url;
+        var data = {};
+        new URLSearchParams((method == "GET") ? url.substring(path.length + 1) : (body || "")).forEach(function (value, name) {
+            data[name] = value;
+        });
+        var request = {method: method, path: path, data: data};
+        var session = /ASP\.NET_SessionId=([^;]*)/.exec(headers["Cookie"] || "");
+        server.requests.push(request);
+
+        if (/\/Logon\/Logon\.rails$/.test(path)) {
+            if (data.Ecom_User_Password != "secret") {
+                return {status: 200, statusText: "OK", headers: {}, body: "{\"result\":false,\"message\":\"Invalid user name or password\"}"};
+            }
+            var sessionId = "stub" + (nextSession++);
+            sessions[sessionId] = true;
+            return {status: 200, statusText: "OK", headers: {"set-cookie": ["ASP.NET_SessionId=" + sessionId + "; path=/"]}, body: "{\"result\":true}"};
+        }
+        if (/\/Logon\/Logoff\.rails$/.test(path)) {
+            if (session) {
+                delete sessions[session[1]];
+            }
+            return {status: 200, statusText: "OK", headers: {}, body: ""};
+        }
+        if ((options.requireLogin !== false) && ((!session) || (!sessions[session[1]]))) {
+            return {status: 403, statusText: "Forbidden", headers: {}, body: "Forbidden"};
+        }
+
+        var response = {status: 404, body: "Not Found"};
+        for (var commandPath in routes) {
+            if ((routes.hasOwnProperty(commandPath)) && (path.substring(path.length - commandPath.length) == commandPath)) {
+                response = routes[commandPath](data, request);
+            }
+        }
+
+        return {
+            status: response.status,
+            statusText: (response.status == 200) ? "OK" : "Error",
+            headers: {},
+            body: (typeof response.body == "string") ? response.body : JSON.stringify(response.body)
+        };
+    };
+
+    // end every session, as the server does when they time out
+    server.expireSessions = function () {
+        sessions = {};
+    };
+
+    server.transport = function (request, callback) {
+        var timer = setTimeout(function () {
+            var answer = server.handle(request.method, request.url, webAccessConnector.transports._requestHeaders(request), request.body);
+
+            if ((request.cookieJar) && (answer.headers["set-cookie"])) {
+                request.cookieJar.setCookies(answer.headers["set-cookie"], request.url);
+            }
+
+            callback(webAccessConnector.ajax.response(answer.status, answer.statusText, answer.body, answer.headers));
+        }, options.latency || 0);
+
+        return function () {
+            clearTimeout(timer);
+        };
+    };
+
+    return server;
+};
+
+/**
+ * A connector logging on on demand to the server through its transport
+ *
+ * @param {webAccessConnector.fakeServer|Object} server
+ * @param {?Object} connectionInfo overriding the defaults
+ * @returns {webAccessConnector}
+ */
+var createConnector = function (server, connectionInfo) {
+    var info = {
+        webAccessUrl: "http://fake/wd",
+        transport: server.transport,
+        loginOnDemand: true,
+        loginUser: "admin",
+        loginPass: "secret"
+    };
+    for (var name in connectionInfo) {
+        if (connectionInfo.hasOwnProperty(name)) {
+            info[name] = connectionInfo[name];
+        }
+    }
+
+    return new webAccessConnector(info);
+};
+
+/**
+ * The paths of the requests the server has answered since the given count
+ *
+ * @param {webAccessConnector.fakeServer|Object} server
+ * @param {?number} since
+ * @returns {Array}
+ */
+var requestPaths = function (server, since) {
+    return server.requests.slice(since || 0).map(function (request) {
+        return request.path.replace("http://fake/wd", "");
+    });
+};
+
+/**
+ * Resolves after the given ms
+ *
+ * @param {number} ms
+ * @returns {Promise}
+ */
+var delay = function (ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+};
+
+module.exports = {
+    webAccessConnector: webAccessConnector,
+    fakeServer: fakeServer,
+    schema: schema,
+    createServer: createServer,
+    stubServer: stubServer,
+    createConnector: createConnector,
+    requestPaths: requestPaths,
+    delay: delay
+};
@@ -0,0 +1,124 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var childProcess = require("node:child_process");
+var support = require("./support.js");
+
+var webAccessConnector = support.webAccessConnector;
+
+var openIncident = function (data) {
+    return {status: 200, body: {class_name: "IM.Incident", key: data.key, name: "Incident 1", attributes: {}}};
+};
+
+test("the connector keeps its cookies to itself rather than writing them into connectionInfo", async function () {
+    var server = support.stubServer({"/object/open.rails": openIncident});
+    var connectionInfo = {
+        webAccessUrl: "http://fake/wd", transport: server.transport, loginOnDemand: true, loginUser: "admin", loginPass: "secret"
+    };
+    var connector = new webAccessConnector(connectionInfo);
+
+    var result = await connector.record.openRecord({className: "IM.Incident", key: "i1"});
+
+    assert.strictEqual(result.data.key, "i1");
+    assert.strictEqual(connectionInfo.hasOwnProperty("cookieJar"), false);
+});
+
+test("connectors given the same cookieJar share its cookies", async function () {
+    var server = support.stubServer({"/object/open.rails": openIncident});
+    var cookieJar = new webAccessConnector.cookieJar();
+    var first = support.createConnector(server, {cookieJar: cookieJar});
+    var second = support.createConnector(server, {cookieJar: cookieJar, loginOnDemand: false});
+
+    await first.user.logOn();
+    var result = await second.record.openRecord({className: "IM.Incident", key: "i1"});
+
+    assert.strictEqual(result.data.key, "i1");
+    assert.ok(cookieJar.getCookieHeader("http://fake/wd/object/open.rails").indexOf("ASP.NET_SessionId=") == 0);
+});
+
+test("cookies are only sent back to the host that set them", function () {
+    var cookieJar = new webAccessConnector.cookieJar();
+    cookieJar.setCookies(["ASP.NET_SessionId=abc; path=/; HttpOnly"], "http://desk.example.com/wd/Logon/Logon.rails");
+
+    assert.strictEqual(cookieJar.getCookieHeader("http://desk.example.com/wd/object/open.rails"), "ASP.NET_SessionId=abc");
+    assert.strictEqual(cookieJar.getCookieHeader("http://other.example.com/wd/object/open.rails"), "");
+    assert.strictEqual(cookieJar.getCookieHeader("http://sub.desk.example.com/wd/object/open.rails"), "");
+    assert.strictEqual(cookieJar.getCookieHeader(), "");
+});
+
+test("a Domain cookie is sent to its subdomains, but a host can't set one for another domain", function () {
+    var cookieJar = new webAccessConnector.cookieJar();
+    cookieJar.setCookies(["shared=1; Domain=.example.com; Path=/", "foreign=1; Domain=example.org; Path=/"], "https://desk.example.com/");
+
+    assert.strictEqual(cookieJar.getCookieHeader("https://desk.example.com/"), "shared=1");
+    assert.strictEqual(cookieJar.getCookieHeader("https://reports.example.com/"), "shared=1");
+    assert.strictEqual(cookieJar.getCookieHeader("https://example.org/"), "");
+});
+
+test("cookies are scoped to their path, by default the directory of the URL that set them", function () {
+    var cookieJar = new webAccessConnector.cookieJar();
+    cookieJar.setCookies(["implicit=1", "explicit=2; Path=/wd/object"], "http://desk/wd/Logon/Logon.rails");
+
+    assert.strictEqual(cookieJar.getCookieHeader("http://desk/wd/Logon/Logoff.rails"), "implicit=1");
+    assert.strictEqual(cookieJar.getCookieHeader("http://desk/wd/object/open.rails"), "explicit=2");
+    assert.strictEqual(cookieJar.getCookieHeader("http://desk/wd/objects"), "");
+    assert.strictEqual(cookieJar.getCookieHeader("http://desk/"), "");
+});
+
+test("secure cookies are only sent over https, and expired cookies are forgotten", function () {
+    var cookieJar = new webAccessConnector.cookieJar();
+    cookieJar.setCookies(["token=1; Path=/; Secure", "session=2; Path=/"], "https://desk/");
+
+    assert.strictEqual(cookieJar.getCookieHeader("http://desk/"), "session=2");
+    assert.strictEqual(cookieJar.getCookieHeader("https://desk/"), "token=1; session=2");
+
+    cookieJar.setCookies(["session=; Path=/; Max-Age=0", "token=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT"], "https://desk/");
+    assert.strictEqual(cookieJar.getCookieHeader("https://desk/"), "");
+});
+
+test("a session cookie from one server is not sent to another", async function () {
+    var first = support.stubServer({});
+    var second = support.stubServer({"/object/open.rails": openIncident}, {requireLogin: false});
+    var cookieJar = new webAccessConnector.cookieJar();
+    var sentToSecond = [];
+    var transport = function (request, callback) {
+        if (request.url.indexOf("http://first/") == 0) {
+            return first.transport(request, callback);
+        }
+        sentToSecond.push(webAccessConnector.transports._requestHeaders(request));
+        return second.transport(request, callback);
+    };
+
+    await support.createConnector(first, {webAccessUrl: "http://first/wd", transport: transport, cookieJar: cookieJar}).user.logOn();
+    await support.createConnector(second, {webAccessUrl: "http://second/wd", transport: transport, cookieJar: cookieJar})
+        .record.openRecord({className: "IM.Incident", key: "i1"});
+
+    assert.deepStrictEqual(support.requestPaths(second), ["http://second/wd/object/open.rails"]);
+    assert.strictEqual(sentToSecond[0].hasOwnProperty("Cookie"), false);
+    assert.ok(cookieJar.getCookieHeader("http://first/wd/object/open.rails") != "");
+    assert.strictEqual(cookieJar.getCookieHeader("http://second/wd/object/open.rails"), "");
+});
+
+test("with the fetch transport an exception thrown by onLoad is thrown, not reported as a failed request", function () {
+    var script = [
+        "var http = require('node:http');",
+        "var webAccessConnector = require(" + JSON.stringify(require.resolve("../src/webAccessConnector-1.1.js")) + ");",
+        "var httpServer = http.createServer(function (req, res) {",
+        "    res.setHeader('Content-Type', 'application/json');",
+        "    res.end(JSON.stringify({class_name: 'IM.Incident', key: 'i1', attributes: {}}));",
+        "});",
+        "httpServer.listen(0, function () {",
+        "    var connector = new webAccessConnector({webAccessUrl: 'http://127.0.0.1:' + httpServer.address().port + '/wd', transport: 'fetch'});",
+        "    process.on('exit', function () { httpServer.close(); });",
+        "    connector.record.openRecord({className: 'IM.Incident', key: 'i1',",
+        "        onLoad: function () { throw new Error('thrown by onLoad'); },",
+        "        onError: function (error) { console.log('onError: ' + error.statusCode); }",
+        "    });",
+        "});"
+    ].join("\n");
+
+    var child = childProcess.spawnSync(process.execPath, ["-e", script], {encoding: "utf8", timeout: 20000});
+
+    assert.notStrictEqual(child.status, 0);
+    assert.match(child.stderr, /thrown by onLoad/);
+    assert.doesNotMatch(child.stdout, /onError/);
+});